@@ -7,11 +7,22 @@
 class EmergencyTriageApp {
     constructor() {
         this.patients = [];
+        this.incidents = [];
+        this.activeIncidentId = null;
         this.nextPatientId = 1001;
         this.currentUser = null;
         this.isOffline = false;
         this.settings = {};
         this.voiceService = null;
+        this.triageWizard = null;
+        this.auditLog = new AuditLog();
+        this.patientStore = new PatientStore();
+        this.userAccounts = new UserAccounts(this.patientStore);
+        this.isLocked = true;
+        this.dataKey = null;
+        this.lastActivity = Date.now();
+        this.deviceHandoff = new DeviceHandoff(this.patientStore);
+        this.clock = null;
         this.initializeApp();
     }
 
@@ -23,10 +34,15 @@ class EmergencyTriageApp {
         console.log('🚑 Initializing Upline Emergency Triage PWA...');
         
         try {
+            // Patient records stay encrypted until someone signs in
+            this.loadSettings();
+            await this.startSession();
             await this.loadAllData();
+            this.setupAutoLock();
             this.setupUI();
             this.setupEventListeners();
             this.setupServiceWorker();
+            this.connectLiveUpdates();
             this.setupVoiceService();
             this.updateConnectionStatus();
             this.updateTime();
@@ -47,33 +63,36 @@ class EmergencyTriageApp {
         }
     }
 
+    loadSettings() {
+        const savedSettings = localStorage.getItem('triage-settings');
+        this.settings = savedSettings ? JSON.parse(savedSettings) : {
+            triageProtocol: 'standard',
+            autoPriority: true,
+            notificationSound: true,
+            dataRetention: 30,
+            voiceEnabled: 'webkitSpeechRecognition' in window,
+            analyticsEnabled: true,
+            autoLockMinutes: 5
+        };
+    }
+
     async loadAllData() {
         try {
-            // Load patients
-            const savedPatients = localStorage.getItem('upline-patients');
-            this.patients = savedPatients ? JSON.parse(savedPatients) : [];
-            
-            // Load settings
-            const savedSettings = localStorage.getItem('triage-settings');
-            this.settings = savedSettings ? JSON.parse(savedSettings) : {
-                triageProtocol: 'standard',
-                autoPriority: true,
-                notificationSound: true,
-                dataRetention: 30,
-                voiceEnabled: 'webkitSpeechRecognition' in window,
-                analyticsEnabled: true
-            };
+            // Load patients, moving any left in localStorage by older versions
+            const migrated = await this.patientStore.migrateFromLocalStorage('upline-patients');
+            if (migrated > 0) {
+                console.log(`📦 Migrated ${migrated} patients from localStorage to IndexedDB`);
+            }
+            const encrypted = await this.patientStore.encryptExisting();
+            if (encrypted > 0) {
+                console.log(`🔐 Encrypted ${encrypted} patient records saved by an earlier version`);
+            }
+            await this.reloadPatients();
+            this.patients.forEach(patient => this.clock?.receive(patient.revision?.hlc));
             
-            // Load user info
-            const savedUser = localStorage.getItem('current-user');
-            this.currentUser = savedUser ? JSON.parse(savedUser) : {
-                id: 'user_' + Date.now(),
-                name: 'Emergency Responder',
-                role: 'paramedic',
-                department: 'Emergency'
-            };
+            await this.loadIncidents();
             
-            // Update next patient ID
+            // Patient IDs stay unique across every incident on the device
             if (this.patients.length > 0) {
                 const maxId = Math.max(...this.patients.map(p => {
                     const match = p.id ? p.id.match(/\d+/g) : null;
@@ -91,7 +110,38 @@ class EmergencyTriageApp {
         }
     }
 
+    // Four characters that keep IDs issued on different devices apart; chosen once per device
+    getDeviceCode() {
+        let code = localStorage.getItem('device-code');
+        if (!code) {
+            const alphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+            code = Array.from(crypto.getRandomValues(new Uint8Array(4)), byte => alphabet[byte % alphabet.length]).join('');
+            localStorage.setItem('device-code', code);
+        }
+        return code;
+    }
+
+    // PAT-7K2Q-1001: the counter alone repeats on every device
+    formatPatientId(prefix = 'PAT') {
+        return `${prefix}-${this.getDeviceCode()}-${this.nextPatientId}`;
+    }
+
+    issuePatientId(prefix = 'PAT') {
+        const id = this.formatPatientId(prefix);
+        this.nextPatientId++;
+        return id;
+    }
+
     setupUI() {
+        this.renderUserBadge();
+        this.renderIncidentSelector();
+        this.applyIncidentMode();
+        this.renderClosedCasesButton();
+        this.renderHandoverButton();
+        this.renderAuditLogButton();
+        this.renderHandoffButton();
+        this.renderTagScanButton();
+        this.renderSyncQueueStatus();
         this.updatePatientCounts();
         this.renderPatients();
         this.updateDashboard();
@@ -100,7 +150,7 @@ class EmergencyTriageApp {
         // Initialize form with next ID
         const patientIdField = document.getElementById('patientId');
         if (patientIdField) {
-            patientIdField.value = `PAT-${this.nextPatientId}`;
+            patientIdField.value = this.formatPatientId();
         }
     }
 
@@ -119,19 +169,28 @@ class EmergencyTriageApp {
             patientForm.addEventListener('submit', (e) => this.handlePatientSubmit(e));
         }
         
+        // Children are triaged with the pediatric variant of the active protocol
+        const ageField = document.getElementById('age');
+        if (ageField) {
+            ageField.addEventListener('input', () => this.applyTriageProtocol());
+        }
+        
         // Clear form button
         const clearFormBtn = document.getElementById('clearFormBtn');
         if (clearFormBtn) {
             clearFormBtn.addEventListener('click', () => this.clearForm());
         }
         
-        // Triage card clicks
-        document.querySelectorAll('.triage-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const priority = card.dataset.priority;
-                this.setPriority(priority);
+        // Triage card clicks (cards are re-rendered when the protocol changes)
+        const triageLevels = document.querySelector('.triage-levels');
+        if (triageLevels) {
+            triageLevels.addEventListener('click', (e) => {
+                const card = e.target.closest('.triage-card');
+                if (card) {
+                    this.setPriority(card.dataset.priority);
+                }
             });
-        });
+        }
         
         // Voice control buttons
         this.setupVoiceControlListeners();
@@ -175,7 +234,7 @@ class EmergencyTriageApp {
         const buttons = {
             'massCasualtyBtn': () => this.activateMassCasualtyMode(),
             'calculatePriority': () => this.calculateAutoPriority(),
-            'exportDataBtn': () => this.exportData(),
+            'exportDataBtn': () => this.showExportOptions(),
             'importDataBtn': () => this.importData(),
             'settingsBtn': () => this.showSettings(),
             'addEmergencyBtn': () => this.addEmergencyPatient(),
@@ -251,7 +310,7 @@ class EmergencyTriageApp {
                         
                         switch(type) {
                             case 'SYNC_COMPLETE':
-                                this.showNotification('Offline data synced', 'success');
+                                this.handleSyncComplete(data);
                                 break;
                             case 'BACKUP_CREATED':
                                 console.log('Backup created');
@@ -292,8 +351,9 @@ class EmergencyTriageApp {
                 resolve(event.data);
             };
             
+            // The data key rides along so a worker restarted by the browser can carry on
             navigator.serviceWorker.controller.postMessage(
-                { type, ...data },
+                { type, data, dataKey: this.dataKey },
                 [messageChannel.port2]
             );
             
@@ -398,8 +458,11 @@ class EmergencyTriageApp {
         const formData = new FormData(event.target);
         const patientData = Object.fromEntries(formData);
         
+        // Protocol-specific inputs are read by id so they work with or without a name attribute
+        Object.assign(patientData, this.collectProtocolInputs());
+        
         // Validate required fields
-        if (!patientData.patientName?.trim() || !patientData.age || !patientData.gender || !patientData.chiefComplaint?.trim() || !patientData.triagePriority) {
+        if (!patientData.patientName?.trim() || !patientData.age || !patientData.gender || !patientData.chiefComplaint?.trim() || (!patientData.triagePriority && !this.settings.autoPriority)) {
             this.showNotification('Please fill in all required fields', 'error');
             return;
         }
@@ -411,15 +474,30 @@ class EmergencyTriageApp {
             return;
         }
         
+        if (!this.ensureIncidentOpen()) return;
+        
         try {
-            // Calculate priority if auto-priority is enabled
+            // Run the active protocol; its category is used if auto-priority is enabled
+            const assessment = this.evaluateTriage(patientData);
             if (this.settings.autoPriority && !patientData.triagePriority) {
-                patientData.triagePriority = this.calculatePriorityFromVitals(patientData);
+                patientData.triagePriority = assessment.level || assessment.category;
+            }
+            
+            // Protocols with their own levels (ESI) store the level next to the mapped colour
+            const protocol = TriageProtocols.get(assessment.protocol);
+            const intakeObservation = this.createObservation(this.pickObservationValues(patientData, protocol), assessment);
+            let level = this.getPriorityLevels(protocol).find(l => l.key === patientData.triagePriority);
+            // Expectant is a physician's call; anyone else's casualty is recorded at the most urgent level until one confirms it
+            const expectantRequest = (level ? level.priority : patientData.triagePriority) === 'black' && !this.can('triage.black')
+                ? this.createExpectantRequest()
+                : null;
+            if (expectantRequest) {
+                level = this.getPriorityLevels(protocol).find(l => l.priority === 'red');
             }
             
             // Create patient object
             const patient = {
-                id: patientData.patientId || `PAT-${this.nextPatientId}`,
+                id: patientData.patientId || this.formatPatientId(),
                 name: patientData.patientName.trim(),
                 age: parseInt(patientData.age),
                 gender: patientData.gender,
@@ -428,29 +506,37 @@ class EmergencyTriageApp {
                     bloodPressure: patientData.bloodPressureSystolic || 'Not recorded',
                     respiratoryRate: patientData.respiratoryRate || 'Not recorded',
                     oxygenSaturation: patientData.oxygenSaturation || 'Not recorded',
-                    temperature: patientData.temperature || 'Not recorded'
+                    temperature: patientData.temperature || 'Not recorded',
+                    supplementalOxygen: patientData.supplementalOxygen || 'Not recorded',
+                    consciousness: patientData.consciousness || 'Not recorded'
                 },
                 chiefComplaint: patientData.chiefComplaint.trim(),
                 notes: patientData.notes?.trim() || '',
-                priority: patientData.triagePriority,
+                pediatricSize: patientData.pediatricSize || null,
+                priority: level ? level.priority : patientData.triagePriority,
+                ...(protocol.levelField && level ? { [protocol.levelField]: level.value } : {}),
+                ...(expectantRequest ? { expectantRequest } : {}),
+                triageAssessment: assessment,
+                observations: [intakeObservation],
                 timestamp: new Date().toISOString(),
                 arrivalTime: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
                 status: 'waiting',
+                statusHistory: [this.createStatusEntry('waiting')],
                 assignedTo: null,
                 location: await this.getGeolocation(),
+                incidentId: this.activeIncidentId,
                 deviceId: this.currentUser.id,
-                syncStatus: navigator.onLine ? 'synced' : 'pending'
+                createdBy: UserAccounts.toRef(this.currentUser),
+                syncStatus: 'pending'
             };
+            this.stampRevision(patient);
             
             // Add to patients array
             this.patients.unshift(patient);
             this.nextPatientId++;
             
-            // Save to storage
-            await this.saveToStorage('upline-patients', this.patients);
-            
-            // Save to service worker IndexedDB
-            await this.sendMessageToSW('SAVE_PATIENT', { patient });
+            // Save to IndexedDB
+            await this.savePatient(patient, 'create');
             
             // Update UI
             this.renderPatients();
@@ -459,14 +545,11 @@ class EmergencyTriageApp {
             this.clearForm();
             
             // Show success message
-            const priorityNames = {
-                red: 'Priority 1 (Red)',
-                yellow: 'Priority 2 (Yellow)',
-                green: 'Priority 3 (Green)',
-                black: 'Priority 4 (Black)'
-            };
-            
-            this.showNotification(`Patient ${patient.name} added to ${priorityNames[patient.priority]} queue`, 'success');
+            if (expectantRequest) {
+                this.showNotification(`Patient ${patient.name} added to ${level.title} queue until a physician confirms Expectant`, 'warning');
+            } else {
+                this.showNotification(`Patient ${patient.name} added to ${level ? level.title : patient.priority} queue`, 'success');
+            }
             
             // Voice announcement
             if (this.voiceService?.voiceModeActive) {
@@ -484,6 +567,13 @@ class EmergencyTriageApp {
             }
             
             this.logEvent('patient_added', { patientId: patient.id, priority: patient.priority });
+            this.audit('patient_created', patient.id, {
+                priority: patient.priority,
+                protocol: assessment.protocol,
+                score: assessment.score,
+                category: assessment.category,
+                ...(expectantRequest ? { expectantRequested: true } : {})
+            });
             
         } catch (error) {
             console.error('Failed to save patient:', error);
@@ -492,54 +582,257 @@ class EmergencyTriageApp {
     }
 
     calculatePriorityFromVitals(patientData) {
-        let score = 0;
+        return this.evaluateTriage(patientData).category;
+    }
+
+    calculateAutoPriority() {
+        const assessment = this.evaluateTriage(this.collectProtocolInputs());
+        this.setPriority(assessment.level || assessment.category);
         
-        // Heart rate scoring (bpm)
-        const hr = parseInt(patientData.heartRate) || 80;
-        if (hr < 50 || hr > 120) score += 2;
-        if (hr < 40 || hr > 140) score += 3;
+        this.showNotification(`Auto-calculated priority: ${(assessment.level || assessment.category).toUpperCase()} (${assessment.explanation})`, 'info');
+    }
+
+    // ============================================
+    // Triage Protocols
+    // ============================================
+
+    // An incident in mass casualty mode overrides the protocol chosen in settings
+    getTriageProtocol(patientData = null) {
+        const protocolId = this.getIncident()?.triageProtocol || this.settings.triageProtocol;
+        if (patientData) {
+            return TriageProtocols.resolve(protocolId, patientData);
+        }
+        return TriageProtocols.get(protocolId);
+    }
+
+    // Protocol for the patient currently in the form (children switch to the pediatric variant)
+    getFormProtocol() {
+        return this.getTriageProtocol({
+            age: document.getElementById('age')?.value || '',
+            pediatricSize: document.getElementById('pediatricSize')?.value || ''
+        });
+    }
+
+    evaluateTriage(data) {
+        return TriageProtocols.evaluate(this.getTriageProtocol(data).id, data);
+    }
+
+    collectProtocolInputs(protocol = this.getFormProtocol()) {
+        const data = {};
+        const fields = [{ id: 'age' }, { id: 'pediatricSize' }, ...protocol.inputs];
+        fields.forEach(input => {
+            const field = document.getElementById(input.id);
+            if (field) {
+                data[input.id] = field.value;
+            }
+        });
+        return data;
+    }
+
+    applyTriageProtocol() {
+        this.renderPediatricSizeField();
         
-        // Blood pressure scoring (systolic)
-        const bp = parseInt(patientData.bloodPressureSystolic) || 120;
-        if (bp < 90 || bp > 160) score += 2;
-        if (bp < 70 || bp > 180) score += 3;
+        const protocol = this.getFormProtocol();
         
-        // Oxygen saturation scoring (%)
-        const spo2 = parseInt(patientData.oxygenSaturation) || 98;
-        if (spo2 < 94) score += 2;
-        if (spo2 < 90) score += 3;
+        this.renderProtocolFields(protocol);
+        this.renderPriorityCards(protocol);
         
-        // Respiratory rate scoring (rpm)
-        const rr = parseInt(patientData.respiratoryRate) || 16;
-        if (rr < 12 || rr > 20) score += 1;
-        if (rr < 8 || rr > 24) score += 2;
+        // Priority can be left blank when the protocol is allowed to decide
+        const prioritySelect = document.getElementById('triagePriority');
+        if (prioritySelect) {
+            prioritySelect.required = !this.settings.autoPriority;
+        }
+    }
+
+    renderPediatricSizeField() {
+        const ageGroup = document.getElementById('age')?.closest('.form-group');
+        if (!ageGroup || document.getElementById('pediatricSize')) return;
+        
+        const sizeGroup = document.createElement('div');
+        sizeGroup.className = 'form-group';
+        sizeGroup.innerHTML = `
+            <label for="pediatricSize">Length-based Size (child)</label>
+            <select id="pediatricSize" name="pediatricSize">
+                <option value="">Not measured</option>
+                ${TriageProtocols.get('jumpstart').sizes.map(size => `<option value="${size.value}">${size.label}</option>`).join('')}
+            </select>
+        `;
+        ageGroup.after(sizeGroup);
         
-        // Determine priority based on score
-        if (score >= 6) return 'red';
-        if (score >= 4) return 'yellow';
-        if (score >= 2) return 'green';
-        return 'green';
+        sizeGroup.querySelector('select').addEventListener('change', () => this.applyTriageProtocol());
     }
 
-    calculateAutoPriority() {
-        const patientData = {
-            heartRate: document.getElementById('heartRate')?.value || '',
-            bloodPressureSystolic: document.getElementById('bloodPressureSystolic')?.value || '',
-            oxygenSaturation: document.getElementById('oxygenSaturation')?.value || '',
-            respiratoryRate: document.getElementById('respiratoryRate')?.value || ''
-        };
+    renderProtocolFields(protocol) {
+        const form = document.getElementById('patientForm');
+        if (!form) return;
+        
+        // Highlight vital signs this protocol scores on
+        document.querySelectorAll('.vital-input').forEach(vital => {
+            const input = vital.querySelector('input');
+            const scored = protocol.inputs.some(i => i.type === 'vital' && i.id === input?.id);
+            vital.classList.toggle('protocol-scored', scored);
+        });
+        
+        let container = document.getElementById('protocolFields');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'protocolFields';
+            container.className = 'form-group protocol-fields';
+            
+            const vitalsGroup = form.querySelector('.vitals-grid')?.closest('.form-group');
+            if (vitalsGroup) {
+                vitalsGroup.after(container);
+            } else {
+                form.insertBefore(container, form.firstChild);
+            }
+        }
+        
+        // Keep entered answers when the protocol has not changed
+        if (container.dataset.protocol === protocol.id) return;
+        container.dataset.protocol = protocol.id;
+        
+        const fields = protocol.inputs.filter(input => input.type !== 'vital' && !input.wizardOnly);
+        if (fields.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.style.display = '';
+        container.innerHTML = `
+            <label>${this.escapeHtml(protocol.name)} Assessment</label>
+            <div class="protocol-fields-grid">
+                ${fields.map(input => this.renderProtocolInput(input)).join('')}
+            </div>
+        `;
+    }
+
+    renderProtocolInput(input, prefix = '', value = '') {
+        const id = `${prefix}${input.id}`;
+        const options = input.type === 'boolean'
+            ? [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }]
+            : input.options;
+        
+        return `
+            <div class="protocol-field">
+                <label for="${id}">${this.escapeHtml(input.label)}</label>
+                ${options ? `
+                    <select id="${id}" name="${id}">
+                        <option value="">Not assessed</option>
+                        ${options.map(o => `<option value="${o.value}" ${String(value) === o.value ? 'selected' : ''}>${this.escapeHtml(o.label)}</option>`).join('')}
+                    </select>
+                ` : `
+                    <input type="number" id="${id}" name="${id}" step="${input.step || 1}" placeholder="${input.unit || ''}" value="${this.escapeHtml(String(value))}">
+                `}
+            </div>
+        `;
+    }
+
+    // Levels shown on cards, queue badges, counts and the chart. Four-colour
+    // protocols derive them from their categories; ESI declares its own, plus a
+    // last bucket for expectant patients and anyone else it has no level for.
+    getPriorityLevels(protocol = this.getTriageProtocol()) {
+        if (protocol.levels) {
+            return protocol.levels.some(level => level.priority === 'black')
+                ? protocol.levels
+                : [...protocol.levels, this.getOtherLevel()];
+        }
+        
+        const colors = { red: '#dc2626', yellow: '#ca8a04', green: '#16a34a', black: '#1f2937' };
+        return Object.entries(protocol.categories).map(([key, category], index) => ({
+            key,
+            value: index + 1,
+            short: `P${index + 1}`,
+            label: key.toUpperCase(),
+            priority: key,
+            color: colors[key],
+            ...category
+        }));
+    }
+
+    // Has no protocol value, so choosing it stores only the colour. Built once so
+    // levels can be compared by identity across calls.
+    getOtherLevel() {
+        return this.otherLevel || (this.otherLevel = {
+            key: 'black',
+            short: 'EXP',
+            label: 'EXPECTANT / OTHER',
+            priority: 'black',
+            color: '#1f2937',
+            other: true,
+            title: 'Expectant / other',
+            time: 'Expectant',
+            description: 'Deceased or expected to die given current resources, or triaged on a level this protocol does not have.'
+        });
+    }
+
+    getPatientLevel(patient, levels = this.getPriorityLevels()) {
+        const protocol = this.getTriageProtocol();
+        if (protocol.levelField && patient[protocol.levelField] !== undefined) {
+            const level = levels.find(l => l.value === patient[protocol.levelField]);
+            if (level) return level;
+        }
+        
+        // Patients triaged under another protocol fall back to their colour
+        return levels.find(l => l.priority === patient.priority) || levels.find(l => l.other) || null;
+    }
+
+    renderPriorityCards(protocol) {
+        const icons = { red: '🔴', yellow: '🟡', green: '🟢', black: '⚫' };
+        const levels = this.getPriorityLevels(protocol);
+        const levelKeys = levels.map(level => level.key).join(',');
+        
+        // Rebuild cards and options only when the set of levels changes
+        const container = document.querySelector('.triage-levels');
+        if (container && container.dataset.levels !== levelKeys) {
+            container.dataset.levels = levelKeys;
+            container.innerHTML = levels.map(level => `
+                <div class="triage-card ${level.key}" data-priority="${level.key}">
+                    <div class="triage-header">
+                        <div class="triage-title"></div>
+                        <div class="triage-priority" id="${level.key}Count">0</div>
+                    </div>
+                    <div class="triage-time"></div>
+                    <div class="triage-description"></div>
+                </div>
+            `).join('');
+        }
+        
+        const prioritySelect = document.getElementById('triagePriority');
+        if (prioritySelect && prioritySelect.dataset.levels !== levelKeys) {
+            prioritySelect.dataset.levels = levelKeys;
+            prioritySelect.innerHTML = `
+                <option value="">Select priority level</option>
+                ${levels.map(level => `<option value="${level.key}"></option>`).join('')}
+            `;
+        }
         
-        const priority = this.calculatePriorityFromVitals(patientData);
-        this.setPriority(priority);
+        levels.forEach(level => {
+            const card = document.querySelector(`.triage-card[data-priority="${level.key}"]`);
+            if (card) {
+                const title = card.querySelector('.triage-title');
+                const time = card.querySelector('.triage-time');
+                const description = card.querySelector('.triage-description');
+                if (title) title.textContent = level.title;
+                if (time) time.textContent = level.time;
+                if (description) description.textContent = level.description;
+            }
+            
+            const option = document.querySelector(`#triagePriority option[value="${level.key}"]`);
+            if (option) {
+                option.textContent = `${icons[level.priority] || ''} ${level.title} - ${level.time}`;
+            }
+        });
         
-        this.showNotification(`Auto-calculated priority: ${priority.toUpperCase()}`, 'info');
+        this.updatePatientCounts();
     }
 
     clearForm() {
         const form = document.getElementById('patientForm');
         if (form) {
             form.reset();
-            document.getElementById('patientId').value = `PAT-${this.nextPatientId}`;
+            this.applyTriageProtocol();
+            document.getElementById('patientId').value = this.formatPatientId();
             document.getElementById('patientName').focus();
         }
     }
@@ -548,7 +841,7 @@ class EmergencyTriageApp {
         const emergencyNames = ['John Doe', 'Jane Smith', 'Robert Johnson', 'Maria Garcia'];
         const complaints = ['Chest pain', 'Difficulty breathing', 'Trauma', 'Unconscious'];
         
-        document.getElementById('patientId').value = `EMG-${this.nextPatientId}`;
+        document.getElementById('patientId').value = this.formatPatientId('EMG');
         document.getElementById('patientName').value = emergencyNames[Math.floor(Math.random() * emergencyNames.length)];
         document.getElementById('age').value = Math.floor(Math.random() * 70) + 20;
         document.getElementById('gender').value = ["male", "female"][Math.floor(Math.random() * 2)];
@@ -569,7 +862,7 @@ class EmergencyTriageApp {
         const patientsList = document.getElementById('patientsList');
         if (!patientsList) return;
         
-        const patientsToRender = filteredPatients || this.patients;
+        const patientsToRender = filteredPatients || this.getActivePatients();
         
         if (patientsToRender.length === 0) {
             patientsList.innerHTML = `
@@ -581,11 +874,15 @@ class EmergencyTriageApp {
             return;
         }
         
-        // Sort by priority and timestamp
-        const priorityOrder = { red: 0, yellow: 1, green: 2, black: 3 };
+        // Sort by priority level and timestamp
+        const levels = this.getPriorityLevels();
+        const priorityOrder = (patient) => {
+            const index = levels.indexOf(this.getPatientLevel(patient, levels));
+            return index === -1 ? levels.length : index;
+        };
         const sortedPatients = [...patientsToRender].sort((a, b) => {
-            if (priorityOrder[a.priority] !== priorityOrder[b.priority]) {
-                return priorityOrder[a.priority] - priorityOrder[b.priority];
+            if (priorityOrder(a) !== priorityOrder(b)) {
+                return priorityOrder(a) - priorityOrder(b);
             }
             return new Date(b.timestamp) - new Date(a.timestamp);
         });
@@ -594,29 +891,34 @@ class EmergencyTriageApp {
         let patientsHTML = '';
         
         sortedPatients.forEach(patient => {
-            const priorityClass = `priority-${patient.priority}`;
-            const priorityText = patient.priority === 'red' ? 'P1' :
-                               patient.priority === 'yellow' ? 'P2' :
-                               patient.priority === 'green' ? 'P3' : 'P4';
+            const level = this.getPatientLevel(patient, levels);
+            const priorityClass = `priority-${level ? level.key : patient.priority}`;
+            const priorityText = level ? level.short : 'P?';
             
             const timeAgo = this.getTimeAgo(patient.timestamp);
+            const status = this.getPatientStatuses()[this.getPatientStatus(patient)];
             
             patientsHTML += `
-                <div class="patient-item" data-id="${patient.id}">
+                <div class="patient-item" data-id="${this.escapeHtml(patient.id)}">
                     <div class="patient-priority ${priorityClass}">${priorityText}</div>
                     <div class="patient-info">
-                        <div class="patient-name">${this.escapeHtml(patient.name)} (${patient.age}${patient.gender === 'male' ? 'M' : 'F'})</div>
+                        <div class="patient-name">${this.escapeHtml(patient.name)} (${patient.age ?? '?'}${{ male: 'M', female: 'F' }[patient.gender] || ''})</div>
                         <div class="patient-details">
                             <span class="patient-complaint">${this.escapeHtml(patient.chiefComplaint)}</span>
                             <span class="patient-time">${timeAgo}</span>
+                            <span class="patient-status status-${this.getPatientStatus(patient)}">${status.label}</span>
+                            ${PatientMerge.unresolvedConflicts(patient).length ? '<span class="patient-conflict" title="Conflicting edits from other devices">⚠️ Conflict</span>' : ''}
+                            ${patient.idCollision ? '<span class="patient-conflict" title="Another patient already has this ID on the server">⚠️ ID in use</span>' : ''}
+                            ${patient.expectantRequest ? '<span class="patient-conflict" title="Triaged as Expectant; a physician has to confirm it">⚫ Expectant?</span>' : ''}
                         </div>
                         <div class="patient-vitals">
-                            <small>HR: ${patient.vitalSigns.heartRate} | BP: ${patient.vitalSigns.bloodPressure} | SpO₂: ${patient.vitalSigns.oxygenSaturation}%</small>
+                            <small>HR: ${patient.vitalSigns.heartRate} | BP: ${this.escapeHtml(patient.vitalSigns.bloodPressure)} | SpO₂: ${patient.vitalSigns.oxygenSaturation}%</small>
                         </div>
                     </div>
                     <div class="patient-actions">
-                        <button class="action-btn treat" onclick="app.treatPatient('${patient.id}')">🚑 Treat</button>
-                        <button class="action-btn details" onclick="app.showPatientDetails('${patient.id}')">📋 Details</button>
+                        <button class="action-btn treat" onclick="app.advancePatient(${this.jsArg(patient.id)})">${status.action}</button>
+                        <button class="action-btn obs" onclick="app.showObservationForm(${this.jsArg(patient.id)})">📈 Obs</button>
+                        <button class="action-btn details" onclick="app.showPatientDetails(${this.jsArg(patient.id)})">📋 Details</button>
                     </div>
                 </div>
             `;
@@ -631,7 +933,8 @@ class EmergencyTriageApp {
             return;
         }
         
-        const filtered = this.patients.filter(patient => 
+        const activePatients = this.getActivePatients();
+        const filtered = activePatients.filter(patient => 
             patient.name.toLowerCase().includes(query.toLowerCase()) ||
             patient.id.toLowerCase().includes(query.toLowerCase()) ||
             patient.chiefComplaint.toLowerCase().includes(query.toLowerCase())
@@ -642,31 +945,33 @@ class EmergencyTriageApp {
         // Update count
         const countElement = document.getElementById('filteredCount');
         if (countElement) {
-            countElement.textContent = filtered.length === this.patients.length ? 
+            countElement.textContent = filtered.length === activePatients.length ? 
                 '' : ` (${filtered.length} filtered)`;
         }
     }
 
     updatePatientCounts() {
+        const activePatients = this.getActivePatients();
         const counts = {
-            red: this.patients.filter(p => p.priority === 'red').length,
-            yellow: this.patients.filter(p => p.priority === 'yellow').length,
-            green: this.patients.filter(p => p.priority === 'green').length,
-            black: this.patients.filter(p => p.priority === 'black').length
+            red: activePatients.filter(p => p.priority === 'red').length,
+            yellow: activePatients.filter(p => p.priority === 'yellow').length
         };
         
         // Update count elements
         const countElements = {
-            'redCount': counts.red,
-            'yellowCount': counts.yellow,
-            'greenCount': counts.green,
-            'blackCount': counts.black,
-            'totalPatientCount': this.patients.length,
+            'totalPatientCount': activePatients.length,
             'statsRed': counts.red,
             'statsYellow': counts.yellow,
-            'statsPatients': this.patients.length
+            'statsPatients': activePatients.length,
+            'closedCaseCount': this.getClosedPatients().length
         };
         
+        // Card counts follow the active protocol's levels
+        const levels = this.getPriorityLevels();
+        levels.forEach(level => {
+            countElements[`${level.key}Count`] = activePatients.filter(p => this.getPatientLevel(p, levels) === level).length;
+        });
+        
         Object.entries(countElements).forEach(([id, count]) => {
             const element = document.getElementById(id);
             if (element) {
@@ -675,7 +980,7 @@ class EmergencyTriageApp {
         });
         
         // Update emergency alert
-        const total = this.patients.length;
+        const total = activePatients.length;
         const patientCountAlert = document.getElementById('patientCountAlert');
         if (patientCountAlert) {
             patientCountAlert.textContent = total === 0 ? 'No patients in queue' : 
@@ -686,39 +991,141 @@ class EmergencyTriageApp {
         document.title = total > 0 ? `(${total}) Upline Emergency Triage` : 'Upline Emergency Triage';
     }
 
-    treatPatient(patientId) {
-        const patientIndex = this.patients.findIndex(p => p.id === patientId);
-        if (patientIndex === -1) {
+    // ============================================
+    // Patient Status Lifecycle
+    // ============================================
+
+    getPatientStatuses() {
+        return {
+            waiting: { label: 'Waiting', active: true, next: ['in_assessment'], action: '🩺 Assess' },
+            in_assessment: { label: 'In Assessment', active: true, next: ['in_treatment'], action: '🚑 Treat' },
+            in_treatment: { label: 'In Treatment', active: true, next: ['discharged', 'admitted', 'transferred', 'deceased'], action: '🏁 Close' },
+            discharged: { label: 'Discharged', active: false, next: [], icon: '🏠' },
+            admitted: { label: 'Admitted', active: false, next: [], icon: '🏥' },
+            transferred: { label: 'Transferred', active: false, next: [], icon: '🚑' },
+            deceased: { label: 'Deceased', active: false, next: [], icon: '🕊️' }
+        };
+    }
+
+    getPatientStatus(patient) {
+        // 'in_progress' was written by Take Case before the lifecycle existed
+        if (patient.status === 'in_progress') return 'in_assessment';
+        return this.getPatientStatuses()[patient.status] ? patient.status : 'waiting';
+    }
+
+    getStatusHistory(patient) {
+        return patient.statusHistory?.length ? patient.statusHistory : [
+            { status: this.getPatientStatus(patient), timestamp: patient.timestamp, user: patient.assignedTo || null }
+        ];
+    }
+
+    createStatusEntry(status) {
+        return {
+            status,
+            timestamp: new Date().toISOString(),
+            user: this.currentUser.name,
+            userId: this.currentUser.id
+        };
+    }
+
+    isActivePatient(patient) {
+        return this.getPatientStatuses()[this.getPatientStatus(patient)].active;
+    }
+
+    getActivePatients() {
+        return this.getIncidentPatients().filter(p => this.isActivePatient(p));
+    }
+
+    getClosedPatients() {
+        return this.getIncidentPatients().filter(p => !this.isActivePatient(p));
+    }
+
+    // Minutes from arrival until the case was closed, or until now while active
+    getLengthOfStay(patient, now = Date.now()) {
+        const end = patient.closedAt ? new Date(patient.closedAt).getTime() : now;
+        return Math.max(0, Math.round((end - new Date(patient.timestamp).getTime()) / 60000));
+    }
+
+    formatDuration(minutes) {
+        if (minutes < 60) return `${minutes}m`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    async changePatientStatus(patientId, status, { destination = '' } = {}) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) {
             this.showNotification('Patient not found', 'error');
-            return;
+            return false;
+        }
+        
+        const statuses = this.getPatientStatuses();
+        const from = this.getPatientStatus(patient);
+        if (!statuses[from].next.includes(status)) {
+            this.showNotification(`Cannot move ${patient.name} from ${statuses[from].label} to ${statuses[status]?.label || status}`, 'error');
+            return false;
+        }
+        if (status === 'deceased' && !this.requirePermission('patients.deceased', patientId)) {
+            return false;
         }
         
-        const patient = this.patients[patientIndex];
-        this.showNotification(`Treating patient: ${patient.name}`, 'success');
+        const entry = this.createStatusEntry(status);
+        const fields = ['status', 'statusHistory'];
+        patient.statusHistory = [...this.getStatusHistory(patient), entry];
+        patient.status = status;
+        if (status === 'in_assessment' && !patient.assignedTo) {
+            patient.assignedTo = entry.user;
+            fields.push('assignedTo');
+        }
+        if (!statuses[status].active) {
+            patient.closedAt = entry.timestamp;
+            fields.push('closedAt');
+        }
+        if (destination) {
+            patient.destination = destination;
+            fields.push('destination');
+        }
+        this.markPatientModified(patient, entry.timestamp, fields);
         
-        // Remove patient
-        this.patients.splice(patientIndex, 1);
+        await this.savePatient(patient, 'status');
         
-        // Save to storage
-        this.saveToStorage('upline-patients', this.patients);
         this.renderPatients();
         this.updatePatientCounts();
+        this.updateDashboard();
+        
+        this.showNotification(`${patient.name}: ${statuses[status].label}`, 'success');
         
         // Haptic feedback
         if (navigator.vibrate) {
             navigator.vibrate([50, 50, 50]);
         }
         
-        this.logEvent('patient_treated', { patientId });
+        this.logEvent('patient_status_changed', { patientId, from, to: status });
+        this.audit('status_changed', patientId, { from, to: status, ...(destination ? { destination } : {}) });
+        return true;
     }
 
-    showPatientDetails(patientId) {
+    // Queue button: step to the next active state, or pick an outcome when in treatment
+    advancePatient(patientId) {
         const patient = this.patients.find(p => p.id === patientId);
         if (!patient) return;
         
-        // Create modal
+        const next = this.getPatientStatuses()[this.getPatientStatus(patient)].next;
+        if (next.length === 1) {
+            this.changePatientStatus(patientId, next[0]);
+        } else if (next.length > 1) {
+            this.showCloseCaseForm(patientId);
+        }
+    }
+
+    showCloseCaseForm(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        const statuses = this.getPatientStatuses();
+        const outcomes = statuses[this.getPatientStatus(patient)].next;
+        
         const modal = document.createElement('div');
-        modal.className = 'patient-details-modal';
+        modal.className = 'close-case-modal';
         modal.style.cssText = `
             position: fixed;
             top: 0;
@@ -733,67 +1140,33 @@ class EmergencyTriageApp {
             padding: 20px;
         `;
         
-        const priorityColors = {
-            red: '#dc2626',
-            yellow: '#ca8a04',
-            green: '#16a34a',
-            black: '#1f2937'
-        };
-        
         modal.innerHTML = `
-            <div style="background:white;border-radius:12px;padding:30px;max-width:500px;width:100%;max-height:80vh;overflow-y:auto;">
+            <div style="background:white;border-radius:12px;padding:30px;max-width:400px;width:100%;">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-                    <h3 style="margin: 0; color: #dc2626;">Patient Details</h3>
-                    <button onclick="this.closest('.patient-details-modal').remove()" 
+                    <h3 style="margin: 0; color: #dc2626;">🏁 Close Case</h3>
+                    <button onclick="this.closest('.close-case-modal').remove()" 
                         style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
                         ×
                     </button>
                 </div>
                 
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-bottom: 20px;">
-                    <div><strong>ID:</strong> ${patient.id}</div>
-                    <div><strong>Name:</strong> ${patient.name}</div>
-                    <div><strong>Age:</strong> ${patient.age}</div>
-                    <div><strong>Gender:</strong> ${patient.gender}</div>
-                    <div><strong>Priority:</strong> 
-                        <span style="color:${priorityColors[patient.priority]}; font-weight: bold;">
-                            ${patient.priority.toUpperCase()}
-                        </span>
-                    </div>
-                    <div><strong>Status:</strong> ${patient.status}</div>
-                </div>
-                
-                <div style="margin-bottom:20px;">
-                    <strong>Chief Complaint:</strong><br>
-                    ${patient.chiefComplaint}
-                </div>
-                
-                <div style="margin-bottom:20px;">
-                    <strong>Vital Signs:</strong><br>
-                    <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; margin-top: 10px;">
-                        <div>HR: ${patient.vitalSigns.heartRate}</div>
-                        <div>BP: ${patient.vitalSigns.bloodPressure}</div>
-                        <div>RR: ${patient.vitalSigns.respiratoryRate}</div>
-                        <div>SpO₂: ${patient.vitalSigns.oxygenSaturation}</div>
-                        <div>Temp: ${patient.vitalSigns.temperature}</div>
-                    </div>
+                <div style="margin-bottom:15px;">
+                    <strong>${this.escapeHtml(patient.name)}</strong> (${this.escapeHtml(patient.id)}) •
+                    length of stay ${this.formatDuration(this.getLengthOfStay(patient))}
                 </div>
                 
-                ${patient.notes ? `
-                <div style="margin-bottom:20px;">
-                    <strong>Notes:</strong><br>
-                    ${patient.notes}
+                <div class="form-group" style="margin-bottom:15px;">
+                    <label for="closeCaseDestination">Destination <small>(when admitted or transferred)</small></label>
+                    <input type="text" id="closeCaseDestination" placeholder="Hospital, ward or unit" value="${this.escapeHtml(patient.destination || '')}">
                 </div>
-                ` : ''}
                 
-                <div style="margin-bottom:20px;">
-                    <strong>Arrival Time:</strong> ${new Date(patient.timestamp).toLocaleString()}
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px;">
+                    ${outcomes.map(outcome => `
+                        <button class="btn btn-secondary" onclick="app.closeCase(${this.jsArg(patient.id)}, '${outcome}')">
+                            ${statuses[outcome].icon} ${statuses[outcome].label}
+                        </button>
+                    `).join('')}
                 </div>
-                
-                <button onclick="this.closest('.patient-details-modal').remove()" 
-                    style="background:#dc2626;color:white;border:none;padding:12px 24px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
-                    Close
-                </button>
             </div>
         `;
         
@@ -807,421 +1180,4464 @@ class EmergencyTriageApp {
         });
     }
 
-    // ============================================
-    // Dashboard and Statistics
-    // ============================================
-
-    updateDashboard() {
-        const stats = this.calculateStatistics();
+    async closeCase(patientId, outcome) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
         
-        // Update stat cards
-        const statElements = {
-            'statsRed': stats.red,
-            'statsYellow': stats.yellow,
-            'statsPatients': stats.total,
-            'avgWaitTime': `${stats.avgWaitTime}m`,
-            'statsGreen': stats.green,
-            'statsBlack': stats.black,
-            'longestWait': `${stats.longestWait}m`
-        };
+        if (outcome === 'deceased' && (!this.requirePermission('patients.deceased', patientId) || !confirm(`Record ${patient.name} as deceased?`))) {
+            return;
+        }
         
-        Object.entries(statElements).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.textContent = value;
-            }
-        });
+        // Where the patient went only means something for these outcomes
+        const destination = ['admitted', 'transferred'].includes(outcome)
+            ? document.getElementById('closeCaseDestination')?.value.trim() || ''
+            : '';
         
-        // Update charts
-        this.updateCharts(stats);
+        if (await this.changePatientStatus(patientId, outcome, { destination })) {
+            document.querySelector('.close-case-modal')?.remove();
+        }
     }
 
-    calculateStatistics() {
-        const now = Date.now();
-        const waitingTimes = this.patients
-            .filter(p => p.timestamp)
-            .map(p => Math.round((now - new Date(p.timestamp).getTime()) / 60000)); // minutes
-        
-        return {
-            total: this.patients.length,
-            red: this.patients.filter(p => p.priority === 'red').length,
-            yellow: this.patients.filter(p => p.priority === 'yellow').length,
-            green: this.patients.filter(p => p.priority === 'green').length,
-            black: this.patients.filter(p => p.priority === 'black').length,
-            avgWaitTime: waitingTimes.length > 0 ? 
-                Math.round(waitingTimes.reduce((a, b) => a + b) / waitingTimes.length) : 0,
-            longestWait: waitingTimes.length > 0 ? Math.max(...waitingTimes) : 0
-        };
+    renderClosedCasesButton() {
+        const header = document.querySelector('.patients-header');
+        if (!header || document.getElementById('closedCasesBtn')) return;
+        
+        const button = document.createElement('button');
+        button.id = 'closedCasesBtn';
+        button.className = 'btn btn-secondary';
+        button.innerHTML = '🗂️ Closed Cases (<span id="closedCaseCount">0</span>)';
+        button.addEventListener('click', () => this.showClosedCases());
+        header.appendChild(button);
     }
 
-    updateCharts(stats) {
-        const canvas = document.getElementById('triageChart');
-        if (!canvas) return;
-        
-        const ctx = canvas.getContext('2d');
+    showClosedCases() {
+        const statuses = this.getPatientStatuses();
+        const stats = this.calculateStatistics();
+        const levels = this.getPriorityLevels();
+        const closed = this.getClosedPatients()
+            .sort((a, b) => new Date(b.closedAt || b.timestamp) - new Date(a.closedAt || a.timestamp));
         
-        // Clear canvas
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const modal = document.createElement('div');
+        modal.className = 'closed-cases-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:600px;width:100%;max-height:80vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">🗂️ Closed Cases</h3>
+                    <button onclick="this.closest('.closed-cases-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; margin-bottom: 20px; text-align: center;">
+                    <div><strong>${stats.closed}</strong><br><small>Closed</small></div>
+                    <div><strong>${stats.throughputPerHour}/h</strong><br><small>Throughput (${stats.closedLastHour} last hour)</small></div>
+                    <div><strong>${this.formatDuration(stats.avgLengthOfStay)}</strong><br><small>Avg length of stay</small></div>
+                </div>
+                
+                <div style="margin-bottom:20px;">
+                    ${Object.entries(stats.outcomes).map(([outcome, count]) => `
+                        <span style="margin-right:12px;">${statuses[outcome].icon} ${statuses[outcome].label}: <strong>${count}</strong></span>
+                    `).join('')}
+                </div>
+                
+                ${closed.length === 0 ? `
+                    <p style="text-align: center; color: #6b7280;">No closed cases yet.</p>
+                ` : closed.map(patient => `
+                    <div class="patient-item" style="cursor:pointer;" onclick="this.closest('.closed-cases-modal').remove(); app.showPatientDetails(${this.jsArg(patient.id)})">
+                        <div class="patient-priority priority-${this.getPatientLevel(patient, levels)?.key || patient.priority}">${this.getPatientLevel(patient, levels)?.short || 'P?'}</div>
+                        <div class="patient-info">
+                            <div class="patient-name">${this.escapeHtml(patient.name)} (${this.escapeHtml(patient.id)})</div>
+                            <div class="patient-details">
+                                <span class="patient-complaint">${statuses[this.getPatientStatus(patient)].icon} ${statuses[this.getPatientStatus(patient)].label}</span>
+                                <span class="patient-time">${patient.closedAt ? this.getTimeAgo(patient.closedAt) : ''} • stay ${this.formatDuration(this.getLengthOfStay(patient))}</span>
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    showPatientDetails(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        // Create modal
+        const modal = document.createElement('div');
+        modal.className = 'patient-details-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        const priorityColors = {
+            red: '#dc2626',
+            yellow: '#ca8a04',
+            green: '#16a34a',
+            black: '#1f2937'
+        };
+        
+        const observations = this.getObservations(patient);
+        const trendSeries = this.getTrendSeries(observations);
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:500px;width:100%;max-height:80vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">Patient Details</h3>
+                    <button onclick="this.closest('.patient-details-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; margin-bottom: 20px;">
+                    <div><strong>ID:</strong> ${this.escapeHtml(patient.id)}</div>
+                    <div><strong>Name:</strong> ${this.escapeHtml(patient.name)}</div>
+                    <div><strong>Age:</strong> ${patient.age ?? 'Unknown'}</div>
+                    <div><strong>Gender:</strong> ${patient.gender}</div>
+                    <div><strong>Priority:</strong> 
+                        <span style="color:${priorityColors[patient.priority]}; font-weight: bold;">
+                            ${patient.priority.toUpperCase()}${patient.esiLevel ? ` (ESI ${patient.esiLevel})` : ''}
+                        </span>
+                    </div>
+                    <div><strong>Status:</strong> ${this.getPatientStatuses()[this.getPatientStatus(patient)].label}</div>
+                    <div><strong>Length of Stay:</strong> ${this.formatDuration(this.getLengthOfStay(patient))}</div>
+                    <div><strong>Assigned To:</strong> ${patient.assignedTo ? this.escapeHtml(patient.assignedTo) : 'Unassigned'}</div>
+                    ${patient.destination ? `<div><strong>Destination:</strong> ${this.escapeHtml(patient.destination)}</div>` : ''}
+                </div>
+                
+                ${this.renderExpectantRequest(patient)}
+                ${this.renderIdCollision(patient)}
+                ${this.renderConflicts(patient)}
+                
+                <div style="margin-bottom:20px;">
+                    <strong>Timeline:</strong>
+                    <ul style="margin: 8px 0 0 18px;">
+                        ${this.getPatientTimeline(patient).map(entry => `
+                            <li>${this.escapeHtml(entry.text)} –
+                                <small>${new Date(entry.timestamp).toLocaleString()}${entry.user ? ` by ${this.escapeHtml(entry.user)}` : ''}</small></li>
+                        `).join('')}
+                    </ul>
+                </div>
+                
+                ${patient.triageAssessment ? `
+                <div style="margin-bottom:20px;">
+                    <strong>Triage Protocol:</strong> ${this.escapeHtml(patient.triageAssessment.protocolName)}<br>
+                    <small>${this.escapeHtml(patient.triageAssessment.explanation)}</small>
+                    ${patient.triageAssessment.breakdown ? this.renderScoreBreakdown(patient.triageAssessment) : ''}
+                </div>
+                ` : ''}
+                
+                ${patient.triageAnswers?.length ? `
+                <div style="margin-bottom:20px;">
+                    <strong>Triage Steps:</strong>
+                    <ol style="margin: 8px 0 0 18px;">
+                        ${patient.triageAnswers.map(a => `<li>${this.escapeHtml(a.question)} <strong>${this.escapeHtml(a.answer)}</strong></li>`).join('')}
+                    </ol>
+                </div>
+                ` : ''}
+                
+                <div style="margin-bottom:20px;">
+                    <strong>Chief Complaint:</strong><br>
+                    ${this.escapeHtml(patient.chiefComplaint)}
+                </div>
+                
+                <div style="margin-bottom:20px;">
+                    <strong>Vital Signs:</strong><br>
+                    <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; margin-top: 10px;">
+                        <div>HR: ${patient.vitalSigns.heartRate}</div>
+                        <div>BP: ${patient.vitalSigns.bloodPressure}</div>
+                        <div>RR: ${patient.vitalSigns.respiratoryRate}</div>
+                        <div>SpO₂: ${patient.vitalSigns.oxygenSaturation}</div>
+                        <div>Temp: ${patient.vitalSigns.temperature}</div>
+                    </div>
+                </div>
+                
+                <div style="margin-bottom:20px;">
+                    <strong>Observation Trends (${observations.length} set${observations.length === 1 ? '' : 's'}):</strong>
+                    <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px; margin-top: 10px;">
+                        ${trendSeries.map((series, index) => `
+                            <div>
+                                <small>${series.label}${series.unit ? ` (${series.unit})` : ''}</small>
+                                <canvas class="trend-chart" data-series="${index}" width="200" height="70" style="width:100%;background:#f9fafb;border-radius:6px;"></canvas>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <button onclick="this.closest('.patient-details-modal').remove(); app.showObservationForm(${this.jsArg(patient.id)})"
+                        style="margin-top:10px;background:#e5e7eb;color:#374151;border:none;padding:10px 16px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
+                        📈 Record Repeat Observations
+                    </button>
+                </div>
+                
+                ${patient.notes ? `
+                <div style="margin-bottom:20px;">
+                    <strong>Notes:</strong><br>
+                    ${this.escapeHtml(patient.notes)}
+                </div>
+                ` : ''}
+                
+                <div style="margin-bottom:20px;">
+                    <strong>Arrival Time:</strong> ${new Date(patient.timestamp).toLocaleString()}
+                </div>
+                
+                <button onclick="this.closest('.patient-details-modal').remove(); app.showEditPatientForm(${this.jsArg(patient.id)})"
+                    style="margin-bottom:10px;background:#e5e7eb;color:#374151;border:none;padding:12px 24px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
+                    ✏️ Edit Patient
+                </button>
+                
+                ${this.can('handoff.send') ? `
+                    <button onclick="this.closest('.patient-details-modal').remove(); app.startHandoffSend([${this.jsArg(patient.id)}])"
+                        style="margin-bottom:10px;background:#e5e7eb;color:#374151;border:none;padding:12px 24px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
+                        📲 Hand Over by QR
+                    </button>
+                ` : ''}
+                
+                ${this.can('data.export') ? `
+                <button onclick="this.closest('.patient-details-modal').remove(); app.exportData(${this.jsArg(this.getPatientIncidentId(patient))}, 'tep', [${this.jsArg(patient.id)}])"
+                    style="margin-bottom:10px;background:#e5e7eb;color:#374151;border:none;padding:12px 24px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
+                    📡 Export EDXL-TEP Message
+                </button>
+                ` : ''}
+                
+                <button onclick="this.closest('.patient-details-modal').remove(); app.showTriageTagOptions(${this.jsArg(patient.id)})"
+                    style="margin-bottom:10px;background:#e5e7eb;color:#374151;border:none;padding:12px 24px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
+                    🏷️ Print Triage Tag
+                </button>
+                
+                <button onclick="this.closest('.patient-details-modal').remove()" 
+                    style="background:#dc2626;color:white;border:none;padding:12px 24px;border-radius:8px;cursor:pointer;width:100%;font-weight:600;">
+                    Close
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('.trend-chart').forEach(canvas => {
+            const series = trendSeries[canvas.dataset.series];
+            this.drawTrendChart(canvas, series.points, series.color);
+        });
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    renderScoreBreakdown(assessment) {
+        return `
+            <table style="width:100%;margin-top:10px;border-collapse:collapse;font-size:14px;">
+                ${assessment.breakdown.map(item => `
+                    <tr style="border-bottom:1px solid #e5e7eb;">
+                        <td style="padding:4px 0;">${this.escapeHtml(item.label)}</td>
+                        <td style="padding:4px 0;color:${item.value === null ? '#9ca3af' : 'inherit'};">
+                            ${item.value === null ? 'Not recorded' : this.escapeHtml(String(item.value))}
+                        </td>
+                        <td style="padding:4px 0;text-align:right;font-weight:bold;">${item.points === null ? '–' : item.points}</td>
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td colspan="2" style="padding:4px 0;"><strong>Total</strong>
+                        ${assessment.partial ? '<span style="color:#ca8a04;font-weight:600;"> (partial)</span>' : ''}
+                    </td>
+                    <td style="padding:4px 0;text-align:right;font-weight:bold;">${assessment.score}</td>
+                </tr>
+            </table>
+        `;
+    }
+
+    // ============================================
+    // Patient Editing and History
+    // ============================================
+
+    getEditableFields() {
+        return [
+            { id: 'name', label: 'Name', type: 'text', required: true },
+            { id: 'age', label: 'Age', type: 'number' },
+            {
+                id: 'gender', label: 'Gender', type: 'select',
+                options: [
+                    { value: 'male', label: 'Male' },
+                    { value: 'female', label: 'Female' },
+                    { value: 'other', label: 'Other' },
+                    { value: 'unknown', label: 'Unknown' }
+                ]
+            },
+            { id: 'chiefComplaint', label: 'Chief Complaint', type: 'text', required: true },
+            { id: 'notes', label: 'Notes', type: 'textarea' }
+        ];
+    }
+
+    // Local edits need pushing on the next sync; the revision says which fields this device touched
+    markPatientModified(patient, timestamp = new Date().toISOString(), fields = []) {
+        patient.updatedAt = timestamp;
+        patient.syncStatus = 'pending';
+        this.stampRevision(patient, fields);
+    }
+
+    stampRevision(patient, fields = []) {
+        if (!this.clock || this.clock.node !== this.currentUser.id) {
+            this.clock = new HybridLogicalClock(this.currentUser.id);
+        }
+        PatientMerge.stamp(patient, this.currentUser.id, this.clock.now(), fields);
+    }
+
+    recordPatientChange(patient, field, oldValue, newValue, reason = null, extra = {}) {
+        const change = {
+            field,
+            oldValue,
+            newValue,
+            author: this.currentUser.name,
+            authorId: this.currentUser.id,
+            timestamp: new Date().toISOString(),
+            ...(reason ? { reason } : {}),
+            ...extra
+        };
+        patient.changeHistory = [...(patient.changeHistory || []), change];
+        this.markPatientModified(patient, change.timestamp, [field, 'changeHistory']);
+        this.audit(field === 'priority' ? 'priority_changed' : 'patient_updated', patient.id, change);
+        return change;
+    }
+
+    retriagePatient(patient, level, reason, { protocol = this.getTriageProtocol(), assessment = null } = {}) {
+        const levels = this.getPriorityLevels(protocol);
+        const current = this.getPatientLevel(patient, levels);
+        
+        // Marked so a sync merge honours a deliberate down-triage instead of keeping the more severe level
+        const downTriage = Boolean(current) && level.priority !== 'black' && level.value > current.value;
+        this.recordPatientChange(patient, 'priority', current ? current.key : patient.priority, level.key, reason,
+            downTriage ? { downTriage } : {});
+        patient.priority = level.priority;
+        if (protocol.levelField) {
+            patient[protocol.levelField] = level.value;
+        }
+        // Any deliberate re-triage settles a pending Expectant request
+        if (patient.expectantRequest) {
+            delete patient.expectantRequest;
+            this.markPatientModified(patient, undefined, ['expectantRequest']);
+        }
+        if (assessment) {
+            patient.triageAssessment = assessment;
+        }
+    }
+
+    getPatientTimeline(patient) {
+        const statuses = this.getPatientStatuses();
+        const levels = this.getPriorityLevels();
+        const levelTitle = (key) => levels.find(level => level.key === key)?.title || String(key).toUpperCase();
+        const fieldLabel = (id) => this.getEditableFields().find(field => field.id === id)?.label ||
+            ({ assignedTo: 'Assigned to' })[id] || id;
+        
+        const statusEntries = this.getStatusHistory(patient).map(entry => ({
+            timestamp: entry.timestamp,
+            user: entry.user,
+            text: `Status: ${statuses[entry.status]?.label || entry.status}`
+        }));
+        
+        // The first observation is the intake set, already covered by arrival
+        const observationEntries = this.getObservations(patient).slice(1).map(observation => ({
+            timestamp: observation.timestamp,
+            user: observation.recordedBy,
+            text: `Observations recorded${typeof observation.assessment?.score === 'number' ? ` (score ${observation.assessment.score})` : ''}`
+        }));
+        
+        const changeEntries = (patient.changeHistory || []).map(change => ({
+            timestamp: change.timestamp,
+            user: change.author,
+            text: change.field === 'priority'
+                ? `Re-triaged ${levelTitle(change.oldValue)} → ${levelTitle(change.newValue)}: ${change.reason}`
+                : `${fieldLabel(change.field)} changed from "${change.oldValue ?? ''}" to "${change.newValue ?? ''}"`
+        }));
+        
+        return [...statusEntries, ...observationEntries, ...changeEntries]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    showEditPatientForm(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        const levels = this.getPriorityLevels();
+        // Null when this protocol has no level for the stored priority; then any choice is a re-triage
+        const current = this.getPatientLevel(patient, levels);
+        
+        const modal = document.createElement('div');
+        modal.className = 'edit-patient-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:500px;width:100%;max-height:80vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">✏️ Edit ${this.escapeHtml(patient.id)}</h3>
+                    <button onclick="this.closest('.edit-patient-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                ${this.getEditableFields().map(field => {
+                    const value = this.escapeHtml(String(patient[field.id] ?? ''));
+                    return `
+                        <div style="margin-bottom:15px;">
+                            <label for="edit-${field.id}" style="display:block;font-weight:600;margin-bottom:5px;">${field.label}</label>
+                            ${field.type === 'select' ? `
+                                <select id="edit-${field.id}" style="width:100%;padding:8px;">
+                                    ${field.options.map(o => `<option value="${o.value}" ${patient[field.id] === o.value ? 'selected' : ''}>${o.label}</option>`).join('')}
+                                </select>
+                            ` : field.type === 'textarea' ? `
+                                <textarea id="edit-${field.id}" rows="3" style="width:100%;padding:8px;">${value}</textarea>
+                            ` : `
+                                <input type="${field.type}" id="edit-${field.id}" value="${value}" style="width:100%;padding:8px;">
+                            `}
+                        </div>
+                    `;
+                }).join('')}
+                
+                <div style="margin-bottom:15px;">
+                    <label for="edit-priority" style="display:block;font-weight:600;margin-bottom:5px;">Priority</label>
+                    <select id="edit-priority" style="width:100%;padding:8px;"
+                        onchange="document.getElementById('edit-retriage').style.display = this.value === ${current ? this.jsArg(current.key) : 'null'} ? 'none' : 'block'">
+                        ${current ? '' : `<option value="" selected disabled>Choose a level (was ${this.escapeHtml(patient.priority || 'not set')})</option>`}
+                        ${levels.map(level => `<option value="${level.key}" ${level === current ? 'selected' : ''}>${level.title}</option>`).join('')}
+                    </select>
+                </div>
+                
+                <div id="edit-retriage" style="margin-bottom:15px;display:${current ? 'none' : 'block'};">
+                    <label for="edit-reason" style="display:block;font-weight:600;margin-bottom:5px;">Reason for re-triage (required)</label>
+                    <textarea id="edit-reason" rows="2" style="width:100%;padding:8px;"></textarea>
+                </div>
+                
+                <div style="display:flex;gap:15px;">
+                    <button class="btn btn-secondary" onclick="this.closest('.edit-patient-modal').remove()" style="flex:1;">
+                        Cancel
+                    </button>
+                    <button class="btn btn-primary" onclick="app.savePatientEdits(${this.jsArg(patient.id)})" style="flex:1;">
+                        Save Changes
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    async savePatientEdits(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        const fields = this.getEditableFields();
+        const values = {};
+        for (const field of fields) {
+            const raw = document.getElementById(`edit-${field.id}`).value.trim();
+            if (field.required && !raw) {
+                this.showNotification(`${field.label} is required`, 'error');
+                return;
+            }
+            values[field.id] = field.type === 'number' ? (raw === '' ? null : parseInt(raw)) : raw;
+        }
+        
+        const levels = this.getPriorityLevels();
+        const current = this.getPatientLevel(patient, levels);
+        const level = levels.find(l => l.key === document.getElementById('edit-priority').value);
+        if (!level && !current) {
+            this.showNotification('Choose a priority level', 'error');
+            document.getElementById('edit-priority').focus();
+            return;
+        }
+        const retriage = level && level !== current;
+        const reason = document.getElementById('edit-reason').value.trim();
+        
+        if (retriage && !reason) {
+            this.showNotification('A reason is required to re-triage', 'error');
+            document.getElementById('edit-reason').focus();
+            return;
+        }
+        if (retriage && level.priority === 'black' && !this.requirePermission('triage.black', patient.id)) {
+            return;
+        }
+        
+        const changed = fields.filter(field => (patient[field.id] ?? '') !== (values[field.id] ?? ''));
+        if (changed.length === 0 && !retriage) {
+            this.showNotification('No changes to save', 'info');
+            return;
+        }
+        
+        changed.forEach(field => {
+            this.recordPatientChange(patient, field.id, patient[field.id] ?? null, values[field.id]);
+            patient[field.id] = values[field.id];
+        });
+        if (retriage) {
+            this.retriagePatient(patient, level, reason);
+        }
+        
+        await this.savePatient(patient);
+        
+        document.querySelector('.edit-patient-modal')?.remove();
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+        
+        this.showNotification(`Updated ${patient.name}`, 'success');
+        this.logEvent('patient_edited', {
+            patientId,
+            fields: [...changed.map(field => field.id), ...(retriage ? ['priority'] : [])]
+        });
+        
+        if (retriage && patient.priority === 'red') {
+            this.triggerEmergencyProtocol(patient);
+        }
+    }
+
+    // ============================================
+    // Sync Conflicts
+    // ============================================
+
+    describeConflictValues(values) {
+        const statuses = this.getPatientStatuses();
+        return Object.entries(values)
+            .filter(([, value]) => value === null || typeof value !== 'object')
+            .map(([field, value]) => {
+                if (field === 'status') return statuses[value]?.label || value;
+                if (field === 'closedAt' || value === null) return null;
+                return `${field === 'esiLevel' ? 'ESI ' : ''}${value}`;
+            })
+            .filter(Boolean)
+            .join(' · ') || '(empty)';
+    }
+
+    renderExpectantRequest(patient) {
+        const request = patient.expectantRequest;
+        if (!request) return '';
+        
+        const current = this.getPatientLevel(patient);
+        return `
+            <div style="margin-bottom:20px;padding:12px;border:2px solid #1f2937;border-radius:8px;background:#f3f4f6;">
+                <strong>⚫ Expectant awaiting a physician</strong>
+                <p style="margin:6px 0 10px;"><small>
+                    Triaged as Expectant by ${this.escapeHtml(request.requestedBy?.name || 'unknown')} at ${new Date(request.requestedAt).toLocaleString()}.
+                    Kept at ${this.escapeHtml(current ? current.title : patient.priority)} until a physician confirms it or re-triages the patient.
+                </small></p>
+                ${this.can('triage.black') ? `
+                    <button onclick="this.closest('.patient-details-modal').remove(); app.confirmExpectant(${this.jsArg(patient.id)})"
+                        style="background:#1f2937;color:white;border:none;padding:6px 12px;border-radius:6px;cursor:pointer;font-weight:600;">
+                        Confirm Expectant
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    createExpectantRequest() {
+        return { requestedBy: UserAccounts.toRef(this.currentUser), requestedAt: new Date().toISOString() };
+    }
+
+    async confirmExpectant(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient?.expectantRequest || !this.requirePermission('triage.black', patientId)) return;
+        
+        const level = this.getPriorityLevels().find(l => l.priority === 'black');
+        this.retriagePatient(patient, level, `Expectant confirmed (triaged by ${patient.expectantRequest.requestedBy?.name || 'unknown'})`);
+        await this.savePatient(patient);
+        
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+        
+        this.showNotification(`${patient.name} confirmed as Expectant`, 'success');
+        this.logEvent('expectant_confirmed', { patientId });
+    }
+
+    renderIdCollision(patient) {
+        const collision = patient.idCollision;
+        if (!collision) return '';
+        
+        return `
+            <div style="margin-bottom:20px;padding:12px;border:2px solid #dc2626;border-radius:8px;background:#fef2f2;">
+                <strong>⚠️ ID already in use</strong>
+                <p style="margin:6px 0 10px;"><small>
+                    The server holds a different patient under ${this.escapeHtml(patient.id)}${collision.registeredBy ? `, registered by ${this.escapeHtml(collision.registeredBy)}` : ''}${collision.registeredAt ? ` at ${new Date(collision.registeredAt).toLocaleString()}` : ''}.
+                    This record is not synced until it has an ID of its own.
+                </small></p>
+                <button onclick="this.closest('.patient-details-modal').remove(); app.reassignPatientId(${this.jsArg(patient.id)})"
+                    style="background:#dc2626;color:white;border:none;padding:6px 12px;border-radius:6px;cursor:pointer;font-weight:600;">
+                    Give a new ID
+                </button>
+            </div>
+        `;
+    }
+
+    // The record moves to a fresh ID from this device; the server's patient under the old one is then pulled in
+    async reassignPatientId(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient?.idCollision) return;
+        
+        const prefix = /^[A-Za-z]+(?=-)/.exec(patientId)?.[0].toUpperCase() || 'PAT';
+        const renamed = { ...patient, id: this.issuePatientId(prefix) };
+        delete renamed.idCollision;
+        delete renamed.serverSeq;
+        this.recordPatientChange(renamed, 'id', patientId, renamed.id, 'ID already used by another patient on the server');
+        
+        await this.patientStore.evict([patientId]);
+        this.patients = this.patients.map(p => p === patient ? renamed : p);
+        await this.savePatient(renamed, 'create');
+        this.renderPatients();
+        
+        this.showNotification(`${patient.name} is now ${renamed.id}; replace the triage tag`, 'warning');
+        this.logEvent('patient_id_reassigned', { from: patientId, to: renamed.id });
+        
+        const pulled = await this.sendMessageToSW('PULL_PATIENT', { id: patientId });
+        if (pulled?.applied) {
+            await this.refreshFromStore();
+        }
+    }
+
+    renderConflicts(patient) {
+        const conflicts = PatientMerge.unresolvedConflicts(patient);
+        if (conflicts.length === 0) return '';
+        
+        return `
+            <div style="margin-bottom:20px;padding:12px;border:2px solid #f59e0b;border-radius:8px;background:#fffbeb;">
+                <strong>⚠️ Sync Conflicts (${conflicts.length}):</strong>
+                <p style="margin:6px 0 10px;"><small>Two devices changed these fields while offline. The value in use is marked; choose the one to keep.</small></p>
+                ${conflicts.map(conflict => `
+                    <div style="margin-bottom:10px;">
+                        <div style="font-weight:600;margin-bottom:4px;">${this.escapeHtml(conflict.field)}</div>
+                        ${conflict.options.map((option, index) => `
+                            <div style="display:flex;justify-content:space-between;align-items:center;gap:8px;padding:6px 0;border-top:1px solid #fde68a;">
+                                <div>
+                                    ${this.escapeHtml(this.describeConflictValues(option.values))}
+                                    ${index === conflict.kept ? '<small style="color:#16a34a;font-weight:600;"> (in use)</small>' : ''}<br>
+                                    <small>${option.node ? `from ${this.escapeHtml(option.node)}` : 'earlier version'}</small>
+                                </div>
+                                <button onclick="app.resolveConflict(${this.jsArg(patient.id)}, ${this.jsArg(conflict.id)}, ${index})"
+                                    style="background:#e5e7eb;color:#374151;border:none;padding:6px 12px;border-radius:6px;cursor:pointer;font-weight:600;">
+                                    Use this
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Apply the chosen side as an ordinary edit so it reaches every device with a newer revision
+    async resolveConflict(patientId, conflictId, optionIndex) {
+        const patient = this.patients.find(p => p.id === patientId);
+        const conflict = patient?.conflicts?.find(c => c.id === conflictId);
+        const option = conflict?.options[optionIndex];
+        if (!option) {
+            this.showNotification('Conflict not found', 'error');
+            return;
+        }
+        
+        const reason = 'Sync conflict resolved';
+        Object.entries(option.values).forEach(([field, value]) => {
+            if (JSON.stringify(patient[field] ?? null) === JSON.stringify(value)) return;
+            
+            // Fields that travel with the conflicting one are carried along without their own history entry
+            if (field === conflict.field) {
+                this.recordPatientChange(patient, field, patient[field] ?? null, value, reason);
+            }
+            if (field === 'status') {
+                patient.statusHistory = [...this.getStatusHistory(patient), this.createStatusEntry(value)];
+            }
+            patient[field] = value;
+        });
+        
+        conflict.resolvedAt = new Date().toISOString();
+        conflict.resolvedBy = this.currentUser.name;
+        conflict.kept = optionIndex;
+        this.markPatientModified(patient, conflict.resolvedAt, ['conflicts', ...Object.keys(option.values)]);
+        
+        await this.savePatient(patient);
+        
+        document.querySelector('.patient-details-modal')?.remove();
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+        this.showPatientDetails(patientId);
+        
+        this.showNotification(`Conflict on ${conflict.field} resolved for ${patient.name}`, 'success');
+        this.logEvent('conflict_resolved', { patientId, field: conflict.field });
+        this.audit('conflict_resolved', patientId, { conflictId, field: conflict.field, values: option.values });
+    }
+
+    // ============================================
+    // Serial Observations
+    // ============================================
+
+    getVitalFields() {
+        return [
+            { id: 'heartRate', vitalKey: 'heartRate', label: 'HR', unit: 'bpm', color: '#dc2626' },
+            { id: 'bloodPressureSystolic', vitalKey: 'bloodPressure', label: 'BP Sys', unit: 'mmHg', color: '#7c3aed' },
+            { id: 'respiratoryRate', vitalKey: 'respiratoryRate', label: 'RR', unit: 'rpm', color: '#2563eb' },
+            { id: 'oxygenSaturation', vitalKey: 'oxygenSaturation', label: 'SpO₂', unit: '%', color: '#0891b2' },
+            { id: 'temperature', vitalKey: 'temperature', label: 'Temp', unit: '°C', step: 0.1, color: '#ca8a04' }
+        ];
+    }
+
+    // Non-vital protocol inputs that can be reassessed with each set
+    getObservationInputs(protocol) {
+        return protocol.inputs.filter(input => input.type !== 'vital' && !input.wizardOnly);
+    }
+
+    getPatientProtocol(patient) {
+        return this.getTriageProtocol({ age: patient.age ?? '', pediatricSize: patient.pediatricSize || '' });
+    }
+
+    pickObservationValues(data, protocol) {
+        const values = {};
+        [...this.getVitalFields(), ...this.getObservationInputs(protocol)].forEach(field => {
+            if (data[field.id] !== undefined && data[field.id] !== '') {
+                values[field.id] = data[field.id];
+            }
+        });
+        return values;
+    }
+
+    createObservation(values, assessment) {
+        return {
+            timestamp: new Date().toISOString(),
+            recordedBy: this.currentUser.name,
+            recordedById: this.currentUser.id,
+            values,
+            assessment: assessment ? {
+                protocol: assessment.protocol,
+                score: assessment.score,
+                category: assessment.category,
+                level: assessment.level || null,
+                partial: assessment.partial || false,
+                explanation: assessment.explanation
+            } : null
+        };
+    }
+
+    getObservations(patient) {
+        if (patient.observations?.length) {
+            return patient.observations;
+        }
+        
+        // Patients saved before serial observations only have the intake snapshot
+        const values = {};
+        this.getVitalFields().forEach(field => {
+            const value = patient.vitalSigns?.[field.vitalKey];
+            if (value !== undefined && value !== 'Not recorded') {
+                values[field.id] = value;
+            }
+        });
+        return [{ timestamp: patient.timestamp, recordedBy: null, values, assessment: null }];
+    }
+
+    getTrendSeries(observations) {
+        const series = this.getVitalFields().map(field => ({
+            label: field.label,
+            unit: field.unit,
+            color: field.color,
+            points: observations
+                .filter(o => TriageProtocols.readNumber(o.values[field.id]) !== null)
+                .map(o => ({ time: o.timestamp, value: TriageProtocols.readNumber(o.values[field.id]) }))
+        }));
+        
+        // Protocols with a numeric score (standard, NEWS2, ESI) get their own trend line
+        const scored = observations.filter(o => typeof o.assessment?.score === 'number');
+        if (scored.length > 0) {
+            series.push({
+                label: `${TriageProtocols.get(scored[0].assessment.protocol).name} score`,
+                unit: '',
+                color: '#1f2937',
+                points: scored.map(o => ({ time: o.timestamp, value: o.assessment.score }))
+            });
+        }
+        
+        return series;
+    }
+
+    drawTrendChart(canvas, points, color) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = 10;
+        
+        // Clear canvas
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px Arial';
+        
+        if (points.length === 0) {
+            ctx.fillStyle = '#9ca3af';
+            ctx.textAlign = 'center';
+            ctx.fillText('Not recorded', width / 2, height / 2 + 4);
+            return;
+        }
+        
+        const values = points.map(p => p.value);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+        const x = (index) => points.length === 1 ? width / 2 : padding + (index / (points.length - 1)) * (width - padding * 2);
+        const y = (value) => height - padding - ((value - min) / range) * (height - padding * 2 - 14);
+        
+        // Draw line
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(x(index), y(point.value));
+            } else {
+                ctx.lineTo(x(index), y(point.value));
+            }
+        });
+        ctx.stroke();
+        
+        // Draw points
+        ctx.fillStyle = color;
+        points.forEach((point, index) => {
+            ctx.beginPath();
+            ctx.arc(x(index), y(point.value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Draw latest value
+        ctx.fillStyle = '#374151';
+        ctx.textAlign = 'right';
+        ctx.fillText(values[values.length - 1].toString(), width - 4, 12);
+    }
+
+    showObservationForm(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        const protocol = this.getPatientProtocol(patient);
+        const observations = this.getObservations(patient);
+        const previous = observations[observations.length - 1].values;
+        
+        const modal = document.createElement('div');
+        modal.className = 'observation-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:500px;width:100%;max-height:80vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">📈 Repeat Observations</h3>
+                    <button onclick="this.closest('.observation-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                <div style="margin-bottom:15px;">
+                    <strong>${this.escapeHtml(patient.name)}</strong> (${this.escapeHtml(patient.id)}) •
+                    last set ${this.getTimeAgo(observations[observations.length - 1].timestamp)}
+                </div>
+                
+                <div class="protocol-fields-grid" style="margin-bottom:15px;">
+                    ${this.getVitalFields().map(field => `
+                        <div class="protocol-field">
+                            <label for="obs-${field.id}">${field.label} (${field.unit})</label>
+                            <input type="number" id="obs-${field.id}" step="${field.step || 1}"
+                                placeholder="${previous[field.id] !== undefined ? `Last: ${previous[field.id]}` : field.unit}">
+                        </div>
+                    `).join('')}
+                    ${this.getObservationInputs(protocol).map(input => this.renderProtocolInput(input, 'obs-', previous[input.id] || '')).join('')}
+                </div>
+                
+                <div style="display:flex;gap:15px;">
+                    <button class="btn btn-secondary" onclick="this.closest('.observation-modal').remove()" style="flex:1;">
+                        Cancel
+                    </button>
+                    <button class="btn btn-primary" onclick="app.recordObservation(${this.jsArg(patient.id)})" style="flex:1;">
+                        Save Observations
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    async recordObservation(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        const protocol = this.getPatientProtocol(patient);
+        const values = {};
+        [...this.getVitalFields(), ...this.getObservationInputs(protocol)].forEach(field => {
+            const element = document.getElementById(`obs-${field.id}`);
+            if (element && element.value !== '') {
+                values[field.id] = element.value;
+            }
+        });
+        
+        if (this.getVitalFields().every(field => values[field.id] === undefined)) {
+            this.showNotification('Enter at least one vital sign', 'error');
+            return;
+        }
+        
+        const assessment = TriageProtocols.evaluate(protocol.id, {
+            ...values,
+            age: patient.age ?? '',
+            pediatricSize: patient.pediatricSize || ''
+        });
+        const observation = this.createObservation(values, assessment);
+        
+        patient.observations = [...this.getObservations(patient), observation];
+        this.getVitalFields().forEach(field => {
+            if (values[field.id] !== undefined) {
+                patient.vitalSigns[field.vitalKey] = values[field.id];
+            }
+        });
+        this.markPatientModified(patient, observation.timestamp, ['observations', 'vitalSigns']);
+        
+        await this.savePatient(patient);
+        
+        document.querySelector('.observation-modal')?.remove();
+        this.renderPatients();
+        this.showNotification(`Observations recorded for ${patient.name}`, 'success');
+        this.logEvent('observation_recorded', { patientId, score: assessment.score, category: assessment.category });
+        this.audit('observation_recorded', patientId, {
+            values,
+            protocol: assessment.protocol,
+            score: assessment.score,
+            category: assessment.category
+        });
+        
+        await this.checkDeterioration(patient, assessment);
+    }
+
+    // Suggest up-triage when the recomputed assessment crosses into a more severe level
+    async checkDeterioration(patient, assessment) {
+        const protocol = TriageProtocols.get(assessment.protocol);
+        const levels = this.getPriorityLevels(protocol);
+        const suggested = levels.find(level => level.key === (assessment.level || assessment.category));
+        const current = this.getPatientLevel(patient, levels);
+        
+        if (!suggested || !current || suggested.priority === 'black') return false;
+        // Expectant sorts after every other level but is a deliberate decision, not one to undo from vitals
+        if (current.priority === 'black') return false;
+        if (levels.indexOf(suggested) >= levels.indexOf(current)) return false;
+        
+        this.showNotification(`⚠️ ${patient.name} is deteriorating: ${assessment.explanation}`, 'warning');
+        if (navigator.vibrate) {
+            navigator.vibrate([200, 100, 200]);
+        }
+        
+        if (!confirm(`${patient.name} now meets ${suggested.title}.\n${assessment.explanation}\n\nUp-triage from ${current.title}?`)) {
+            this.logEvent('uptriage_declined', { patientId: patient.id, suggested: suggested.key });
+            this.audit('uptriage_declined', patient.id, { current: current.key, suggested: suggested.key, explanation: assessment.explanation });
+            return false;
+        }
+        
+        this.retriagePatient(patient, suggested, `Deterioration: ${assessment.explanation}`, { protocol, assessment });
+        
+        await this.savePatient(patient);
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+        
+        if (patient.priority === 'red') {
+            this.triggerEmergencyProtocol(patient);
+        }
+        
+        this.logEvent('patient_uptriaged', { patientId: patient.id, from: current.key, to: suggested.key });
+        return true;
+    }
+
+    // ============================================
+    // Incidents
+    // ============================================
+
+    getIncidentTypes() {
+        return {
+            traffic: { label: 'Traffic collision', icon: '🚌' },
+            fire: { label: 'Fire', icon: '🔥' },
+            hazmat: { label: 'Hazardous materials', icon: '☣️' },
+            collapse: { label: 'Structural collapse', icon: '🏚️' },
+            natural: { label: 'Natural disaster', icon: '🌪️' },
+            mass_gathering: { label: 'Mass gathering', icon: '🎪' },
+            medical: { label: 'Medical', icon: '🩺' },
+            other: { label: 'Other', icon: '📍' }
+        };
+    }
+
+    createIncidentRecord({ id = null, name, type = 'other', location = '', startedAt = null }) {
+        return {
+            id: id || `INC-${Date.now().toString(36).toUpperCase()}`,
+            name,
+            type,
+            location,
+            startedAt: startedAt || new Date().toISOString(),
+            endedAt: null,
+            status: 'open',
+            mciMode: false,
+            triageProtocol: null,
+            createdBy: this.currentUser?.name || null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Records from before incidents existed belong to General
+    getPatientIncidentId(patient) {
+        return patient.incidentId || 'general';
+    }
+
+    getIncident(incidentId = this.activeIncidentId) {
+        return this.incidents.find(incident => incident.id === incidentId) || null;
+    }
+
+    getIncidentPatients(incidentId = this.activeIncidentId) {
+        return this.patients.filter(patient => this.getPatientIncidentId(patient) === incidentId);
+    }
+
+    async loadIncidents() {
+        this.incidents = await this.patientStore.getIncidents();
+        await this.discoverIncidents();
+        
+        // Resume the last incident unless it has since been archived
+        const saved = JSON.parse(localStorage.getItem('active-incident') || 'null');
+        const newestOpen = this.incidents
+            .filter(incident => incident.status === 'open')
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))[0];
+        this.activeIncidentId = this.getIncident(saved) && this.getIncident(saved).status !== 'archived'
+            ? saved
+            : (newestOpen || this.incidents[0]).id;
+    }
+
+    // Imports, handoffs and other devices can bring patients from incidents this device has not
+    // seen; keep the incident records that came with them and add a placeholder for the rest
+    async discoverIncidents(received = []) {
+        const known = new Set(this.incidents.map(incident => incident.id));
+        const discovered = [];
+        
+        received.forEach(incident => {
+            if (incident?.id && !known.has(incident.id)) {
+                known.add(incident.id);
+                discovered.push(incident);
+            }
+        });
+        
+        const firstArrivals = new Map();
+        this.patients.forEach(patient => {
+            const incidentId = this.getPatientIncidentId(patient);
+            if (known.has(incidentId)) return;
+            
+            const arrival = new Date(patient.timestamp).getTime() || Date.now();
+            firstArrivals.set(incidentId, Math.min(firstArrivals.get(incidentId) ?? arrival, arrival));
+        });
+        if (this.incidents.length === 0 && discovered.length === 0 && !firstArrivals.has('general')) {
+            firstArrivals.set('general', Date.now());
+        }
+        
+        firstArrivals.forEach((arrival, incidentId) => {
+            discovered.push(this.createIncidentRecord({
+                id: incidentId,
+                name: incidentId === 'general' ? 'General' : `Incident ${incidentId}`,
+                startedAt: new Date(arrival).toISOString()
+            }));
+        });
+        if (discovered.length === 0) return [];
+        
+        this.incidents.push(...discovered);
+        await this.patientStore.saveIncidents(discovered);
+        this.renderIncidentSelector();
+        return discovered;
+    }
+
+    async saveIncident(incident) {
+        incident.updatedAt = new Date().toISOString();
+        await this.patientStore.saveIncidents([incident]);
+    }
+
+    // New patients only go into an open incident
+    ensureIncidentOpen() {
+        const incident = this.getIncident();
+        if (incident?.status === 'open') return true;
+        
+        this.showNotification(`${incident ? incident.name : 'This incident'} is ${incident?.status || 'unavailable'}; switch to an open incident to add patients`, 'error');
+        return false;
+    }
+
+    renderIncidentSelector() {
+        const statusBar = document.querySelector('.status-bar');
+        if (!statusBar) return;
+        
+        let selector = document.getElementById('incidentSelector');
+        if (!selector) {
+            selector = document.createElement('div');
+            selector.id = 'incidentSelector';
+            selector.className = 'incident-selector';
+            selector.innerHTML = `
+                <select id="incidentSelect" title="Active incident"></select>
+                <button id="incidentManageBtn" title="Manage incidents">🗂️</button>
+            `;
+            selector.querySelector('select').addEventListener('change', (e) => this.switchIncident(e.target.value));
+            selector.querySelector('button').addEventListener('click', () => this.showIncidentManager());
+            statusBar.insertBefore(selector, statusBar.firstChild);
+        }
+        
+        // Archived incidents stay out of the list unless one is being reviewed
+        const types = this.getIncidentTypes();
+        const listed = this.incidents
+            .filter(incident => incident.status !== 'archived' || incident.id === this.activeIncidentId)
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+        
+        selector.querySelector('select').innerHTML = listed.map(incident => `
+            <option value="${this.escapeHtml(incident.id)}" ${incident.id === this.activeIncidentId ? 'selected' : ''}>
+                ${types[incident.type]?.icon || '📍'} ${this.escapeHtml(incident.name)}${incident.mciMode ? ' 🚨' : ''}${incident.status !== 'open' ? ` (${incident.status})` : ''}
+            </option>
+        `).join('');
+    }
+
+    // Protocol and quick triage panel follow the incident
+    applyIncidentMode() {
+        this.applyTriageProtocol();
+        
+        const incident = this.getIncident();
+        if (incident?.mciMode && incident.status === 'open') {
+            this.renderQuickTriagePanel();
+            this.startTriageWizard();
+        } else {
+            document.querySelector('.quick-triage')?.remove();
+            this.triageWizard = null;
+        }
+    }
+
+    switchIncident(incidentId) {
+        const incident = this.getIncident(incidentId);
+        if (!incident) return;
+        
+        this.activeIncidentId = incident.id;
+        this.saveToStorage('active-incident', incident.id);
+        
+        const searchInput = document.querySelector('.search-input');
+        if (searchInput) searchInput.value = '';
+        
+        this.renderIncidentSelector();
+        this.applyIncidentMode();
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+        
+        this.showNotification(`Now working on ${incident.name}`, 'info');
+        this.logEvent('incident_switched', { incidentId: incident.id });
+    }
+
+    showIncidentManager() {
+        document.querySelector('.incident-modal')?.remove();
+        
+        const types = this.getIncidentTypes();
+        const statusOrder = { open: 0, closed: 1, archived: 2 };
+        const incidents = [...this.incidents].sort((a, b) =>
+            statusOrder[a.status] - statusOrder[b.status] || String(b.startedAt).localeCompare(String(a.startedAt))
+        );
+        const now = new Date();
+        const localNow = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        
+        const modal = document.createElement('div');
+        modal.className = 'incident-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:700px;width:100%;max-height:85vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">🗂️ Incidents</h3>
+                    <button onclick="this.closest('.incident-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                ${incidents.map(incident => {
+                    const patients = this.getIncidentPatients(incident.id);
+                    const active = patients.filter(p => this.isActivePatient(p)).length;
+                    const isCurrent = incident.id === this.activeIncidentId;
+                    return `
+                        <div class="incident-row ${isCurrent ? 'current' : ''}">
+                            <div>
+                                <strong>${types[incident.type]?.icon || '📍'} ${this.escapeHtml(incident.name)}</strong>
+                                <span class="incident-status incident-${incident.status}">${incident.status}</span>
+                                ${incident.mciMode ? '<span class="incident-status incident-mci">MCI</span>' : ''}
+                                <div style="font-size:13px;color:#6b7280;margin-top:4px;">
+                                    ${types[incident.type]?.label || this.escapeHtml(incident.type)}${incident.location ? ` • ${this.escapeHtml(incident.location)}` : ''}<br>
+                                    ${new Date(incident.startedAt).toLocaleString()}${incident.endedAt ? ` – ${new Date(incident.endedAt).toLocaleString()}` : ''}
+                                    • ${active} active / ${patients.length - active} closed
+                                </div>
+                            </div>
+                            <div class="incident-actions">
+                                ${isCurrent ? '<span style="color:#16a34a;font-weight:600;">Current</span>' : `<button onclick="app.switchIncident('${incident.id}'); this.closest('.incident-modal').remove()">Open</button>`}
+                                ${incident.status === 'open' ? `<button onclick="app.closeIncident('${incident.id}')">Close</button>` : ''}
+                                ${incident.status === 'closed' ? `<button onclick="app.reopenIncident('${incident.id}')">Reopen</button>` : ''}
+                                ${incident.status === 'closed' ? `<button onclick="app.archiveIncident('${incident.id}')">Archive</button>` : ''}
+                                <button onclick="app.showExportOptions('${incident.id}')">Export</button>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+                
+                <h4 style="margin:25px 0 10px;">➕ New Incident</h4>
+                <div style="display:grid;grid-template-columns:1fr 1fr;gap:10px;">
+                    <input type="text" id="incidentName" placeholder="Name, e.g. Route 9 bus crash" style="padding:8px;grid-column:1 / -1;">
+                    <select id="incidentType" style="padding:8px;">
+                        ${Object.entries(types).map(([key, type]) => `<option value="${key}">${type.icon} ${type.label}</option>`).join('')}
+                    </select>
+                    <input type="datetime-local" id="incidentStart" value="${localNow}" title="Start time" style="padding:8px;">
+                    <input type="text" id="incidentLocation" placeholder="Location" style="padding:8px;grid-column:1 / -1;">
+                </div>
+                <button class="btn btn-primary" onclick="app.createIncidentFromForm()" style="width:100%;margin-top:15px;">
+                    Start Incident
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+    }
+
+    async createIncidentFromForm() {
+        if (!this.requirePermission('incidents.manage')) return;
+        
+        const name = document.getElementById('incidentName')?.value.trim();
+        if (!name) {
+            this.showNotification('Please give the incident a name', 'error');
+            return;
+        }
+        
+        const start = document.getElementById('incidentStart')?.value;
+        const incident = this.createIncidentRecord({
+            name,
+            type: document.getElementById('incidentType')?.value || 'other',
+            location: document.getElementById('incidentLocation')?.value.trim() || '',
+            startedAt: start ? new Date(start).toISOString() : null
+        });
+        
+        this.incidents.push(incident);
+        await this.saveIncident(incident);
+        this.audit('incident_created', null, {
+            incidentId: incident.id,
+            name: incident.name,
+            type: incident.type,
+            location: incident.location,
+            startedAt: incident.startedAt
+        });
+        
+        document.querySelector('.incident-modal')?.remove();
+        this.switchIncident(incident.id);
+    }
+
+    async closeIncident(incidentId) {
+        const incident = this.getIncident(incidentId);
+        if (!incident || incident.status !== 'open' || !this.requirePermission('incidents.manage')) return;
+        
+        const active = this.getIncidentPatients(incidentId).filter(p => this.isActivePatient(p)).length;
+        const question = active > 0
+            ? `${active} patient${active === 1 ? ' is' : 's are'} still active in ${incident.name}. Close the incident anyway?`
+            : `Close ${incident.name}? No new patients can be added to it afterwards.`;
+        if (!confirm(question)) return;
+        
+        incident.status = 'closed';
+        incident.endedAt = new Date().toISOString();
+        await this.saveIncident(incident);
+        this.audit('incident_closed', null, { incidentId, endedAt: incident.endedAt, activePatientCount: active });
+        
+        this.renderIncidentSelector();
+        if (incidentId === this.activeIncidentId) {
+            this.applyIncidentMode();
+        }
+        this.showIncidentManager();
+        this.showNotification(`${incident.name} closed`, 'success');
+    }
+
+    async reopenIncident(incidentId) {
+        const incident = this.getIncident(incidentId);
+        if (!incident || incident.status !== 'closed' || !this.requirePermission('incidents.manage')) return;
+        
+        incident.status = 'open';
+        incident.endedAt = null;
+        await this.saveIncident(incident);
+        this.audit('incident_reopened', null, { incidentId });
+        
+        this.renderIncidentSelector();
+        if (incidentId === this.activeIncidentId) {
+            this.applyIncidentMode();
+        }
+        this.showIncidentManager();
+        this.showNotification(`${incident.name} reopened`, 'info');
+    }
+
+    // Archiving downloads the incident's records and hides it from the header list; nothing is deleted
+    async archiveIncident(incidentId) {
+        const incident = this.getIncident(incidentId);
+        if (!incident || incident.status !== 'closed' || !this.requirePermission('incidents.manage')) return;
+        
+        const patientCount = this.getIncidentPatients(incidentId).length;
+        if (!confirm(`Archive ${incident.name}? Its ${patientCount} patient record${patientCount === 1 ? '' : 's'} will be downloaded and the incident hidden from the incident list.`)) {
+            return;
+        }
+        
+        // Nothing is archived unless the download actually happened
+        if (!await this.exportData(incidentId)) return;
+        incident.status = 'archived';
+        incident.archivedAt = new Date().toISOString();
+        await this.saveIncident(incident);
+        this.audit('incident_archived', null, { incidentId, patientCount });
+        
+        // Move on to the newest open incident, if there is one
+        const next = this.incidents
+            .filter(other => other.status === 'open')
+            .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)))[0];
+        if (incidentId === this.activeIncidentId && next) {
+            this.switchIncident(next.id);
+        } else {
+            this.renderIncidentSelector();
+        }
+        this.showIncidentManager();
+        this.showNotification(`${incident.name} archived`, 'success');
+    }
+
+    // ============================================
+    // Dashboard and Statistics
+    // ============================================
+
+    updateDashboard() {
+        const stats = this.calculateStatistics();
+        
+        // Update stat cards
+        const statElements = {
+            'statsRed': stats.red,
+            'statsYellow': stats.yellow,
+            'statsPatients': stats.total,
+            'avgWaitTime': `${stats.avgWaitTime}m`,
+            'statsGreen': stats.green,
+            'statsBlack': stats.black,
+            'longestWait': `${stats.longestWait}m`,
+            'statsClosed': stats.closed,
+            'throughput': `${stats.throughputPerHour}/h`,
+            'avgLengthOfStay': this.formatDuration(stats.avgLengthOfStay)
+        };
+        
+        Object.entries(statElements).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+        
+        // Update charts
+        this.updateCharts(stats);
+    }
+
+    calculateStatistics() {
+        const now = Date.now();
+        const activePatients = this.getActivePatients();
+        const closedPatients = this.getClosedPatients();
+        const waitingTimes = activePatients
+            .filter(p => p.timestamp)
+            .map(p => Math.round((now - new Date(p.timestamp).getTime()) / 60000)); // minutes
+        
+        // Throughput is measured over the period since the earliest arrival on record
+        const stays = closedPatients.map(p => this.getLengthOfStay(p, now));
+        const firstArrival = Math.min(...this.getIncidentPatients().map(p => new Date(p.timestamp).getTime()));
+        const hoursOnRecord = Math.max((now - firstArrival) / 3600000, 1);
+        
+        const outcomes = {};
+        Object.entries(this.getPatientStatuses())
+            .filter(([, status]) => !status.active)
+            .forEach(([key]) => {
+                outcomes[key] = closedPatients.filter(p => this.getPatientStatus(p) === key).length;
+            });
+        
+        const levels = this.getPriorityLevels();
+        
+        return {
+            total: activePatients.length,
+            levels: levels.map(level => ({
+                key: level.key,
+                label: level.label || level.short,
+                color: level.color,
+                count: activePatients.filter(p => this.getPatientLevel(p, levels) === level).length
+            })),
+            red: activePatients.filter(p => p.priority === 'red').length,
+            yellow: activePatients.filter(p => p.priority === 'yellow').length,
+            green: activePatients.filter(p => p.priority === 'green').length,
+            black: activePatients.filter(p => p.priority === 'black').length,
+            avgWaitTime: waitingTimes.length > 0 ? 
+                Math.round(waitingTimes.reduce((a, b) => a + b) / waitingTimes.length) : 0,
+            longestWait: waitingTimes.length > 0 ? Math.max(...waitingTimes) : 0,
+            closed: closedPatients.length,
+            outcomes,
+            closedLastHour: closedPatients.filter(p => p.closedAt && now - new Date(p.closedAt).getTime() <= 3600000).length,
+            throughputPerHour: Math.round((closedPatients.length / hoursOnRecord) * 10) / 10,
+            avgLengthOfStay: stays.length > 0 ?
+                Math.round(stays.reduce((a, b) => a + b) / stays.length) : 0,
+            longestLengthOfStay: stays.length > 0 ? Math.max(...stays) : 0
+        };
+    }
+
+    updateCharts(stats) {
+        const canvas = document.getElementById('triageChart');
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
         
         // Draw bar chart
-        const colors = ['#dc2626', '#ca8a04', '#16a34a', '#1f2937'];
-        const priorities = ['red', 'yellow', 'green', 'black'];
-        const maxCount = Math.max(stats.red, stats.yellow, stats.green, stats.black, 1);
+        const maxCount = Math.max(...stats.levels.map(level => level.count), 1);
         const barWidth = 40;
         const spacing = 50;
         
-        priorities.forEach((priority, index) => {
-            const count = stats[priority];
-            const height = (count / maxCount) * 100;
-            const x = index * spacing + 10;
-            const y = 150 - height;
+        stats.levels.forEach((level, index) => {
+            const count = level.count;
+            const height = (count / maxCount) * 100;
+            const x = index * spacing + 10;
+            const y = 150 - height;
+            
+            // Draw bar
+            ctx.fillStyle = level.color;
+            ctx.fillRect(x, y, barWidth, height);
+            
+            // Draw count
+            ctx.fillStyle = '#374151';
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(count.toString(), x + barWidth/2, y - 5);
+            
+            // Draw label
+            ctx.fillText(level.label, x + barWidth/2, 170);
+        });
+    }
+
+    // ============================================
+    // Emergency Protocols
+    // ============================================
+
+    triggerEmergencyProtocol(patient) {
+        const alertElement = document.getElementById('emergencyAlert');
+        if (!alertElement) return;
+        
+        alertElement.innerHTML = `
+            <div class="alert-content">
+                <div class="alert-icon">🚨</div>
+                <div>
+                    <strong>CRITICAL PATIENT ALERT</strong><br>
+                    ${this.escapeHtml(patient.name)} - ${this.escapeHtml(patient.chiefComplaint)}<br>
+                    Priority: RED - Immediate attention required
+                </div>
+            </div>
+            <button class="btn btn-primary" onclick="app.assignToSelf(${this.jsArg(patient.id)})">
+                👨‍⚕️ Take Case
+            </button>
+        `;
+        
+        // Make alert pulse
+        alertElement.style.animation = 'alert-pulse 1s infinite';
+        
+        // Send notification
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('🚨 Critical Patient Alert', {
+                body: `${patient.name} requires immediate attention`,
+                icon: '/icon-192.png',
+                requireInteraction: true
+            });
+        }
+        
+        // Play emergency sound
+        this.playEmergencySound();
+    }
+
+    async assignToSelf(patientId) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        if (patient.assignedTo !== this.currentUser.name) {
+            this.recordPatientChange(patient, 'assignedTo', patient.assignedTo || null, this.currentUser.name);
+            patient.assignedTo = this.currentUser.name;
+        }
+        
+        // Taking a waiting case starts its assessment
+        if (this.getPatientStatus(patient) === 'waiting') {
+            await this.changePatientStatus(patientId, 'in_assessment');
+        } else {
+            await this.savePatient(patient);
+            this.renderPatients();
+        }
+        
+        this.showNotification(`Assigned ${patient.name} to yourself`, 'success');
+        
+        // Reset alert
+        this.resetEmergencyAlert();
+    }
+
+    resetEmergencyAlert() {
+        const alertElement = document.getElementById('emergencyAlert');
+        if (alertElement) {
+            alertElement.innerHTML = `
+                <div class="alert-content">
+                    <div class="alert-icon">⚠️</div>
+                    <div>
+                        <strong>EMERGENCY MODE ACTIVE</strong> - Triage system is operational
+                        <span id="patientCountAlert">${this.getActivePatients().length} patient${this.getActivePatients().length !== 1 ? 's' : ''} in queue</span>
+                    </div>
+                </div>
+                <button id="addEmergencyBtn" class="btn btn-primary">➕ New Emergency</button>
+            `;
+            alertElement.style.animation = '';
+            
+            // Reattach event listener
+            const addEmergencyBtn = document.getElementById('addEmergencyBtn');
+            if (addEmergencyBtn) {
+                addEmergencyBtn.addEventListener('click', () => this.addEmergencyPatient());
+            }
+        }
+    }
+
+    // Mass casualty mode belongs to the incident: other incidents keep their usual protocol
+    async activateMassCasualtyMode() {
+        if (!this.ensureIncidentOpen()) return;
+        
+        const incident = this.getIncident();
+        if (!incident.mciMode) {
+            this.audit('incident_updated', null, {
+                incidentId: incident.id,
+                changes: [
+                    { field: 'mciMode', oldValue: false, newValue: true },
+                    { field: 'triageProtocol', oldValue: incident.triageProtocol, newValue: 'start' }
+                ],
+                reason: 'Mass casualty mode'
+            });
+            incident.mciMode = true;
+            incident.mciActivatedAt = new Date().toISOString();
+            incident.triageProtocol = 'start';
+            await this.saveIncident(incident);
+            this.renderIncidentSelector();
+        }
+        this.applyTriageProtocol();
+        
+        this.showNotification(`Mass Casualty Mode Activated for ${incident.name}`, 'warning');
+        
+        this.renderQuickTriagePanel();
+        this.startTriageWizard();
+    }
+
+    renderQuickTriagePanel() {
+        // Add quick triage interface
+        const formContainer = document.querySelector('.patient-form-container');
+        if (formContainer && !formContainer.querySelector('.quick-triage')) {
+            const quickTriageDiv = document.createElement('div');
+            quickTriageDiv.className = 'quick-triage';
+            quickTriageDiv.innerHTML = `
+                <h3>🚨 Quick Triage (MCI Protocol)</h3>
+                <div class="triage-wizard" id="triageWizard"></div>
+                <div class="wizard-nav">
+                    <button onclick="app.startTagScan()">📷 Scan Tag</button>
+                    <button onclick="app.showTriageTagOptions()">🏷️ Print Blank Tags</button>
+                </div>
+            `;
+            
+            // Add styles
+            const style = document.createElement('style');
+            style.textContent = `
+                .quick-triage {
+                    background: #fef2f2;
+                    padding: 20px;
+                    border-radius: 10px;
+                    margin-bottom: 20px;
+                    border: 2px solid #dc2626;
+                }
+                .wizard-progress {
+                    font-size: 13px;
+                    color: #6b7280;
+                    margin-top: 10px;
+                }
+                .wizard-question {
+                    font-size: 22px;
+                    font-weight: bold;
+                    margin: 15px 0;
+                    color: #1f2937;
+                }
+                .wizard-answers {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 12px;
+                }
+                .wizard-answer, .wizard-nav button {
+                    min-height: 64px;
+                    padding: 15px;
+                    border: none;
+                    border-radius: 10px;
+                    font-size: 18px;
+                    font-weight: bold;
+                    cursor: pointer;
+                    background: #1f2937;
+                    color: white;
+                    touch-action: manipulation;
+                }
+                .wizard-nav {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 10px;
+                    margin-top: 12px;
+                }
+                .wizard-nav button {
+                    background: #e5e7eb;
+                    color: #374151;
+                    font-size: 16px;
+                }
+                .wizard-nav button.active {
+                    background: #1f2937;
+                    color: white;
+                }
+                .wizard-trail {
+                    font-size: 13px;
+                    color: #374151;
+                    margin: 10px 0;
+                    padding-left: 18px;
+                }
+                .wizard-result {
+                    padding: 20px;
+                    border-radius: 10px;
+                    color: white;
+                    text-align: center;
+                    font-size: 24px;
+                    font-weight: bold;
+                }
+                .wizard-result small {
+                    display: block;
+                    font-size: 14px;
+                    font-weight: normal;
+                    margin-top: 6px;
+                }
+                .triage-quick {
+                    padding: 15px;
+                    border: none;
+                    border-radius: 8px;
+                    font-weight: bold;
+                    cursor: pointer;
+                    transition: transform 0.2s;
+                    font-size: 14px;
+                }
+                .triage-quick.red { background: #dc2626; color: white; }
+                .triage-quick.yellow { background: #ca8a04; color: white; }
+                .triage-quick.green { background: #16a34a; color: white; }
+                .triage-quick.black { background: #1f2937; color: white; }
+            `;
+            document.head.appendChild(style);
+            
+            formContainer.insertBefore(quickTriageDiv, formContainer.firstChild);
+        }
+    }
+
+    // ============================================
+    // MCI Triage Wizard
+    // ============================================
+
+    getWizardProtocol() {
+        const protocol = this.getTriageProtocol();
+        return protocol.wizard ? protocol : TriageProtocols.get('start');
+    }
+
+    startTriageWizard(protocolId = null) {
+        const protocol = protocolId ? TriageProtocols.get(protocolId) : this.getWizardProtocol();
+        
+        this.triageWizard = {
+            protocolId: protocol.id,
+            stepId: protocol.wizard.start,
+            answers: []
+        };
+        
+        this.renderTriageWizard();
+    }
+
+    getWizardData() {
+        return this.triageWizard.answers.reduce((data, answer) => ({ ...data, ...answer.set }), {});
+    }
+
+    answerWizardStep(answerIndex) {
+        const wizard = this.triageWizard;
+        if (!wizard || !wizard.stepId) return;
+        
+        const protocol = TriageProtocols.get(wizard.protocolId);
+        const step = protocol.wizard.steps[wizard.stepId];
+        const answer = step.answers[answerIndex];
+        if (!answer) return;
+        
+        wizard.answers.push({
+            step: wizard.stepId,
+            question: step.question,
+            answer: answer.label,
+            set: answer.set,
+            answeredAt: new Date().toISOString()
+        });
+        wizard.stepId = answer.next;
+        
+        if (navigator.vibrate) {
+            navigator.vibrate(30);
+        }
+        
+        this.renderTriageWizard();
+    }
+
+    wizardBack() {
+        const wizard = this.triageWizard;
+        if (!wizard || wizard.answers.length === 0) return;
+        
+        wizard.stepId = wizard.answers.pop().step;
+        this.renderTriageWizard();
+    }
+
+    renderTriageWizard() {
+        const container = document.getElementById('triageWizard');
+        const wizard = this.triageWizard;
+        if (!container || !wizard) return;
+        
+        const protocol = TriageProtocols.get(wizard.protocolId);
+        const trail = wizard.answers.length > 0 ? `
+            <ol class="wizard-trail">
+                ${wizard.answers.map(a => `<li>${this.escapeHtml(a.question)} <strong>${this.escapeHtml(a.answer)}</strong></li>`).join('')}
+            </ol>
+        ` : '';
+        
+        // Flow finished - show the resulting tag colour
+        if (!wizard.stepId) {
+            const assessment = TriageProtocols.evaluate(protocol.id, this.getWizardData());
+            container.innerHTML = `
+                <div class="wizard-result triage-quick ${assessment.category}">
+                    ${protocol.categories[assessment.category].title}
+                    <small>${this.escapeHtml(assessment.explanation)}</small>
+                </div>
+                ${trail}
+                <div class="wizard-answers">
+                    <button class="wizard-answer triage-quick ${assessment.category}" onclick="app.saveWizardPatient()">
+                        🏷️ Tag &amp; Add to Queue
+                    </button>
+                    <button class="wizard-answer" onclick="app.saveWizardPatient({ print: true })">
+                        🖨️ Add &amp; Print Tag
+                    </button>
+                </div>
+                <div class="wizard-nav">
+                    <button onclick="app.wizardBack()">↩ Back</button>
+                    <button onclick="app.startTriageWizard('${protocol.id}')">🔄 Restart</button>
+                </div>
+            `;
+            return;
+        }
+        
+        // Adult / child switch offered before the first answer
+        const adult = this.getWizardProtocol();
+        const agePicker = adult.pediatric && wizard.answers.length === 0 ? `
+            <div class="wizard-nav">
+                <button class="${protocol.id === adult.id ? 'active' : ''}" onclick="app.startTriageWizard('${adult.id}')">👤 Adult</button>
+                <button class="${protocol.id === adult.pediatric ? 'active' : ''}" onclick="app.startTriageWizard('${adult.pediatric}')">🧒 Child (&lt; 8)</button>
+            </div>
+        ` : '';
+        
+        const step = protocol.wizard.steps[wizard.stepId];
+        container.innerHTML = `
+            ${agePicker}
+            <div class="wizard-progress">${this.escapeHtml(protocol.name)} • Step ${wizard.answers.length + 1}</div>
+            <div class="wizard-question">${this.escapeHtml(step.question)}</div>
+            <div class="wizard-answers">
+                ${step.answers.map((answer, index) => `
+                    <button class="wizard-answer" onclick="app.answerWizardStep(${index})">${this.escapeHtml(answer.label)}</button>
+                `).join('')}
+            </div>
+            ${trail}
+            <div class="wizard-nav">
+                <button onclick="app.wizardBack()" ${wizard.answers.length === 0 ? 'disabled' : ''}>↩ Back</button>
+                <button onclick="app.startTriageWizard()">🔄 Restart</button>
+            </div>
+        `;
+    }
+
+    saveWizardPatient({ print = false } = {}) {
+        const wizard = this.triageWizard;
+        if (!wizard || wizard.stepId) return;
+        
+        const assessment = TriageProtocols.evaluate(wizard.protocolId, this.getWizardData());
+        const patient = this.quickTriage(assessment.category, {
+            assessment,
+            answers: wizard.answers.map(({ step, question, answer, answeredAt }) => ({ step, question, answer, answeredAt }))
+        });
+        
+        // Straight to the printer with the last layout used; there is no time for a dialog at the scene
+        if (patient && print) {
+            this.printPatientTag(patient.id);
+        }
+        
+        // Ready for the next casualty
+        this.startTriageWizard(wizard.protocolId);
+    }
+
+    quickTriage(priority, { assessment = null, answers = [] } = {}) {
+        if (!this.ensureIncidentOpen()) return;
+        // Same rule as the intake form: the casualty is recorded as Immediate until a physician confirms Expectant
+        const expectantRequest = priority === 'black' && !this.can('triage.black') ? this.createExpectantRequest() : null;
+        if (expectantRequest) {
+            priority = 'red';
+        }
+        
+        const patient = {
+            id: this.issuePatientId('MCI'),
+            incidentId: this.activeIncidentId,
+            createdBy: UserAccounts.toRef(this.currentUser),
+            name: 'Unknown',
+            age: null,
+            gender: 'unknown',
+            chiefComplaint: 'Mass casualty injury',
+            priority: priority,
+            ...(expectantRequest ? { expectantRequest } : {}),
+            triageAssessment: assessment,
+            triageAnswers: answers,
+            timestamp: new Date().toISOString(),
+            status: 'waiting',
+            statusHistory: [this.createStatusEntry('waiting')],
+            syncStatus: 'pending',
+            vitalSigns: {
+                heartRate: 'Not recorded',
+                bloodPressure: 'Not recorded',
+                respiratoryRate: 'Not recorded',
+                oxygenSaturation: 'Not recorded',
+                temperature: 'Not recorded'
+            }
+        };
+        this.stampRevision(patient);
+        
+        this.patients.unshift(patient);
+        this.savePatient(patient, 'create');
+        
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+        
+        if (priority === 'red') {
+            this.triggerEmergencyProtocol(patient);
+        }
+        
+        this.showNotification(expectantRequest
+            ? `Added ${priority.toUpperCase()} priority patient until a physician confirms Expectant`
+            : `Added ${priority.toUpperCase()} priority patient`, expectantRequest ? 'warning' : 'info');
+        this.logEvent('patient_quick_triaged', { patientId: patient.id, priority });
+        this.audit('patient_created', patient.id, {
+            priority,
+            protocol: assessment?.protocol || null,
+            source: 'mass_casualty',
+            answers,
+            ...(expectantRequest ? { expectantRequested: true } : {})
+        });
+        return patient;
+    }
+
+    // ============================================
+    // Data Management
+    // ============================================
+
+    // Each format turns an incident's patients into one document; JSON unless it says otherwise.
+    // Formats with options ask for them first; `extension` and `type` may depend on those options
+    getExportFormats() {
+        return {
+            bundle: {
+                label: '📦 Upline Bundle',
+                description: 'Everything this app records, with an integrity manifest. For another Upline device or a backup.',
+                build: ({ incident, patients }) => ExportBundle.create({
+                    incident,
+                    patients,
+                    settings: this.settings,
+                    exportedBy: UserAccounts.toRef(this.currentUser)
+                })
+            },
+            fhir: {
+                label: '🏥 HL7 FHIR R4',
+                description: 'Patient, Encounter, Observation, Condition and Location resources for hospital systems.',
+                suffix: 'fhir',
+                build: ({ incident, patients }) => FhirR4.toBundle({ incident, patients })
+            },
+            tep: {
+                label: '📡 OASIS EDXL-TEP',
+                description: 'Tracking of Emergency Patients XML for other agencies: triage category, location, status and destination.',
+                suffix: 'tep',
+                extension: 'xml',
+                type: 'application/xml',
+                // A single patient is sent as a bare message, an incident inside an EDXL-DE envelope
+                build: ({ incident, patients, single }) => single
+                    ? EdxlTep.document(patients[0], { incident, sender: UserAccounts.toRef(this.currentUser) })
+                    : EdxlTep.distribution({ incident, patients, sender: UserAccounts.toRef(this.currentUser) })
+            },
+            csv: {
+                label: '📊 Spreadsheet (CSV / TSV)',
+                description: 'Columns of your choice with vitals and location flattened, filtered by priority, status and arrival date.',
+                configure: (incidentId) => this.showSpreadsheetExportForm(incidentId),
+                extension: ({ delimiter }) => (delimiter === '\t' ? 'tsv' : 'csv'),
+                type: ({ delimiter }) => (delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv'),
+                build: ({ patients, options }) => this.buildSpreadsheet(patients, options)
+            }
+        };
+    }
+
+    showExportOptions(incidentId = this.activeIncidentId) {
+        if (!this.requirePermission('data.export')) return;
+        
+        document.querySelector('.export-options-modal')?.remove();
+        const incident = this.getIncident(incidentId);
+        const count = this.getIncidentPatients(incidentId).length;
+        
+        const modal = document.createElement('div');
+        modal.className = 'export-options-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:480px;width:100%;max-height:90vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">📤 Export Data</h3>
+                    <button class="export-options-close"
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                <p style="margin:0 0 15px;color:#6b7280;">${count} patient${count === 1 ? '' : 's'} from ${this.escapeHtml(incident?.name || incidentId)}</p>
+                ${Object.entries(this.getExportFormats()).map(([format, { label, description }]) => `
+                    <button class="btn btn-secondary" data-format="${format}" style="width:100%;margin-bottom:10px;text-align:left;">
+                        <strong>${label}</strong><br><small>${description}</small>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        
+        modal.querySelectorAll('[data-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                modal.remove();
+                const { configure } = this.getExportFormats()[button.dataset.format];
+                if (configure) {
+                    configure(incidentId);
+                } else {
+                    this.exportData(incidentId, button.dataset.format);
+                }
+            });
+        });
+        modal.querySelector('.export-options-close').addEventListener('click', () => modal.remove());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        
+        document.body.appendChild(modal);
+    }
+
+    async exportData(incidentId = this.activeIncidentId, format = 'bundle', patientIds = null, options = {}) {
+        if (!this.requirePermission('data.export')) return false;
+        
+        try {
+            const incident = this.getIncident(incidentId);
+            const patients = this.getIncidentPatients(incidentId)
+                .filter(p => (!patientIds || patientIds.includes(p.id)) && this.matchesExportFilters(p, options.filters));
+            const exporter = this.getExportFormats()[format];
+            const fileOption = (value) => (typeof value === 'function' ? value(options) : value);
+            const data = await exporter.build({ incident, patients, single: Boolean(patientIds) && patients.length === 1, options });
+            const source = patientIds ? patients.map(p => p.id).join(', ') : incident?.name || incidentId;
+            
+            const file = await this.encryptExport(data, `${source} export`);
+            if (!file) return false;
+            
+            // An encrypted file is always the JSON container, whatever it holds
+            const encrypted = file !== data;
+            const blob = encrypted || !exporter.type
+                ? new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' })
+                : new Blob([file], { type: fileOption(exporter.type) });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            const slug = source.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const extension = encrypted ? 'json' : fileOption(exporter.extension) || 'json';
+            a.download = `upline-triage-${slug || 'export'}${exporter.suffix ? `-${exporter.suffix}` : ''}-${new Date().toISOString().split('T')[0]}.${extension}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this.showNotification(`Exported ${patients.length} patient${patients.length === 1 ? '' : 's'} from ${source}`, 'success');
+            this.logEvent('data_exported', { incidentId, format, patientCount: patients.length });
+            this.audit('data_exported', null, {
+                incidentId,
+                format,
+                patientCount: patients.length,
+                ...(patientIds ? { patientIds } : {}),
+                ...(options.filters ? { filters: options.filters } : {}),
+                fileName: a.download,
+                digest: data.manifest?.digest || null,
+                encrypted
+            });
+            return true;
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification('Export failed', 'error');
+            return false;
+        }
+    }
+
+    // Shared by file import and device handoff: records already held are merged field by field, not skipped
+    async mergeIncomingPatients(incoming, incidents = []) {
+        const existing = new Map(this.patients.map(p => [p.id, p]));
+        const newPatients = [];
+        const mergedPatients = [];
+        let conflictCount = 0;
+        
+        incoming.forEach(received => {
+            const current = existing.get(received.id);
+            if (!current) {
+                existing.set(received.id, received);
+                newPatients.push(received);
+                return;
+            }
+            
+            const { patient, conflicts } = PatientMerge.merge(current, received);
+            if (patient === current) return;
+            
+            conflictCount += conflicts.length;
+            existing.set(patient.id, patient);
+            mergedPatients.push(patient);
+            this.clock?.receive(received.revision?.hlc);
+        });
+        
+        this.patients = [...newPatients, ...this.patients.map(p => existing.get(p.id))];
+        await this.discoverIncidents(incidents);
+        
+        [...newPatients, ...mergedPatients].forEach(patient => { patient.syncStatus = 'pending'; });
+        await this.patientStore.saveMany(newPatients, 'create');
+        await this.patientStore.saveMany(mergedPatients, 'update');
+        this.updateSyncQueueStatus();
+        this.requestSync();
+        
+        this.updatePatientCounts();
+        this.renderPatients();
+        this.updateDashboard();
+        
+        return { newPatients, mergedPatients, conflictCount };
+    }
+
+    async importData() {
+        if (!this.requirePermission('data.import')) return false;
+        
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,.xml,.csv,.tsv,.txt';
+            
+            input.onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) {
+                    resolve(false);
+                    return;
+                }
+                
+                const reader = new FileReader();
+                
+                reader.onload = async (event) => {
+                    try {
+                        const text = event.target.result;
+                        const delimited = /\.(csv|tsv|txt)$/i.test(file.name);
+                        let data = delimited || EdxlTep.isXml(text) ? text : JSON.parse(text);
+                        const encrypted = DataCipher.isEncryptedFile(data);
+                        
+                        if (encrypted) {
+                            data = await this.openEncryptedFile(data, file.name);
+                            if (!data) {
+                                resolve(false);
+                                return;
+                            }
+                        }
+                        
+                        // FHIR resources, TEP messages and roster rows become patient records of the active incident and go through the same checks
+                        if (EdxlTep.isXml(data)) {
+                            data = EdxlTep.fromXml(data, { incidentId: this.activeIncidentId });
+                        } else if (typeof data === 'string') {
+                            data = this.rosterToPatients(data);
+                        } else if (FhirR4.isBundle(data)) {
+                            data = FhirR4.fromBundle(data, { incidentId: this.activeIncidentId });
+                        }
+                        
+                        // Nothing is written until the user has seen what the file would change
+                        const preview = await ExportBundle.preview(data, this.patients);
+                        const choice = await this.showImportPreview(preview, file.name);
+                        if (!choice) {
+                            resolve(false);
+                            return;
+                        }
+                        
+                        const accepted = [...preview.new, ...preview.updated, ...preview.conflicting].map(entry => entry.record);
+                        const { newPatients, mergedPatients, conflictCount } = await this.mergeIncomingPatients(accepted, preview.incident ? [preview.incident] : []);
+                        const settingsChanges = choice.importSettings ? await this.applyImportedSettings(preview.settings.accepted) : [];
+                        
+                        this.showNotification(
+                            `Imported ${newPatients.length} new and merged ${mergedPatients.length} existing patients` +
+                            (conflictCount ? ` (${conflictCount} conflict${conflictCount === 1 ? '' : 's'} to review)` : '') +
+                            (preview.invalid.length ? `; ${preview.invalid.length} invalid record${preview.invalid.length === 1 ? '' : 's'} skipped` : ''),
+                            conflictCount || preview.invalid.length ? 'warning' : 'success'
+                        );
+                        this.logEvent('data_imported', { importedCount: newPatients.length, mergedCount: mergedPatients.length });
+                        this.audit('data_imported', null, {
+                            fileName: file.name,
+                            format: preview.legacy ? data.format || 'legacy' : `${EXPORT_BUNDLE_FORMAT}/${data.version}`,
+                            encrypted,
+                            manifestVerified: preview.intact,
+                            digest: data.manifest?.digest || null,
+                            importedIds: newPatients.map(p => p.id),
+                            mergedIds: mergedPatients.map(p => p.id),
+                            conflictCount,
+                            invalidIds: preview.invalid.map(entry => entry.id),
+                            skippedCount: preview.unchanged.length,
+                            settingsImported: settingsChanges.length > 0
+                        });
+                    } catch (error) {
+                        console.error('Import error:', error);
+                        this.showNotification(`Failed to import: ${error instanceof SyntaxError ? 'Invalid file format' : error.message}`, 'error');
+                    }
+                    resolve(true);
+                };
+                
+                reader.onerror = () => {
+                    this.showNotification('Failed to read file', 'error');
+                    resolve(false);
+                };
+                
+                reader.readAsText(file);
+            };
+            
+            input.click();
+        });
+    }
+
+    // The dry run: what the file would add, change or leave out; resolves with the user's choice, or null
+    showImportPreview(preview, fileName) {
+        document.querySelector('.import-preview-modal')?.remove();
+        
+        const importable = preview.new.length + preview.updated.length + preview.conflicting.length;
+        const settingKeys = Object.keys(preview.settings?.accepted || {});
+        const label = (record) => `<strong>${this.escapeHtml(record.id)}</strong> ${this.escapeHtml(record.name || '')} <small>(${this.escapeHtml(record.priority || '')})</small>`;
+        const section = (title, color, entries, describe) => entries.length === 0 ? '' : `
+            <details style="margin-bottom:10px;" ${entries.length <= 5 ? 'open' : ''}>
+                <summary style="cursor:pointer;font-weight:600;color:${color};">${title} (${entries.length})</summary>
+                <ul style="margin:8px 0 0;padding-left:20px;font-size:14px;">
+                    ${entries.map(entry => `<li>${describe(entry)}</li>`).join('')}
+                </ul>
+            </details>
+        `;
+        const integrity = preview.intact
+            ? `<div style="background:#dcfce7;color:#166534;padding:10px;border-radius:8px;">✅ Manifest verified: every record matches its SHA-256 hash</div>`
+            : `<div style="background:${preview.legacy ? '#fef3c7;color:#92400e' : '#fee2e2;color:#991b1b'};padding:10px;border-radius:8px;">
+                ⚠️ ${preview.problems.map(problem => this.escapeHtml(problem)).join('<br>')}
+            </div>`;
+        
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'import-preview-modal';
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0,0,0,0.5);
+                z-index: 1001;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            `;
+            
+            modal.innerHTML = `
+                <div style="background:white;border-radius:12px;padding:30px;max-width:640px;width:100%;max-height:90vh;overflow-y:auto;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                        <h3 style="margin: 0; color: #dc2626;">📥 Import Preview</h3>
+                        <button class="import-preview-close"
+                            style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                            ×
+                        </button>
+                    </div>
+                    <p style="margin:0 0 10px;color:#4b5563;">${this.escapeHtml(fileName)}${preview.incident ? ` • ${this.escapeHtml(preview.incident.name || preview.incident.id)}` : ''}</p>
+                    ${integrity}
+                    <div style="display:grid;grid-template-columns:repeat(5,1fr);gap:8px;text-align:center;margin:15px 0;">
+                        ${[['New', preview.new.length, '#16a34a'], ['Updated', preview.updated.length, '#2563eb'],
+                            ['Conflicting', preview.conflicting.length, '#ca8a04'], ['Invalid', preview.invalid.length, '#dc2626'],
+                            ['Unchanged', preview.unchanged.length, '#6b7280']].map(([name, count, color]) => `
+                            <div style="background:#f9fafb;border-radius:8px;padding:8px;">
+                                <div style="font-size:22px;font-weight:700;color:${color};">${count}</div>
+                                <div style="font-size:12px;color:#6b7280;">${name}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${section('New', '#16a34a', preview.new, ({ record }) => label(record))}
+                    ${section('Updated', '#2563eb', preview.updated, ({ record, fields }) => `${label(record)} – ${fields.map(f => this.escapeHtml(f)).join(', ')}`)}
+                    ${section('Conflicting', '#ca8a04', preview.conflicting, ({ record, fields }) => `${label(record)} – conflicting edits to ${fields.map(f => this.escapeHtml(f)).join(', ')}; both versions are kept for review`)}
+                    ${section('Invalid (will be skipped)', '#dc2626', preview.invalid, (entry) => `${label(entry)} – ${entry.errors.map(e => this.escapeHtml(e)).join('; ')}`)}
+                    ${settingKeys.length > 0 ? `
+                        <label style="display:flex;align-items:flex-start;gap:8px;margin-top:15px;">
+                            <input type="checkbox" id="importSettings">
+                            <span>Also import settings: ${settingKeys.map(key => this.escapeHtml(key)).join(', ')}
+                                ${preview.settings.rejected.length ? `<br><small style="color:#6b7280;">Ignored: ${preview.settings.rejected.map(r => this.escapeHtml(r)).join('; ')}</small>` : ''}
+                            </span>
+                        </label>
+                    ` : ''}
+                    <div style="display:flex;gap:10px;justify-content:flex-end;margin-top:20px;">
+                        <button class="btn btn-secondary import-preview-close">Cancel</button>
+                        <button class="btn btn-primary" id="importConfirm">Import ${importable} Record${importable === 1 ? '' : 's'}</button>
+                    </div>
+                </div>
+            `;
+            
+            const finish = (choice) => {
+                modal.remove();
+                resolve(choice);
+            };
+            const confirmButton = modal.querySelector('#importConfirm');
+            const settingsBox = modal.querySelector('#importSettings');
+            const updateConfirm = () => {
+                confirmButton.disabled = importable === 0 && !settingsBox?.checked;
+            };
+            settingsBox?.addEventListener('change', updateConfirm);
+            updateConfirm();
+            
+            confirmButton.addEventListener('click', () => finish({ importSettings: Boolean(settingsBox?.checked) }));
+            modal.querySelectorAll('.import-preview-close').forEach(button => button.addEventListener('click', () => finish(null)));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) finish(null);
+            });
+            
+            document.body.appendChild(modal);
+        });
+    }
+
+    // Only keys the current user could change in Settings themselves
+    async applyImportedSettings(values) {
+        const previousSettings = this.settings;
+        const allowed = { ...values };
+        if (!this.can('settings.retention')) {
+            delete allowed.dataRetention;
+        }
+        
+        this.settings = { ...this.settings, ...allowed };
+        await this.saveToStorage('triage-settings', this.settings);
+        
+        const changes = Object.keys(allowed)
+            .map(key => ({ setting: key, oldValue: previousSettings[key], newValue: this.settings[key] }))
+            .filter(change => change.oldValue !== change.newValue);
+        if (changes.length > 0) {
+            this.audit('settings_changed', null, { changes, source: 'import' });
+            this.applyTriageProtocol();
+        }
+        return changes;
+    }
+
+    async syncData() {
+        if (!navigator.onLine) {
+            this.showNotification('Cannot sync while offline', 'warning');
+            return;
+        }
+        
+        this.showNotification('Syncing data...', 'info');
+        
+        try {
+            // The service worker pushes from and pulls into the shared IndexedDB store
+            const response = await this.sendMessageToSW('PERFORM_SYNC');
+            if (!response?.success) {
+                throw new Error(response?.error || 'Service worker unavailable');
+            }
+            
+            if (response.pushedCount === 0 && response.pulledCount === 0) {
+                this.showNotification('Already up to date', 'info');
+            } else {
+                this.showNotification(`Synced: ${response.pushedCount} sent, ${response.pulledCount} received`, 'success');
+            }
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.showNotification('Sync failed', 'error');
+        }
+        this.updateSyncQueueStatus();
+    }
+
+    // Pending and quarantined operations, shown beside the last sync time in the footer
+    renderSyncQueueStatus() {
+        const lastSync = document.getElementById('lastSync');
+        if (!lastSync || document.getElementById('syncQueueStatus')) return;
+        
+        const status = document.createElement('span');
+        status.id = 'syncQueueStatus';
+        lastSync.appendChild(status);
+        this.updateSyncQueueStatus();
+    }
+
+    async updateSyncQueueStatus() {
+        const status = document.getElementById('syncQueueStatus');
+        if (!status) return;
+        
+        try {
+            const { pending, failed } = await this.patientStore.getQueueCounts();
+            status.innerHTML = `
+                ${pending ? ` • ⏳ ${pending} pending` : ''}
+                ${failed ? ` • <span style="color:#dc2626;font-weight:600;">⚠️ ${failed} failed</span>
+                    <button onclick="app.retryFailedSyncs()"
+                        style="background:none;border:1px solid currentColor;color:inherit;border-radius:6px;padding:0 8px;cursor:pointer;">Retry</button>` : ''}
+            `;
+        } catch (error) {
+            console.error('Failed to read sync queue:', error);
+        }
+    }
+
+    async retryFailedSyncs() {
+        const count = await this.patientStore.retryFailed();
+        this.updateSyncQueueStatus();
+        if (count === 0) return;
+        
+        this.showNotification(`Retrying ${count} failed change${count === 1 ? '' : 's'}`, 'info');
+        this.logEvent('sync_retry', { count });
+        this.syncData();
+    }
+
+    // Ask the service worker to push and pull; offline changes wait for background sync
+    requestSync() {
+        if (!navigator.serviceWorker?.controller || this.isLocked) return;
+        
+        if (!navigator.onLine) {
+            navigator.serviceWorker.ready
+                .then(registration => registration.sync?.register('sync-patients'))
+                .catch(error => console.warn('Background sync unavailable:', error));
+            return;
+        }
+        
+        // Collapse bursts of saves into one round trip
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.sendMessageToSW('PERFORM_SYNC').finally(() => this.updateSyncQueueStatus());
+        }, 2000);
+    }
+
+    async handleSyncComplete({ syncedCount = 0, pulledCount = 0, conflictCount = 0 } = {}) {
+        this.updateSyncQueueStatus();
+        // Another tab may have synced while this one is locked; unlocking re-reads the store
+        if (this.isLocked || (syncedCount === 0 && pulledCount === 0)) return;
+        
+        await this.refreshFromStore();
+        
+        if (conflictCount > 0) {
+            this.showNotification(`${conflictCount} conflicting edit${conflictCount === 1 ? '' : 's'} from other devices need review`, 'warning');
+        } else if (pulledCount > 0) {
+            this.showNotification(`${pulledCount} update${pulledCount === 1 ? '' : 's'} received from other devices`, 'info');
+        }
+        this.audit('data_synced', null, { pushedCount: syncedCount, pulledCount, conflictCount });
+    }
+
+    // Retention is a limit on what this device keeps. Only closed cases the server already holds are dropped:
+    // anything not yet synced, or with operations still queued, exists nowhere else
+    async cleanupOldData() {
+        const retentionDays = this.settings.dataRetention || 30;
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+        
+        const queued = new Set((await this.patientStore.getOperations()).map(operation => operation.patientId));
+        const initialCount = this.patients.length;
+        const removedIds = this.patients
+            .filter(patient => !this.isActivePatient(patient)
+                && patient.syncStatus === 'synced'
+                && !queued.has(patient.id)
+                && new Date(patient.closedAt || patient.timestamp) <= cutoffDate
+                && new Date(patient.syncedAt || 0) <= cutoffDate)
+            .map(patient => patient.id);
+        this.patients = this.patients.filter(patient => !removedIds.includes(patient.id));
+        
+        const removedCount = initialCount - this.patients.length;
+        if (removedCount > 0) {
+            this.audit('data_cleaned', null, { removedIds, retentionDays, cutoffDate: cutoffDate.toISOString() });
+            await this.patientStore.evict(removedIds);
+            this.updateSyncQueueStatus();
+            this.renderPatients();
+            this.updatePatientCounts();
+            
+            console.log(`Cleaned up ${removedCount} old patients`);
+            this.logEvent('data_cleaned', { removedCount });
+        }
+    }
+
+    // ============================================
+    // Spreadsheets
+    // ============================================
+
+    // Minutes from arrival until the patient left the waiting list, or until now while still waiting
+    getWaitMinutes(patient, now = Date.now()) {
+        const seen = this.getStatusHistory(patient).find(entry => entry.status !== 'waiting');
+        const end = seen ? new Date(seen.timestamp).getTime() : now;
+        return Math.max(0, Math.floor((end - new Date(patient.timestamp).getTime()) / 60000));
+    }
+
+    // Local time without the zone, which spreadsheets read as a date
+    formatSpreadsheetDate(timestamp) {
+        const date = new Date(timestamp || NaN);
+        if (isNaN(date.getTime())) return '';
+        
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    // Nested vitals, location and status history flattened to one column each
+    getSpreadsheetColumns() {
+        const statuses = this.getPatientStatuses();
+        const recorded = (value) => (value === undefined || value === null || value === 'Not recorded' ? '' : value);
+        const enteredAt = (patient, status) => this.getStatusHistory(patient).find(entry => entry.status === status)?.timestamp;
+        
+        return [
+            { id: 'id', label: 'ID', selected: true, value: p => p.id },
+            { id: 'name', label: 'Name', selected: true, value: p => p.name },
+            { id: 'age', label: 'Age', selected: true, value: p => p.age ?? '' },
+            { id: 'gender', label: 'Gender', selected: true, value: p => p.gender },
+            { id: 'priority', label: 'Priority', selected: true, value: p => p.priority },
+            { id: 'status', label: 'Status', selected: true, value: p => statuses[this.getPatientStatus(p)].label },
+            { id: 'chiefComplaint', label: 'Chief Complaint', selected: true, value: p => p.chiefComplaint },
+            { id: 'incident', label: 'Incident', value: p => this.getIncident(this.getPatientIncidentId(p))?.name || this.getPatientIncidentId(p) },
+            { id: 'arrivedAt', label: 'Arrived At', selected: true, value: p => this.formatSpreadsheetDate(p.timestamp) },
+            { id: 'waitMinutes', label: 'Wait (min)', selected: true, value: p => this.getWaitMinutes(p) },
+            { id: 'waitTime', label: 'Wait', value: p => this.formatDuration(this.getWaitMinutes(p)) },
+            { id: 'lengthOfStay', label: 'Length of Stay (min)', value: p => this.getLengthOfStay(p) },
+            { id: 'assignedTo', label: 'Assigned To', selected: true, value: p => p.assignedTo || '' },
+            { id: 'createdBy', label: 'Registered By', value: p => p.createdBy?.name || '' },
+            ...this.getVitalFields().map(field => ({
+                id: field.vitalKey,
+                label: `${field.label} (${field.unit})`,
+                selected: true,
+                value: p => recorded(p.vitalSigns?.[field.vitalKey])
+            })),
+            { id: 'latitude', label: 'Latitude', value: p => p.location?.latitude ?? '' },
+            { id: 'longitude', label: 'Longitude', value: p => p.location?.longitude ?? '' },
+            { id: 'locationAccuracy', label: 'Location Accuracy (m)', value: p => p.location?.accuracy ?? '' },
+            ...Object.entries(statuses).filter(([key]) => key !== 'waiting').map(([key, status]) => ({
+                id: `${key}At`,
+                label: `${status.label} At`,
+                value: p => this.formatSpreadsheetDate(enteredAt(p, key))
+            })),
+            { id: 'closedAt', label: 'Closed At', value: p => this.formatSpreadsheetDate(p.closedAt) },
+            { id: 'destination', label: 'Destination', value: p => p.destination || '' },
+            { id: 'notes', label: 'Notes', value: p => p.notes || '' }
+        ];
+    }
+
+    // Empty or missing filters let everything through
+    matchesExportFilters(patient, { priorities = null, statuses = null, from = '', to = '' } = {}) {
+        if (priorities && !priorities.includes(patient.priority)) return false;
+        if (statuses && !statuses.includes(this.getPatientStatus(patient))) return false;
+        
+        const arrived = new Date(patient.timestamp).getTime();
+        if (from && arrived < new Date(`${from}T00:00:00`).getTime()) return false;
+        if (to && arrived > new Date(`${to}T23:59:59.999`).getTime()) return false;
+        return true;
+    }
+
+    buildSpreadsheet(patients, { columns = null, delimiter = ',' } = {}) {
+        const selected = this.getSpreadsheetColumns().filter(column => (columns ? columns.includes(column.id) : column.selected));
+        const rows = [...patients]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map(patient => selected.map(column => column.value(patient)));
+        return CsvTable.stringify(selected.map(column => column.label), rows, delimiter);
+    }
+
+    showSpreadsheetExportForm(incidentId = this.activeIncidentId) {
+        document.querySelector('.spreadsheet-export-modal')?.remove();
+        
+        const incident = this.getIncident(incidentId);
+        const patients = this.getIncidentPatients(incidentId);
+        const statuses = this.getPatientStatuses();
+        const checkbox = (name, value, label, checked = true) => `
+            <label style="display:flex;align-items:center;gap:6px;font-size:14px;">
+                <input type="checkbox" name="${name}" value="${value}" ${checked ? 'checked' : ''}> ${label}
+            </label>
+        `;
+        
+        const modal = document.createElement('div');
+        modal.className = 'spreadsheet-export-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:640px;width:100%;max-height:90vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">📊 Spreadsheet Export</h3>
+                    <button class="spreadsheet-export-close"
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                <p style="margin:0 0 15px;color:#6b7280;">${this.escapeHtml(incident?.name || incidentId)}</p>
+                
+                <strong>Columns</strong>
+                <div style="display:grid;grid-template-columns:repeat(2,1fr);gap:4px 12px;margin:8px 0 15px;">
+                    ${this.getSpreadsheetColumns().map(column => checkbox('column', column.id, this.escapeHtml(column.label), Boolean(column.selected))).join('')}
+                </div>
+                
+                <strong>Priority</strong>
+                <div style="display:flex;flex-wrap:wrap;gap:12px;margin:8px 0 15px;">
+                    ${['red', 'yellow', 'green', 'black'].map(priority => checkbox('priority', priority, priority.toUpperCase())).join('')}
+                </div>
+                
+                <strong>Status</strong>
+                <div style="display:flex;flex-wrap:wrap;gap:12px;margin:8px 0 15px;">
+                    ${Object.entries(statuses).map(([key, status]) => checkbox('status', key, status.label)).join('')}
+                </div>
+                
+                <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:10px;margin-bottom:15px;">
+                    <div class="form-group">
+                        <label for="spreadsheetFrom">Arrived from</label>
+                        <input type="date" id="spreadsheetFrom">
+                    </div>
+                    <div class="form-group">
+                        <label for="spreadsheetTo">Arrived until</label>
+                        <input type="date" id="spreadsheetTo">
+                    </div>
+                    <div class="form-group">
+                        <label for="spreadsheetDelimiter">Format</label>
+                        <select id="spreadsheetDelimiter">
+                            <option value=",">CSV (comma)</option>
+                            <option value="tab">TSV (tab)</option>
+                        </select>
+                    </div>
+                </div>
+                
+                <div style="display:flex;gap:10px;justify-content:flex-end;align-items:center;">
+                    <span id="spreadsheetCount" style="margin-right:auto;color:#6b7280;"></span>
+                    <button class="btn btn-secondary spreadsheet-export-close">Cancel</button>
+                    <button class="btn btn-primary" id="spreadsheetExportSubmit">Export</button>
+                </div>
+            </div>
+        `;
+        
+        const checked = (name) => Array.from(modal.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+        const readOptions = () => ({
+            columns: checked('column'),
+            delimiter: modal.querySelector('#spreadsheetDelimiter').value === 'tab' ? '\t' : ',',
+            filters: {
+                priorities: checked('priority'),
+                statuses: checked('status'),
+                from: modal.querySelector('#spreadsheetFrom').value,
+                to: modal.querySelector('#spreadsheetTo').value
+            }
+        });
+        const updateCount = () => {
+            const { columns, filters } = readOptions();
+            const count = patients.filter(patient => this.matchesExportFilters(patient, filters)).length;
+            modal.querySelector('#spreadsheetCount').textContent = `${count} patient${count === 1 ? '' : 's'} match`;
+            modal.querySelector('#spreadsheetExportSubmit').disabled = count === 0 || columns.length === 0;
+        };
+        modal.addEventListener('change', updateCount);
+        updateCount();
+        
+        modal.querySelector('#spreadsheetExportSubmit').addEventListener('click', () => {
+            const options = readOptions();
+            modal.remove();
+            this.exportData(incidentId, 'csv', null, options);
+        });
+        modal.querySelectorAll('.spreadsheet-export-close').forEach(button => button.addEventListener('click', () => modal.remove()));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        
+        document.body.appendChild(modal);
+    }
+
+    // Bulk registration, e.g. an event roster: headers may be the export's labels or ids, and only a name is required
+    rosterToPatients(text) {
+        const { header, rows } = CsvTable.toObjects(text);
+        const key = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const columns = new Map(Object.entries({
+            firstname: 'firstName', givenname: 'firstName', lastname: 'lastName', surname: 'lastName', familyname: 'lastName',
+            fullname: 'name', sex: 'gender', complaint: 'chiefComplaint'
+        }));
+        this.getSpreadsheetColumns().forEach(column => {
+            columns.set(key(column.id), column.id);
+            columns.set(key(column.label), column.id);
+        });
+        if (!header.some(name => ['name', 'firstName', 'lastName'].includes(columns.get(key(name))))) {
+            throw new Error('The file needs a Name column');
+        }
+        
+        const statuses = this.getPatientStatuses();
+        const levels = this.getPriorityLevels();
+        const genders = { m: 'male', male: 'male', f: 'female', female: 'female', other: 'other', o: 'other' };
+        const categories = { immediate: 'red', delayed: 'yellow', minimal: 'green', minor: 'green', expectant: 'black', dead: 'black' };
+        const validDate = (value) => (value && !isNaN(new Date(value).getTime()) ? new Date(value).toISOString() : null);
+        const now = new Date().toISOString();
+        
+        const patients = rows.map(row => {
+            const values = {};
+            Object.entries(row).forEach(([name, value]) => {
+                const id = columns.get(key(name));
+                if (id && value !== '') values[id] = value;
+            });
+            
+            const statusText = (values.status || '').toLowerCase();
+            const status = Object.keys(statuses).find(k => k === statusText.replace(/\s+/g, '_') || statuses[k].label.toLowerCase() === statusText) || 'waiting';
+            const priorityText = (values.priority || '').toLowerCase();
+            const level = levels.find(l => [l.key, l.label, l.short, l.title?.replace(/\s*\(.*\)$/, '')].some(v => String(v ?? '').toLowerCase() === priorityText));
+            const timestamp = validDate(values.arrivedAt) || now;
+            const age = parseInt(values.age);
+            const latitude = parseFloat(values.latitude);
+            const longitude = parseFloat(values.longitude);
+            
+            return {
+                id: /^[A-Za-z]+-[\w-]+$/.test(values.id || '') ? values.id : this.issuePatientId(),
+                name: values.name || [values.firstName, values.lastName].filter(Boolean).join(' '),
+                age: isNaN(age) ? null : age,
+                gender: genders[(values.gender || '').toLowerCase()] || 'unknown',
+                vitalSigns: Object.fromEntries(this.getVitalFields().map(field => [field.vitalKey, values[field.vitalKey] || 'Not recorded'])),
+                chiefComplaint: values.chiefComplaint || 'Pre-registered',
+                ...(values.notes ? { notes: values.notes } : {}),
+                // Pre-registered people have not been triaged; an unknown value is left for validation to reject
+                priority: level?.priority || categories[priorityText] || (values.priority ? priorityText : 'green'),
+                timestamp,
+                status,
+                ...(!statuses[status].active ? { closedAt: validDate(values.closedAt) || timestamp } : {}),
+                statusHistory: [],
+                assignedTo: values.assignedTo || null,
+                ...(values.destination ? { destination: values.destination } : {}),
+                location: !isNaN(latitude) && !isNaN(longitude)
+                    ? { latitude, longitude, accuracy: null, timestamp }
+                    : { latitude: null, longitude: null, accuracy: null },
+                incidentId: this.activeIncidentId,
+                createdBy: UserAccounts.toRef(this.currentUser)
+            };
+        });
+        
+        return { format: 'csv', incident: null, settings: null, patients };
+    }
+
+    // ============================================
+    // Triage Tags
+    // ============================================
+
+    getTagLayout() {
+        const saved = localStorage.getItem('tag-layout');
+        return TRIAGE_TAG_LAYOUTS[saved] ? saved : 'card';
+    }
+
+    // Pre-numbered ids carry the incident and the device, so tags printed for other incidents or on other devices never clash
+    getTagNumber(incident, number) {
+        return `MCI-${incident.id.replace(/^INC-/, '').toUpperCase()}-${this.getDeviceCode()}-${String(number).padStart(4, '0')}`;
+    }
+
+    getTriageTag(patient) {
+        const incidentId = this.getPatientIncidentId(patient);
+        return {
+            id: patient.id,
+            name: patient.name || 'Unknown',
+            priority: patient.priority,
+            triagedAt: new Date(patient.timestamp).toLocaleString(),
+            incident: this.getIncident(incidentId)?.name || incidentId,
+            vitals: this.getVitalFields().map(field => {
+                const value = patient.vitalSigns?.[field.vitalKey];
+                return [`${field.label} (${field.unit})`, value && value !== 'Not recorded' ? value : ''];
+            })
+        };
+    }
+
+    // Printed from a hidden frame so the app stays open behind the print dialog
+    printHtml(html) {
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden;';
+        frame.srcdoc = html;
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(() => frame.remove(), 1000);
+        };
+        document.body.appendChild(frame);
+    }
+
+    printTriageTags(tags, layout = this.getTagLayout()) {
+        localStorage.setItem('tag-layout', layout);
+        this.printHtml(TriageTags.document(tags, layout));
+    }
+
+    printPatientTag(patientId, layout = this.getTagLayout()) {
+        const patient = this.patients.find(p => p.id === patientId);
+        if (!patient) return;
+        
+        this.printTriageTags([this.getTriageTag(patient)], layout);
+        this.logEvent('triage_tag_printed', { patientId, layout });
+        this.audit('triage_tag_printed', patientId, { layout });
+    }
+
+    // Blank tags for the active incident, numbered on from the last batch so no two share an id
+    async printBlankTags(count, layout = this.getTagLayout()) {
+        if (!this.ensureIncidentOpen()) return;
+        
+        const incident = this.getIncident();
+        const used = new Set(this.patients.map(p => p.id));
+        const ids = [];
+        let number = incident.tagSequence || 0;
+        while (ids.length < count) {
+            const id = this.getTagNumber(incident, ++number);
+            if (!used.has(id)) ids.push(id);
+        }
+        
+        this.audit('incident_updated', null, {
+            incidentId: incident.id,
+            changes: [{ field: 'tagSequence', oldValue: incident.tagSequence || 0, newValue: number }],
+            reason: `${count} blank tag${count === 1 ? '' : 's'} printed`
+        });
+        incident.tagSequence = number;
+        await this.saveIncident(incident);
+        
+        const blankVitals = this.getVitalFields().map(field => [`${field.label} (${field.unit})`, '']);
+        this.printTriageTags(ids.map(id => ({ id, incident: incident.name, vitals: blankVitals })), layout);
+        this.showNotification(`Printing ${count} blank tag${count === 1 ? '' : 's'}: ${ids[0]} to ${ids[ids.length - 1]}`, 'info');
+        this.logEvent('blank_tags_printed', { incidentId: incident.id, count, layout });
+    }
+
+    // One patient's tag, or a batch of blank tags when no patient is given
+    showTriageTagOptions(patientId = null) {
+        document.querySelector('.triage-tag-modal')?.remove();
+        
+        const patient = patientId ? this.patients.find(p => p.id === patientId) : null;
+        if (patientId && !patient) return;
+        
+        const layout = this.getTagLayout();
+        const modal = document.createElement('div');
+        modal.className = 'triage-tag-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:420px;width:100%;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">🏷️ ${patient ? 'Print Triage Tag' : 'Print Blank Tags'}</h3>
+                    <button class="triage-tag-close"
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                <p style="margin:0 0 15px;color:#6b7280;">
+                    ${patient
+                        ? `${this.escapeHtml(patient.id)} • ${this.escapeHtml(patient.name || 'Unknown')}`
+                        : `Pre-numbered for ${this.escapeHtml(this.getIncident()?.name || '')}; scan one to register its patient.`}
+                </p>
+                
+                <strong>Layout</strong>
+                <div style="display:flex;flex-direction:column;gap:6px;margin:8px 0 15px;">
+                    ${Object.entries(TRIAGE_TAG_LAYOUTS).map(([key, option]) => `
+                        <label style="display:flex;align-items:center;gap:6px;">
+                            <input type="radio" name="tagLayout" value="${key}" ${key === layout ? 'checked' : ''}> ${option.label}
+                        </label>
+                    `).join('')}
+                </div>
+                
+                ${patient ? '' : `
+                <div class="form-group">
+                    <label for="blankTagCount">Number of tags</label>
+                    <input type="number" id="blankTagCount" min="1" max="100" value="10">
+                </div>
+                `}
+                
+                <div style="display:flex;gap:10px;justify-content:flex-end;">
+                    <button class="btn btn-secondary triage-tag-close">Cancel</button>
+                    <button class="btn btn-primary" id="triageTagPrint">🖨️ Print</button>
+                </div>
+            </div>
+        `;
+        
+        modal.querySelector('#triageTagPrint').addEventListener('click', () => {
+            const selected = modal.querySelector('input[name="tagLayout"]:checked').value;
+            if (patient) {
+                modal.remove();
+                this.printPatientTag(patient.id, selected);
+                return;
+            }
+            
+            const count = parseInt(modal.querySelector('#blankTagCount').value);
+            if (!(count >= 1 && count <= 100)) {
+                this.showNotification('Print between 1 and 100 tags at a time', 'error');
+                return;
+            }
+            modal.remove();
+            this.printBlankTags(count, selected);
+        });
+        modal.querySelectorAll('.triage-tag-close').forEach(button => button.addEventListener('click', () => modal.remove()));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        
+        document.body.appendChild(modal);
+    }
+
+    // ============================================
+    // Tag Scanning
+    // ============================================
+
+    // IDs this app issues: PAT-7K2Q-1001, EMG-7K2Q-1002, MCI-7K2Q-1003 from quick triage and MCI-<incident>-7K2Q-0001
+    // on blank tags; the older PAT-1001 form without a device code is still recognised
+    isPatientTagId(id) {
+        return /^(?:(?:PAT|EMG)-(?:[A-Z0-9]{4}-)?\d{4,}|MCI-[A-Z0-9][A-Z0-9-]*)$/.test(id);
+    }
+
+    renderTagScanButton() {
+        const controls = document.querySelector('.control-buttons');
+        if (!controls || document.getElementById('tagScanBtn')) return;
+        
+        const button = document.createElement('button');
+        button.id = 'tagScanBtn';
+        button.className = 'btn btn-secondary';
+        button.textContent = '📷 Scan Tag';
+        button.addEventListener('click', () => this.startTagScan());
+        controls.appendChild(button);
+    }
+
+    // Decoding runs on the device, so this works offline; typing the ID is the fallback without a camera
+    async startTagScan() {
+        this.closeTagScan();
+        
+        const canScan = QRScanner.isSupported();
+        const modal = document.createElement('div');
+        modal.className = 'tag-scan-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:480px;width:100%;max-height:90vh;overflow-y:auto;text-align:center;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">📷 Scan Triage Tag</h3>
+                    <button class="tag-scan-close"
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                ${canScan ? '<video id="tagScanVideo" muted style="width:100%;border-radius:8px;background:#111827;"></video>' : ''}
+                <div id="tagScanStatus" style="color:#6b7280;margin:10px 0 15px;">
+                    ${canScan ? "Point the camera at the tag's QR code or barcode" : 'This browser cannot scan with the camera; type the ID from the tag'}
+                </div>
+                <form id="tagScanForm" style="display:flex;gap:10px;">
+                    <input type="text" id="tagScanInput" placeholder="PAT-7K2Q-1001, EMG-…, MCI-…" autocapitalize="characters"
+                        style="flex:1;padding:10px;border:1px solid #d1d5db;border-radius:8px;">
+                    <button type="submit" class="btn btn-primary">Open</button>
+                </form>
+            </div>
+        `;
+        
+        const status = modal.querySelector('#tagScanStatus');
+        modal.querySelector('#tagScanForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const result = this.handleScannedTag(modal.querySelector('#tagScanInput').value, 'manual');
+            if (result) status.textContent = result;
+        });
+        modal.querySelectorAll('.tag-scan-close').forEach(button => button.addEventListener('click', () => this.closeTagScan()));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeTagScan();
+        });
+        document.body.appendChild(modal);
+        
+        if (!canScan) return;
+        
+        const scanner = new QRScanner({ formats: ['qr_code', 'code_128', 'code_39', 'data_matrix'] });
+        this.tagScanner = scanner;
+        try {
+            await scanner.start(modal.querySelector('#tagScanVideo'), (text, format) => {
+                // Several codes can arrive in one frame; the first usable one closes the scanner
+                if (!this.tagScanner) return;
+                const result = this.handleScannedTag(text, format);
+                if (result) status.textContent = result;
+            });
+        } catch (error) {
+            // Closed, or closed and reopened, while the camera was opening
+            if (this.tagScanner !== scanner) return;
+            console.error('Camera unavailable:', error);
+            this.tagScanner = null;
+            status.textContent = `Cannot open the camera: ${error.message}. Type the ID from the tag instead.`;
+        }
+    }
+
+    // Returns why the code was not used, or nothing once it has been acted on
+    handleScannedTag(text, format) {
+        const scanned = String(text || '').trim();
+        if (!scanned) return 'Type or scan an ID';
+        
+        // Known patients open whatever their ID looks like, e.g. ones imported from another system
+        const patient = this.patients.find(p => p.id === scanned) ||
+            this.patients.find(p => p.id.toUpperCase() === scanned.toUpperCase());
+        if (patient) {
+            this.closeTagScan();
+            this.showPatientDetails(patient.id);
+            this.logEvent('tag_scanned', { patientId: patient.id, format, known: true });
+            return null;
+        }
+        
+        const id = scanned.toUpperCase();
+        if (!this.isPatientTagId(id)) {
+            return `"${scanned}" is not a patient ID (PAT-…, EMG-… or MCI-…)`;
+        }
+        
+        // A pre-printed tag: start registering its patient under that ID
+        if (!this.ensureIncidentOpen()) return null;
+        this.closeTagScan();
+        this.clearForm();
+        document.getElementById('patientId').value = id;
+        document.querySelector('.patient-form-container')?.scrollIntoView({ behavior: 'smooth' });
+        document.getElementById('patientName')?.focus();
+        
+        this.showNotification(`New tag ${id}: enter the patient's details`, 'info');
+        this.logEvent('tag_scanned', { patientId: id, format, known: false });
+        return null;
+    }
+
+    closeTagScan() {
+        this.tagScanner?.stop();
+        this.tagScanner = null;
+        document.querySelector('.tag-scan-modal')?.remove();
+    }
+
+    // ============================================
+    // Shift Handover
+    // ============================================
+
+    renderHandoverButton() {
+        const header = document.querySelector('.patients-header');
+        if (!header || document.getElementById('handoverBtn')) return;
+        
+        const button = document.createElement('button');
+        button.id = 'handoverBtn';
+        button.className = 'btn btn-secondary';
+        button.textContent = '📋 Handover';
+        button.addEventListener('click', () => this.showHandoverReport());
+        header.appendChild(button);
+    }
+
+    // The active incident's queue as the incoming shift hears it: priority groups, longest waiting first
+    getHandoverReport(now = Date.now()) {
+        const statuses = this.getPatientStatuses();
+        const levels = this.getPriorityLevels();
+        const pendingByStatus = {
+            waiting: 'Awaiting assessment',
+            in_assessment: 'Assessment to complete',
+            in_treatment: 'Treatment ongoing, disposition to decide'
+        };
+        
+        const entry = (patient) => {
+            const status = this.getPatientStatus(patient);
+            const observations = this.getObservations(patient);
+            const conflicts = PatientMerge.unresolvedConflicts(patient).length;
+            
+            return {
+                id: patient.id,
+                name: patient.name || 'Unknown',
+                age: patient.age ?? null,
+                gender: patient.gender,
+                chiefComplaint: patient.chiefComplaint || '',
+                notes: patient.notes || '',
+                status: statuses[status].label,
+                // Measured like calculateStatistics, from arrival
+                waitMinutes: Math.round((now - new Date(patient.timestamp).getTime()) / 60000),
+                assignedTo: patient.assignedTo || null,
+                lastObservedAt: observations[observations.length - 1].timestamp,
+                vitals: this.getTrendSeries(observations).filter(series => series.points.length > 0).map(series => {
+                    const latest = series.points[series.points.length - 1];
+                    const previous = series.points.length > 1 ? series.points[series.points.length - 2] : null;
+                    return {
+                        label: series.label,
+                        unit: series.unit,
+                        value: latest.value,
+                        previous: previous?.value ?? null,
+                        trend: !previous ? null
+                            : latest.value > previous.value ? 'rising'
+                            : latest.value < previous.value ? 'falling' : 'steady'
+                    };
+                }),
+                interventions: this.getPatientTimeline(patient).filter(item => item.text !== `Status: ${statuses.waiting.label}`),
+                pending: [
+                    pendingByStatus[status],
+                    !patient.assignedTo && 'No clinician assigned',
+                    patient.triageAssessment?.partial && 'Triage assessment incomplete',
+                    conflicts && `${conflicts} sync conflict${conflicts === 1 ? '' : 's'} to resolve`
+                ].filter(Boolean)
+            };
+        };
+        
+        const active = [...this.getActivePatients()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const groups = levels.map(level => ({
+            key: level.key,
+            title: level.title,
+            color: level.color,
+            patients: active.filter(p => this.getPatientLevel(p, levels) === level).map(entry)
+        }));
+        
+        // Everyone is handed over, including patients the current protocol has no level for
+        const unmatched = active.filter(p => !levels.includes(this.getPatientLevel(p, levels)));
+        if (unmatched.length > 0) {
+            groups.push({ key: 'other', title: 'Expectant / other', color: '#111827', patients: unmatched.map(entry) });
+        }
+        
+        return {
+            incident: this.getIncident(),
+            generatedAt: new Date(now).toISOString(),
+            generatedBy: UserAccounts.toRef(this.currentUser),
+            stats: this.calculateStatistics(),
+            groups
+        };
+    }
+
+    // Shared by the printed page and the PDF so both read the same
+    getHandoverSummary(report) {
+        const { stats } = report;
+        return [
+            ['Active patients', stats.total],
+            ...stats.levels.map(level => [level.label, level.count]),
+            ['Average wait', this.formatDuration(stats.avgWaitTime)],
+            ['Longest wait', this.formatDuration(stats.longestWait)],
+            ['Closed cases', stats.closed],
+            ['Closed last hour', stats.closedLastHour],
+            ['Throughput', `${stats.throughputPerHour}/h`],
+            ['Average stay', this.formatDuration(stats.avgLengthOfStay)]
+        ];
+    }
+
+    getHandoverPatientLine(patient) {
+        return [
+            patient.age !== null ? `${patient.age}y` : null,
+            patient.gender,
+            patient.status,
+            `waiting ${this.formatDuration(patient.waitMinutes)}`,
+            patient.assignedTo ? `with ${patient.assignedTo}` : 'unassigned'
+        ].filter(Boolean).join(' • ');
+    }
+
+    renderHandoverHtml(report) {
+        const escape = (value) => this.escapeHtml(String(value ?? ''));
+        const arrows = { rising: '↑', falling: '↓', steady: '→' };
+        const title = `Shift Handover – ${report.incident?.name || 'Incident'}`;
+        
+        const patientCard = (patient) => `
+            <article class="patient">
+                <h3>${escape(patient.id)} · ${escape(patient.name)}</h3>
+                <p class="meta">${escape(this.getHandoverPatientLine(patient))}</p>
+                ${patient.chiefComplaint ? `<p><strong>Complaint:</strong> ${escape(patient.chiefComplaint)}</p>` : ''}
+                ${patient.notes ? `<p><strong>Notes:</strong> ${escape(patient.notes)}</p>` : ''}
+                <p><strong>Vitals</strong> <small>(last set ${escape(new Date(patient.lastObservedAt).toLocaleString())})</small>:
+                    ${patient.vitals.length > 0 ? patient.vitals.map(vital => `
+                        <span class="vital">${escape(vital.label)} ${escape(vital.value)}${vital.unit ? ` ${escape(vital.unit)}` : ''}${vital.trend
+                            ? ` ${arrows[vital.trend]} <small>from ${escape(vital.previous)}</small>` : ''}</span>
+                    `).join('') : 'not recorded'}
+                </p>
+                <div class="columns">
+                    <div>
+                        <strong>Done</strong>
+                        <ul>${patient.interventions.map(item => `
+                            <li>${escape(item.text)} <small>${escape(new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))}${item.user ? ` · ${escape(item.user)}` : ''}</small></li>
+                        `).join('') || '<li>Nothing recorded</li>'}</ul>
+                    </div>
+                    <div>
+                        <strong>Pending</strong>
+                        <ul>${patient.pending.map(item => `<li>${escape(item)}</li>`).join('')}</ul>
+                    </div>
+                </div>
+            </article>
+        `;
+        
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escape(title)}</title>
+<style>
+    @page { margin: 15mm; }
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #111827; margin: 20px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .generated { color: #6b7280; margin: 0 0 15px; }
+    .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px; margin-bottom: 20px; }
+    .summary div { border: 1px solid #d1d5db; border-radius: 6px; padding: 6px 8px; }
+    .summary strong { display: block; font-size: 16px; }
+    h2 { color: #fff; font-size: 14px; padding: 6px 10px; margin: 20px 0 8px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .patient { border: 1px solid #d1d5db; border-radius: 6px; padding: 8px 10px; margin-bottom: 8px; break-inside: avoid; page-break-inside: avoid; }
+    .patient h3 { font-size: 13px; margin: 0 0 2px; }
+    .patient p { margin: 3px 0; }
+    .meta { color: #374151; }
+    .vital { display: inline-block; margin-right: 10px; }
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+    ul { margin: 2px 0 0 16px; padding: 0; }
+    small { color: #6b7280; }
+    .empty { color: #6b7280; margin: 0 0 0 10px; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p class="generated">Generated ${escape(new Date(report.generatedAt).toLocaleString())}${report.generatedBy ? ` by ${escape(report.generatedBy.name)}` : ''}</p>
+<section class="summary">
+    ${this.getHandoverSummary(report).map(([label, value]) => `<div><strong>${escape(value)}</strong>${escape(label)}</div>`).join('')}
+</section>
+${report.groups.map(group => `
+<h2 style="background:${group.color || '#374151'};">${escape(group.title)} (${group.patients.length})</h2>
+${group.patients.map(patientCard).join('') || '<p class="empty">No patients</p>'}
+`).join('')}
+</body>
+</html>
+`;
+    }
+
+    buildHandoverPdf(report) {
+        const title = `Shift Handover - ${report.incident?.name || 'Incident'}`;
+        const pdf = new PdfDocument({ title });
+        const grey = '#6b7280';
+        
+        pdf.write(title, { size: 18, bold: true });
+        pdf.write(`Generated ${new Date(report.generatedAt).toLocaleString()}${report.generatedBy ? ` by ${report.generatedBy.name}` : ''}`, { color: grey, gap: 8 });
+        pdf.write(this.getHandoverSummary(report).map(([label, value]) => `${label}: ${value}`).join('   '), { gap: 6 });
+        
+        report.groups.forEach(group => {
+            pdf.banner(`${group.title} (${group.patients.length})`, group.color || '#374151');
+            if (group.patients.length === 0) {
+                pdf.write('No patients', { color: grey, gap: 6 });
+            }
+            
+            group.patients.forEach(patient => {
+                pdf.write(`${patient.id}  ${patient.name}`, { size: 11, bold: true, gap: 0 });
+                pdf.write(this.getHandoverPatientLine(patient), { color: '#374151' });
+                if (patient.chiefComplaint) pdf.write(`Complaint: ${patient.chiefComplaint}`);
+                if (patient.notes) pdf.write(`Notes: ${patient.notes}`);
+                pdf.write(`Vitals (last set ${new Date(patient.lastObservedAt).toLocaleString()}): ` + (patient.vitals.length > 0
+                    ? patient.vitals.map(vital => `${vital.label} ${vital.value}${vital.unit ? ` ${vital.unit}` : ''}${vital.trend ? ` (${vital.trend} from ${vital.previous})` : ''}`).join(', ')
+                    : 'not recorded'));
+                pdf.write('Done:', { bold: true, gap: 0 });
+                (patient.interventions.length > 0 ? patient.interventions : [{ text: 'Nothing recorded' }]).forEach(item => {
+                    const time = item.timestamp ? ` (${new Date(item.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}${item.user ? `, ${item.user}` : ''})` : '';
+                    pdf.write(`• ${item.text}${time}`, { indent: 10, gap: 0 });
+                });
+                pdf.write('Pending:', { bold: true, gap: 0 });
+                patient.pending.forEach(item => pdf.write(`• ${item}`, { indent: 10, gap: 0 }));
+                pdf.rule();
+            });
+        });
+        
+        return pdf.toBytes();
+    }
+
+    showHandoverReport() {
+        document.querySelector('.handover-modal')?.remove();
+        
+        const report = this.getHandoverReport();
+        const html = this.renderHandoverHtml(report);
+        const patientCount = report.stats.total;
+        
+        const modal = document.createElement('div');
+        modal.className = 'handover-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:800px;width:100%;max-height:90vh;display:flex;flex-direction:column;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">📋 Shift Handover</h3>
+                    <button class="handover-close"
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                <iframe class="handover-preview" title="Handover report preview" style="flex:1;min-height:50vh;border:1px solid #e5e7eb;border-radius:8px;"></iframe>
+                <div style="display:flex;gap:10px;justify-content:flex-end;flex-wrap:wrap;margin-top:15px;">
+                    <button class="btn btn-secondary" data-handover="print">🖨️ Print</button>
+                    ${this.can('data.export') ? `
+                    <button class="btn btn-secondary" data-handover="html">⬇️ HTML</button>
+                    <button class="btn btn-primary" data-handover="pdf">⬇️ PDF</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+        modal.querySelector('.handover-preview').srcdoc = html;
+        
+        modal.querySelectorAll('[data-handover]').forEach(button => {
+            button.addEventListener('click', () => {
+                const output = button.dataset.handover;
+                if (output === 'print') {
+                    this.printHtml(html);
+                } else {
+                    this.downloadHandoverReport(report, output, html);
+                }
+                this.logEvent('handover_report_output', { incidentId: report.incident?.id || null, output });
+            });
+        });
+        modal.querySelectorAll('.handover-close').forEach(button => button.addEventListener('click', () => modal.remove()));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
+        
+        document.body.appendChild(modal);
+        this.audit('handover_report_generated', null, {
+            incidentId: report.incident?.id || null,
+            patientCount,
+            patientIds: report.groups.flatMap(group => group.patients.map(p => p.id))
+        });
+    }
+
+    downloadHandoverReport(report, format, html = null) {
+        if (!this.requirePermission('data.export')) return;
+        
+        const blob = format === 'pdf'
+            ? new Blob([this.buildHandoverPdf(report)], { type: 'application/pdf' })
+            : new Blob([html || this.renderHandoverHtml(report)], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        const slug = (report.incident?.name || 'incident').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const stamp = report.generatedAt.slice(0, 16).replace(/[T:]/g, '-');
+        a.download = `upline-handover-${slug || 'incident'}-${stamp}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        this.audit('data_exported', null, {
+            incidentId: report.incident?.id || null,
+            format: `handover-${format}`,
+            patientCount: report.stats.total,
+            fileName: a.download
+        });
+    }
+
+    // ============================================
+    // Live Updates
+    // ============================================
+
+    // Server-sent events keep every device's queue current without pressing Sync;
+    // the regular pull still runs underneath, so a missed event only costs latency
+    connectLiveUpdates() {
+        if (typeof EventSource === 'undefined' || this.liveSource) return;
+        
+        // EventSource cannot send an Authorization header, so the access code goes in the query
+        const params = new URLSearchParams();
+        const lastEventId = localStorage.getItem('live-event-id');
+        if (lastEventId) params.set('lastEventId', lastEventId);
+        const token = localStorage.getItem('server-token');
+        if (token) params.set('token', token);
+        const source = new EventSource(`/api/events?${params}`);
+        this.liveSource = source;
+        this.liveChanges = this.liveChanges || [];
+        
+        source.addEventListener('patient', event => this.handleLiveEvent(event));
+        source.onopen = () => {
+            this.liveRetryDelay = 0;
+        };
+        source.onerror = () => {
+            // The browser retries dropped connections itself and resumes from the last event ID;
+            // a closed source (server error, failed retry) has to be reopened by hand
+            if (source.readyState !== EventSource.CLOSED) return;
+            
+            this.liveSource = null;
+            this.liveRetryDelay = Math.min((this.liveRetryDelay || 1000) * 2, 60000);
+            clearTimeout(this.liveRetryTimer);
+            this.liveRetryTimer = setTimeout(() => this.connectLiveUpdates(), this.liveRetryDelay);
+        };
+    }
+
+    handleLiveEvent(event) {
+        try {
+            this.liveChanges.push(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Ignoring malformed live update:', error);
+            return;
+        }
+        if (event.lastEventId) {
+            localStorage.setItem('live-event-id', event.lastEventId);
+        }
+        
+        // A reconnect can replay many events at once; apply them together
+        clearTimeout(this.liveTimer);
+        this.liveTimer = setTimeout(() => this.applyLiveChanges(), 300);
+    }
+
+    async applyLiveChanges() {
+        // Held until unlock; without the key they can be neither merged nor shown
+        if (this.isLocked || !this.liveChanges?.length) return;
+        const changes = this.liveChanges.splice(0);
+        
+        // The service worker merges them with any local edits still waiting to be pushed
+        const response = await this.sendMessageToSW('APPLY_REMOTE_CHANGES', { patients: changes.map(change => change.patient) });
+        if (!response?.success) {
+            this.requestSync();
+            return;
+        }
+        
+        await this.refreshFromStore();
+        
+        // Changes made on this device were already announced when they were made
+        const fromElsewhere = changes.filter(change =>
+            change.patient.revision?.hlc && HybridLogicalClock.parse(change.patient.revision.hlc).node !== this.currentUser.id);
+        
+        fromElsewhere.filter(change => change.redAlert).forEach(change => {
+            const patient = this.patients.find(p => p.id === change.patient.id);
+            if (patient) this.triggerEmergencyProtocol(patient);
+        });
+        
+        const assignments = fromElsewhere.filter(change => change.assignment);
+        if (response.conflictCount > 0) {
+            this.showNotification(`${response.conflictCount} conflicting edit${response.conflictCount === 1 ? '' : 's'} from other devices need review`, 'warning');
+        } else if (assignments.length > 0) {
+            const { patient, assignment } = assignments[assignments.length - 1];
+            this.showNotification(`${patient.name} assigned to ${assignment.to || 'nobody'}`, 'info');
+        }
+        
+        this.logEvent('live_update_applied', { count: changes.length, applied: response.pulledCount });
+    }
+
+    // ============================================
+    // Device Handoff
+    // ============================================
+
+    renderHandoffButton() {
+        const controls = document.querySelector('.control-buttons');
+        if (!controls || document.getElementById('handoffBtn')) return;
+        
+        const button = document.createElement('button');
+        button.id = 'handoffBtn';
+        button.className = 'btn btn-secondary';
+        button.textContent = '📲 Handoff';
+        button.addEventListener('click', () => this.showHandoffMenu());
+        controls.appendChild(button);
+    }
+
+    createHandoffModal(title, content) {
+        this.closeHandoff();
+        
+        const modal = document.createElement('div');
+        modal.className = 'handoff-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:480px;width:100%;max-height:90vh;overflow-y:auto;text-align:center;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">${title}</h3>
+                    <button onclick="app.closeHandoff()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                ${content}
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeHandoff();
+        });
+        return modal;
+    }
+
+    showHandoffMenu() {
+        const count = this.getActivePatients().length;
+        const canReceive = QRScanner.isSupported();
+        this.createHandoffModal('📲 Device Handoff', `
+            <p style="margin-bottom:20px;color:#6b7280;">Move patients to another device with no network: one screen shows a moving QR code, the other scans it.</p>
+            <button class="btn btn-primary" onclick="app.startHandoffSend()" style="width:100%;margin-bottom:10px;" ${count && this.can('handoff.send') ? '' : 'disabled'}>
+                📤 Send ${count} active patient${count === 1 ? '' : 's'}
+            </button>
+            <button class="btn btn-secondary" onclick="app.startHandoffReceive()" style="width:100%;" ${canReceive && this.can('handoff.receive') ? '' : 'disabled'}>
+                📥 Receive from another device
+            </button>
+            ${canReceive ? '' : `<p style="margin-top:10px;color:#b45309;font-size:14px;">${this.getHandoffReceiveLimitation()}</p>`}
+        `);
+    }
+    
+    // Any browser can send; receiving needs the browser's own QR reader
+    getHandoffReceiveLimitation() {
+        return 'This browser cannot read QR codes from the camera, so it can only send. Receive on a device running Chrome or Edge (Android, ChromeOS, Windows or macOS), or move the patients with Export and Import instead.';
+    }
+
+    async startHandoffSend(patientIds = null) {
+        if (!this.requirePermission('handoff.send')) return;
+        
+        const patients = patientIds
+            ? this.patients.filter(patient => patientIds.includes(patient.id))
+            : this.getActivePatients();
+        if (patients.length === 0) {
+            this.showNotification('No patients to hand over', 'warning');
+            return;
+        }
+        
+        let handoff;
+        try {
+            const incidentIds = new Set(patients.map(patient => this.getPatientIncidentId(patient)));
+            handoff = await this.deviceHandoff.createFrames(patients, {
+                id: this.currentUser.id,
+                name: this.currentUser.name,
+                role: this.currentUser.role
+            }, this.incidents.filter(incident => incidentIds.has(incident.id)));
+        } catch (error) {
+            console.error('Handoff failed:', error);
+            this.showNotification(`Cannot prepare handoff: ${error.message}`, 'error');
+            return;
+        }
+        
+        const codes = handoff.frames.map(frame => QRCode.encode(frame, { ecc: 'L' }));
+        const modal = this.createHandoffModal('📤 Sending Patients', `
+            <canvas id="handoffCanvas" style="width:100%;max-width:360px;image-rendering:pixelated;"></canvas>
+            <div id="handoffFrame" style="margin:10px 0;font-weight:600;"></div>
+            <p style="color:#6b7280;margin-bottom:10px;">
+                Hold this screen in front of the receiving device's camera until it has every frame.
+            </p>
+            <div style="padding:10px;border-radius:8px;background:#f3f4f6;margin-bottom:15px;">
+                Device fingerprint: <strong>${handoff.fingerprint}</strong><br>
+                <small>The receiver should see the same code before accepting.</small>
+            </div>
+            <div style="text-align:left;margin-bottom:15px;">
+                <strong>${patients.length} patient${patients.length === 1 ? '' : 's'}:</strong>
+                ${patients.map(patient => this.escapeHtml(`${patient.name} (${patient.id})`)).join(', ')}
+            </div>
+            <button class="btn btn-primary" onclick="app.closeHandoff()" style="width:100%;">Done</button>
+        `);
+        
+        // Loop through the frames; the receiver picks up whichever it missed on the next pass
+        const canvas = modal.querySelector('#handoffCanvas');
+        const label = modal.querySelector('#handoffFrame');
+        let index = 0;
+        const showFrame = () => {
+            QRCode.drawToCanvas(canvas, codes[index], { scale: 4 });
+            label.textContent = `Frame ${index + 1} of ${codes.length}`;
+            index = (index + 1) % codes.length;
+        };
+        showFrame();
+        if (codes.length > 1) {
+            this.handoffTimer = setInterval(showFrame, 350);
+        }
+        
+        const patientIdsSent = patients.map(patient => patient.id);
+        this.logEvent('handoff_sent', { patientCount: patients.length, frameCount: codes.length });
+        this.audit('handoff_sent', null, { patientIds: patientIdsSent, frameCount: codes.length, fingerprint: handoff.fingerprint });
+    }
+
+    async startHandoffReceive() {
+        if (!this.requirePermission('handoff.receive')) return;
+        
+        if (!QRScanner.isSupported()) {
+            this.createHandoffModal('📥 Receiving Patients', `
+                <p style="margin-bottom:20px;color:#b45309;">${this.getHandoffReceiveLimitation()}</p>
+                <button class="btn btn-secondary" onclick="app.closeHandoff()" style="width:100%;">Close</button>
+            `);
+            return;
+        }
+        
+        const modal = this.createHandoffModal('📥 Receiving Patients', `
+            <video id="handoffVideo" muted style="width:100%;border-radius:8px;background:#111827;"></video>
+            <div style="height:10px;background:#e5e7eb;border-radius:5px;margin:15px 0 8px;overflow:hidden;">
+                <div id="handoffProgress" style="height:100%;width:0;background:#16a34a;transition:width 0.2s;"></div>
+            </div>
+            <div id="handoffStatus" style="color:#6b7280;">Point the camera at the sending device's QR code</div>
+        `);
+        
+        const receiver = new HandoffReceiver();
+        const progress = modal.querySelector('#handoffProgress');
+        const status = modal.querySelector('#handoffStatus');
+        const scanner = new QRScanner({ interval: 100 });
+        this.handoffScanner = scanner;
+        
+        try {
+            await scanner.start(modal.querySelector('#handoffVideo'), (text) => {
+                if (!receiver.accept(text)) return;
+                
+                progress.style.width = `${Math.round(receiver.received / receiver.total * 100)}%`;
+                status.textContent = `Received ${receiver.received} of ${receiver.total} frames`;
+                if (receiver.complete) {
+                    this.finishHandoffReceive(receiver.message);
+                }
+            });
+        } catch (error) {
+            if (this.handoffScanner !== scanner) return;
+            console.error('Camera unavailable:', error);
+            this.closeHandoff();
+            this.showNotification(`Cannot open the camera: ${error.message}`, 'error');
+        }
+    }
+
+    async finishHandoffReceive(message) {
+        this.handoffScanner?.stop();
+        // Checked again: the device may have changed hands while the frames were being scanned
+        if (!this.requirePermission('handoff.receive')) {
+            this.closeHandoff();
+            return;
+        }
+        
+        let payload;
+        try {
+            payload = await this.deviceHandoff.open(message);
+        } catch (error) {
+            console.error('Handoff rejected:', error);
+            this.closeHandoff();
+            this.showNotification(`Handoff rejected: ${error.message}`, 'error');
+            this.audit('handoff_rejected', null, { reason: error.message });
+            return;
+        }
+        this.closeHandoff();
+        
+        // A signed payload proves who sent it, not that its records are well formed; screen them as an import would
+        const seen = new Set();
+        const rejected = [];
+        const patients = (Array.isArray(payload.patients) ? payload.patients : []).filter(record => {
+            const errors = ExportBundle.validatePatient(record);
+            if (errors.length === 0 && seen.has(record.id)) {
+                errors.push('Appears more than once in the handoff');
+            }
+            if (errors.length > 0) {
+                rejected.push({ id: record?.id || null, errors });
+                return false;
+            }
+            seen.add(record.id);
+            return true;
+        });
+        
+        const sender = payload.sender?.name || 'an unknown device';
+        const count = patients.length;
+        const skipped = rejected.length ? `\n${rejected.length} invalid record${rejected.length === 1 ? '' : 's'} will be skipped.` : '';
+        if (count === 0) {
+            this.showNotification(`Nothing to receive from ${sender}: ${rejected.length} invalid record${rejected.length === 1 ? '' : 's'}`, 'error');
+            this.audit('handoff_rejected', null, { reason: 'No valid patient records', rejected });
+            return;
+        }
+        if (!confirm(`Receive ${count} patient${count === 1 ? '' : 's'} from ${sender}?${skipped}\n\nThe sending screen should show device fingerprint ${payload.fingerprint}.`)) {
+            return;
+        }
+        
+        const { newPatients, mergedPatients, conflictCount } = await this.mergeIncomingPatients(patients, payload.incidents || []);
+        
+        this.showNotification(
+            `Received ${newPatients.length} new and updated ${mergedPatients.length} existing patients from ${sender}` +
+            (conflictCount ? ` (${conflictCount} conflict${conflictCount === 1 ? '' : 's'} to review)` : '') +
+            (rejected.length ? `; skipped ${rejected.length} invalid` : ''),
+            conflictCount || rejected.length ? 'warning' : 'success'
+        );
+        this.logEvent('handoff_received', { receivedCount: newPatients.length, mergedCount: mergedPatients.length });
+        this.audit('handoff_received', null, {
+            sender: payload.sender || null,
+            fingerprint: payload.fingerprint,
+            sentAt: payload.createdAt,
+            receivedIds: newPatients.map(p => p.id),
+            mergedIds: mergedPatients.map(p => p.id),
+            conflictCount,
+            rejected
+        });
+    }
+
+    closeHandoff() {
+        clearInterval(this.handoffTimer);
+        this.handoffScanner?.stop();
+        this.handoffScanner = null;
+        document.querySelector('.handoff-modal')?.remove();
+    }
+
+    // ============================================
+    // Audit Log
+    // ============================================
+
+    renderAuditLogButton() {
+        const controls = document.querySelector('.control-buttons');
+        if (!controls || document.getElementById('auditLogBtn')) return;
+        
+        const button = document.createElement('button');
+        button.id = 'auditLogBtn';
+        button.className = 'btn btn-secondary';
+        button.textContent = '🧾 Audit Log';
+        button.addEventListener('click', () => this.showAuditLog());
+        controls.appendChild(button);
+    }
+
+    async showAuditLog() {
+        if (!this.requirePermission('audit.view')) return;
+        
+        const [entries, verification] = await Promise.all([this.auditLog.getAll(), this.auditLog.verify()]);
+        const users = new Map(entries.filter(e => e.user).map(e => [e.user.id, e.user.name]));
+        
+        const modal = document.createElement('div');
+        modal.className = 'audit-log-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+        `;
+        
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:800px;width:100%;max-height:80vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">🧾 Audit Log</h3>
+                    <button onclick="this.closest('.audit-log-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                <div style="padding:10px 15px;border-radius:8px;margin-bottom:15px;background:${verification.valid ? '#dcfce7' : '#fee2e2'};">
+                    ${verification.valid
+                        ? `✅ Chain intact: ${verification.count} entries verified`
+                        : `❌ Chain broken: ${verification.problems.length} problem${verification.problems.length === 1 ? '' : 's'} found
+                           <ul style="margin: 5px 0 0 18px;">
+                               ${verification.problems.map(p => `<li>#${p.seq}: ${p.issue}</li>`).join('')}
+                           </ul>`}
+                </div>
+                
+                <div style="display:grid;grid-template-columns:repeat(4, 1fr);gap:10px;margin-bottom:15px;">
+                    <input type="text" id="auditPatient" placeholder="Patient ID" style="padding:8px;">
+                    <select id="auditUser" style="padding:8px;">
+                        <option value="">All users</option>
+                        ${[...users].map(([id, name]) => `<option value="${this.escapeHtml(id)}">${this.escapeHtml(name)}</option>`).join('')}
+                    </select>
+                    <input type="datetime-local" id="auditFrom" title="From" style="padding:8px;">
+                    <input type="datetime-local" id="auditTo" title="To" style="padding:8px;">
+                </div>
+                
+                <div id="auditEntries"></div>
+                
+                <button class="btn btn-secondary" onclick="app.exportAuditLog()" style="width:100%;margin-top:15px;">
+                    📤 Export Audit Log
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener('input', () => this.renderAuditEntries());
+        });
+        this.renderAuditEntries();
+        
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.remove();
+            }
+        });
+    }
+
+    getAuditFilters() {
+        const from = document.getElementById('auditFrom')?.value;
+        const to = document.getElementById('auditTo')?.value;
+        return {
+            patientId: document.getElementById('auditPatient')?.value.trim() || '',
+            userId: document.getElementById('auditUser')?.value || '',
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null
+        };
+    }
+
+    async renderAuditEntries() {
+        const container = document.getElementById('auditEntries');
+        if (!container) return;
+        
+        const entries = (await this.auditLog.query(this.getAuditFilters())).reverse();
+        
+        if (entries.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #6b7280;">No audit entries match these filters.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <table style="width:100%;border-collapse:collapse;font-size:0.85rem;">
+                <tr style="text-align:left;border-bottom:2px solid #e5e7eb;">
+                    <th>#</th><th>Time</th><th>User</th><th>Action</th><th>Patient</th><th>Details</th>
+                </tr>
+                ${entries.map(entry => `
+                    <tr style="border-bottom:1px solid #e5e7eb;vertical-align:top;">
+                        <td>${entry.seq}</td>
+                        <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                        <td>${this.escapeHtml(entry.user?.name || '')}</td>
+                        <td>${this.escapeHtml(entry.action)}</td>
+                        <td>${this.escapeHtml(entry.patientId || '')}</td>
+                        <td><code style="word-break:break-all;">${this.escapeHtml(JSON.stringify(entry.details))}</code></td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    async exportAuditLog() {
+        try {
+            const filters = this.getAuditFilters();
+            const data = await this.auditLog.export();
+            const filtered = Object.values(filters).some(Boolean);
             
-            // Draw bar
-            ctx.fillStyle = colors[index];
-            ctx.fillRect(x, y, barWidth, height);
+            // Filtered exports keep the verification of the full chain they were cut from
+            if (filtered) {
+                data.entries = await this.auditLog.query(filters);
+                data.filters = filters;
+            }
             
-            // Draw count
-            ctx.fillStyle = '#374151';
-            ctx.font = '12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText(count.toString(), x + barWidth/2, y - 5);
+            const file = await this.encryptExport(data, 'audit log');
+            if (!file) return;
             
-            // Draw label
-            ctx.fillText(priority.toUpperCase(), x + barWidth/2, 170);
-        });
+            const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `upline-audit-log-${new Date().toISOString().split('T')[0]}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this.showNotification('Audit log exported', 'success');
+            this.audit('audit_exported', null, { entryCount: data.entries.length, filters: filtered ? filters : null });
+        } catch (error) {
+            console.error('Audit export failed:', error);
+            this.showNotification('Audit export failed', 'error');
+        }
     }
 
     // ============================================
-    // Emergency Protocols
+    // User Sessions
     // ============================================
 
-    triggerEmergencyProtocol(patient) {
-        const alertElement = document.getElementById('emergencyAlert');
-        if (!alertElement) return;
+    setCurrentUser(user) {
+        this.currentUser = { ...UserAccounts.toRef(user), department: user.department || 'Emergency' };
         
-        alertElement.innerHTML = `
-            <div class="alert-content">
-                <div class="alert-icon">🚨</div>
-                <div>
-                    <strong>CRITICAL PATIENT ALERT</strong><br>
-                    ${patient.name} - ${patient.chiefComplaint}<br>
-                    Priority: RED - Immediate attention required
+        // Revisions are stamped per user, so each sign-in gets its own clock
+        this.clock = new HybridLogicalClock(user.id);
+        this.patients.forEach(patient => this.clock.receive(patient.revision?.hlc));
+    }
+
+    can(permission) {
+        return UserAccounts.can(this.currentUser, permission);
+    }
+
+    // Refusals are audited so attempts outside a role show up in review
+    requirePermission(permission, patientId = null) {
+        if (this.can(permission)) return true;
+        
+        const role = USER_ROLES[this.currentUser?.role]?.label || 'This role';
+        this.showNotification(`${role} cannot do this: ${USER_PERMISSIONS[permission]}`, 'error');
+        this.audit('permission_denied', patientId, { permission });
+        return false;
+    }
+
+    getAutoLockMs() {
+        return (this.settings.autoLockMinutes || 5) * 60000;
+    }
+
+    saveSession() {
+        sessionStorage.setItem('active-session', JSON.stringify({ userId: this.currentUser.id, lastActivity: this.lastActivity }));
+    }
+
+    // The data key only exists unwrapped from a PIN, so a reload always asks for one; an open session just picks the profile
+    async startSession() {
+        const session = JSON.parse(sessionStorage.getItem('active-session') || 'null');
+        const resumable = session && Date.now() - session.lastActivity < this.getAutoLockMs();
+        await this.showLockScreen(resumable ? 'Enter your PIN to continue' : null, resumable ? session.userId : null);
+    }
+
+    setupAutoLock() {
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => { this.lastActivity = Date.now(); }, { capture: true, passive: true });
+        });
+        
+        setInterval(() => {
+            if (this.isLocked) return;
+            if (Date.now() - this.lastActivity >= this.getAutoLockMs()) {
+                this.lock('inactivity');
+            } else {
+                this.saveSession();
+            }
+        }, 15000);
+    }
+
+    lock(reason = 'manual') {
+        if (this.isLocked) return;
+        
+        this.audit('session_locked', null, { reason });
+        this.isLocked = true;
+        this.setDataKey(null);
+        sessionStorage.removeItem('active-session');
+        
+        // Nothing clinical stays open behind the lock screen
+        this.closeHandoff();
+        document.querySelectorAll('body > div[class$="-modal"]').forEach(modal => modal.remove());
+        this.voiceService?.stopListening();
+        
+        this.showLockScreen(reason === 'inactivity' ? 'Locked after inactivity' : 'Locked');
+    }
+
+    // Resolves once someone has signed in
+    async showLockScreen(message = null, userId = null) {
+        const users = (await this.userAccounts.getAll()).filter(user => user.active);
+        document.querySelector('.lock-screen')?.remove();
+        
+        const screen = document.createElement('div');
+        screen.className = 'lock-screen';
+        
+        if (users.length === 0) {
+            // First run: the profile left by older versions becomes the first administrator
+            const legacy = JSON.parse(localStorage.getItem('current-user') || 'null');
+            const wipedAt = sessionStorage.getItem('device-wiped');
+            screen.innerHTML = `
+                <div class="lock-card">
+                    <div class="lock-logo">🚑</div>
+                    <h2>Set Up This Device</h2>
+                    ${wipedAt ? `<div class="lock-error">All data on this device was erased after too many wrong PINs (${new Date(wipedAt).toLocaleString()}).</div>` : ''}
+                    <p>Create the first administrator. More users can be added afterwards.</p>
+                    <input type="text" id="setupName" placeholder="Your name" value="${this.escapeHtml(legacy?.name || '')}">
+                    <input type="password" id="setupPin" inputmode="numeric" autocomplete="off" placeholder="PIN (4-8 digits)">
+                    <input type="password" id="setupPinConfirm" inputmode="numeric" autocomplete="off" placeholder="Repeat PIN">
+                    <div class="lock-error" id="lockError"></div>
+                    <button class="btn btn-primary" onclick="app.createFirstUser()">Create Administrator</button>
                 </div>
-            </div>
-            <button class="btn btn-primary" onclick="app.assignToSelf('${patient.id}')">
-                👨‍⚕️ Take Case
-            </button>
+            `;
+        } else {
+            const selected = users.find(user => user.id === (userId || this.currentUser?.id)) || users[0];
+            this.lockSelectedUserId = selected.id;
+            screen.innerHTML = `
+                <div class="lock-card">
+                    <div class="lock-logo">🔒</div>
+                    <h2>${message ? this.escapeHtml(message) : 'Sign In'}</h2>
+                    <div class="lock-users">
+                        ${users.map(user => `
+                            <button class="lock-user ${user.id === selected.id ? 'selected' : ''}" data-user="${this.escapeHtml(user.id)}"
+                                onclick="app.selectLockUser('${this.escapeHtml(user.id)}')">
+                                <strong>${this.escapeHtml(user.name)}</strong>
+                                <small>${USER_ROLES[user.role]?.label || user.role}</small>
+                            </button>
+                        `).join('')}
+                    </div>
+                    <input type="password" id="lockPin" inputmode="numeric" autocomplete="off" placeholder="PIN">
+                    <div class="lock-error" id="lockError"></div>
+                    <button class="btn btn-primary" onclick="app.submitPin()">Unlock</button>
+                </div>
+            `;
+            screen.querySelector('#lockPin').addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.submitPin();
+            });
+        }
+        
+        document.body.appendChild(screen);
+        screen.querySelector('input')?.focus();
+        
+        return new Promise(resolve => {
+            this.lockScreenResolve = resolve;
+        });
+    }
+
+    selectLockUser(userId) {
+        this.lockSelectedUserId = userId;
+        document.querySelectorAll('.lock-user').forEach(button => {
+            button.classList.toggle('selected', button.dataset.user === userId);
+        });
+        document.getElementById('lockError').textContent = '';
+        document.getElementById('lockPin').focus();
+    }
+
+    async submitPin() {
+        const pinField = document.getElementById('lockPin');
+        const userId = this.lockSelectedUserId;
+        
+        try {
+            const { user, dataKey } = await this.userAccounts.verify(userId, pinField.value);
+            this.unlock(user, dataKey);
+        } catch (error) {
+            pinField.value = '';
+            const remaining = WIPE_AFTER_FAILED_UNLOCKS - (error.deviceFailedUnlocks || 0);
+            document.getElementById('lockError').textContent = remaining <= 3
+                ? `${error.message}. ${remaining} more wrong PIN${remaining === 1 ? '' : 's'} will erase all data on this device.`
+                : error.message;
+            const audited = this.audit('login_failed', null, {
+                userId,
+                reason: error.message,
+                failedAttempts: error.failedAttempts || null,
+                deviceFailedUnlocks: error.deviceFailedUnlocks || null
+            });
+            
+            if (remaining <= 0) {
+                // Let the write finish first, or it would recreate the audit database after the wipe
+                await audited;
+                await this.wipeDevice();
+            }
+        }
+    }
+
+    async createFirstUser() {
+        const name = document.getElementById('setupName').value;
+        const pin = document.getElementById('setupPin').value;
+        const error = document.getElementById('lockError');
+        
+        if (pin !== document.getElementById('setupPinConfirm').value) {
+            error.textContent = 'PINs do not match';
+            return;
+        }
+        
+        try {
+            const legacy = JSON.parse(localStorage.getItem('current-user') || 'null');
+            // Keeping the old id keeps this device's earlier revisions and audit entries attributed
+            const dataKey = await DataCipher.generateKey();
+            const user = await this.userAccounts.create({
+                id: legacy?.id,
+                name,
+                role: 'admin',
+                department: legacy?.department,
+                pin,
+                dataKey
+            });
+            localStorage.removeItem('current-user');
+            sessionStorage.removeItem('device-wiped');
+            
+            this.unlock(user, dataKey);
+            this.audit('user_created', null, { userId: user.id, name: user.name, role: user.role });
+        } catch (e) {
+            error.textContent = e.message;
+        }
+    }
+
+    unlock(user, dataKey) {
+        const previous = this.currentUser;
+        this.setCurrentUser(user);
+        this.setDataKey(dataKey);
+        this.isLocked = false;
+        this.lastActivity = Date.now();
+        this.saveSession();
+        
+        document.querySelector('.lock-screen')?.remove();
+        this.renderUserBadge();
+        this.audit(previous?.id === user.id ? 'session_unlocked' : 'session_started', null, {
+            previousUserId: previous?.id || null
+        });
+        this.logEvent('session_started', { role: user.role });
+        
+        if (previous && previous.id !== user.id) {
+            this.showNotification(`Signed in as ${user.name}`, 'success');
+        }
+        if (previous) {
+            // Whatever arrived while locked could not be read until now
+            this.refreshFromStore()
+                .then(() => this.applyLiveChanges())
+                .then(() => this.requestSync())
+                .catch(error => console.error('Refresh after unlock failed:', error));
+        }
+        
+        this.lockScreenResolve?.();
+        this.lockScreenResolve = null;
+    }
+
+    renderUserBadge() {
+        const statusBar = document.querySelector('.status-bar');
+        if (!statusBar || !this.currentUser) return;
+        
+        let badge = document.getElementById('userBadge');
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.id = 'userBadge';
+            badge.className = 'user-badge';
+            badge.innerHTML = `
+                <button id="userProfileBtn" title="Users and PIN"></button>
+                <button id="lockBtn" title="Lock or switch user">🔒</button>
+            `;
+            badge.querySelector('#userProfileBtn').addEventListener('click', () => this.showUserManager());
+            badge.querySelector('#lockBtn').addEventListener('click', () => this.lock());
+            statusBar.insertBefore(badge, statusBar.firstChild);
+        }
+        
+        badge.querySelector('#userProfileBtn').textContent = `👤 ${this.currentUser.name} · ${USER_ROLES[this.currentUser.role]?.label || this.currentUser.role}`;
+    }
+
+    async showUserManager() {
+        document.querySelector('.user-manager-modal')?.remove();
+        
+        const users = await this.userAccounts.getAll();
+        const manage = this.can('users.manage');
+        const roles = Object.entries(USER_ROLES);
+        
+        const modal = document.createElement('div');
+        modal.className = 'user-manager-modal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 1001;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
         `;
         
-        // Make alert pulse
-        alertElement.style.animation = 'alert-pulse 1s infinite';
+        modal.innerHTML = `
+            <div style="background:white;border-radius:12px;padding:30px;max-width:700px;width:100%;max-height:85vh;overflow-y:auto;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                    <h3 style="margin: 0; color: #dc2626;">👤 Users</h3>
+                    <button onclick="this.closest('.user-manager-modal').remove()" 
+                        style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                        ×
+                    </button>
+                </div>
+                
+                <h4 style="margin-bottom:10px;">Change My PIN</h4>
+                <div style="display:grid;grid-template-columns:1fr 1fr 1fr auto;gap:10px;margin-bottom:20px;">
+                    <input type="password" id="currentPin" inputmode="numeric" autocomplete="off" placeholder="Current PIN" style="padding:8px;">
+                    <input type="password" id="newPin" inputmode="numeric" autocomplete="off" placeholder="New PIN" style="padding:8px;">
+                    <input type="password" id="newPinConfirm" inputmode="numeric" autocomplete="off" placeholder="Repeat new PIN" style="padding:8px;">
+                    <button class="btn btn-secondary" onclick="app.changeOwnPin()">Save</button>
+                </div>
+                
+                <h4 style="margin-bottom:10px;">Profiles on This Device</h4>
+                <table class="user-table">
+                    ${users.map(user => `
+                        <tr class="${user.active ? '' : 'user-disabled'}">
+                            <td><strong>${this.escapeHtml(user.name)}</strong>${user.id === this.currentUser.id ? ' (you)' : ''}</td>
+                            <td>
+                                ${manage ? `
+                                    <select onchange="app.changeUserRole('${this.escapeHtml(user.id)}', this.value)">
+                                        ${roles.map(([key, role]) => `<option value="${key}" ${user.role === key ? 'selected' : ''}>${role.label}</option>`).join('')}
+                                    </select>
+                                ` : USER_ROLES[user.role]?.label || user.role}
+                            </td>
+                            <td>${user.lastLoginAt ? `Last sign-in ${this.getTimeAgo(user.lastLoginAt)}` : 'Never signed in'}</td>
+                            <td style="text-align:right;">
+                                ${manage ? `
+                                    <button onclick="app.resetUserPin('${this.escapeHtml(user.id)}')">Reset PIN</button>
+                                    <button onclick="app.setUserActive('${this.escapeHtml(user.id)}', ${!user.active})">${user.active ? 'Disable' : 'Enable'}</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </table>
+                
+                ${manage ? `
+                    <h4 style="margin:20px 0 10px;">➕ Add User</h4>
+                    <div style="display:grid;grid-template-columns:2fr 1fr 1fr auto;gap:10px;">
+                        <input type="text" id="newUserName" placeholder="Name" style="padding:8px;">
+                        <select id="newUserRole" style="padding:8px;">
+                            ${roles.map(([key, role]) => `<option value="${key}">${role.label}</option>`).join('')}
+                        </select>
+                        <input type="password" id="newUserPin" inputmode="numeric" autocomplete="off" placeholder="PIN" style="padding:8px;">
+                        <button class="btn btn-primary" onclick="app.addUser()">Add</button>
+                    </div>
+                ` : ''}
+                
+                <h4 style="margin:20px 0 10px;">Role Permissions</h4>
+                <table class="user-table permission-table">
+                    <tr><th></th>${roles.map(([, role]) => `<th>${role.label}</th>`).join('')}</tr>
+                    ${Object.entries(USER_PERMISSIONS).map(([permission, label]) => `
+                        <tr>
+                            <td>${label}</td>
+                            ${roles.map(([, role]) => `<td style="text-align:center;">${role.permissions.includes(permission) ? '✓' : ''}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `;
         
-        // Send notification
-        if ('Notification' in window && Notification.permission === 'granted') {
-            new Notification('🚨 Critical Patient Alert', {
-                body: `${patient.name} requires immediate attention`,
-                icon: '/icon-192.png',
-                requireInteraction: true
-            });
-        }
+        document.body.appendChild(modal);
         
-        // Play emergency sound
-        this.playEmergencySound();
+        // Close on background click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) modal.remove();
+        });
     }
 
-    assignToSelf(patientId) {
-        const patient = this.patients.find(p => p.id === patientId);
-        if (!patient) return;
-        
-        patient.assignedTo = this.currentUser.name;
-        patient.status = 'in_progress';
-        
-        this.saveToStorage('upline-patients', this.patients);
-        this.renderPatients();
-        
-        this.showNotification(`Assigned ${patient.name} to yourself`, 'success');
+    async changeOwnPin() {
+        const newPin = document.getElementById('newPin').value;
+        if (newPin !== document.getElementById('newPinConfirm').value) {
+            this.showNotification('New PINs do not match', 'error');
+            return;
+        }
         
-        // Reset alert
-        this.resetEmergencyAlert();
+        try {
+            const { user } = await this.userAccounts.verify(this.currentUser.id, document.getElementById('currentPin').value);
+            await this.userAccounts.setPin(user, newPin, this.dataKey);
+            this.audit('user_pin_changed', null, { userId: user.id });
+            this.showNotification('PIN changed', 'success');
+            this.showUserManager();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
     }
 
-    resetEmergencyAlert() {
-        const alertElement = document.getElementById('emergencyAlert');
-        if (alertElement) {
-            alertElement.innerHTML = `
-                <div class="alert-content">
-                    <div class="alert-icon">⚠️</div>
-                    <div>
-                        <strong>EMERGENCY MODE ACTIVE</strong> - Triage system is operational
-                        <span id="patientCountAlert">${this.patients.length} patient${this.patients.length !== 1 ? 's' : ''} in queue</span>
-                    </div>
-                </div>
-                <button id="addEmergencyBtn" class="btn btn-primary">➕ New Emergency</button>
-            `;
-            alertElement.style.animation = '';
-            
-            // Reattach event listener
-            const addEmergencyBtn = document.getElementById('addEmergencyBtn');
-            if (addEmergencyBtn) {
-                addEmergencyBtn.addEventListener('click', () => this.addEmergencyPatient());
-            }
+    async addUser() {
+        if (!this.requirePermission('users.manage')) return;
+        
+        try {
+            const user = await this.userAccounts.create({
+                name: document.getElementById('newUserName').value,
+                role: document.getElementById('newUserRole').value,
+                pin: document.getElementById('newUserPin').value,
+                dataKey: this.dataKey
+            });
+            this.audit('user_created', null, { userId: user.id, name: user.name, role: user.role });
+            this.showNotification(`Added ${user.name}`, 'success');
+            this.showUserManager();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
         }
     }
 
-    activateMassCasualtyMode() {
-        this.settings.triageProtocol = 'mass_casualty';
-        this.saveToStorage('triage-settings', this.settings);
+    // Someone must always be left who can manage users
+    async wouldRemoveLastAdmin(userId, changes) {
+        const users = (await this.userAccounts.getAll()).map(user => user.id === userId ? { ...user, ...changes } : user);
+        return !users.some(user => user.active && user.role === 'admin');
+    }
+
+    async changeUserRole(userId, role) {
+        if (!this.requirePermission('users.manage')) return;
+        
+        const user = await this.userAccounts.get(userId);
+        if (!user || user.role === role) return;
+        if (await this.wouldRemoveLastAdmin(userId, { role })) {
+            this.showNotification('At least one active administrator is required', 'error');
+            this.showUserManager();
+            return;
+        }
         
-        this.showNotification('Mass Casualty Mode Activated', 'warning');
+        await this.userAccounts.update(user, { role });
+        this.audit('user_updated', null, { userId, changes: [{ field: 'role', oldValue: user.role, newValue: role }] });
         
-        // Add quick triage interface
-        const formContainer = document.querySelector('.patient-form-container');
-        if (formContainer && !formContainer.querySelector('.quick-triage')) {
-            const quickTriageDiv = document.createElement('div');
-            quickTriageDiv.className = 'quick-triage';
-            quickTriageDiv.innerHTML = `
-                <h3>🚨 Quick Triage (MCI Protocol)</h3>
-                <div class="quick-buttons">
-                    <button class="triage-quick red" onclick="app.quickTriage('red')">
-                        🚨 Immediate (Red)
-                    </button>
-                    <button class="triage-quick yellow" onclick="app.quickTriage('yellow')">
-                        ⚠️ Urgent (Yellow)
-                    </button>
-                    <button class="triage-quick green" onclick="app.quickTriage('green')">
-                        ✅ Delayed (Green)
-                    </button>
-                    <button class="triage-quick black" onclick="app.quickTriage('black')">
-                        ⚫ Expectant (Black)
-                    </button>
-                </div>
-            `;
-            
-            // Add styles
-            const style = document.createElement('style');
-            style.textContent = `
-                .quick-triage {
-                    background: #fef2f2;
-                    padding: 20px;
-                    border-radius: 10px;
-                    margin-bottom: 20px;
-                    border: 2px solid #dc2626;
-                }
-                .quick-buttons {
-                    display: grid;
-                    grid-template-columns: repeat(2, 1fr);
-                    gap: 10px;
-                    margin-top: 15px;
-                }
-                .triage-quick {
-                    padding: 15px;
-                    border: none;
-                    border-radius: 8px;
-                    font-weight: bold;
-                    cursor: pointer;
-                    transition: transform 0.2s;
-                    font-size: 14px;
-                }
-                .triage-quick:hover {
-                    transform: scale(1.05);
-                }
-                .triage-quick.red { background: #dc2626; color: white; }
-                .triage-quick.yellow { background: #ca8a04; color: white; }
-                .triage-quick.green { background: #16a34a; color: white; }
-                .triage-quick.black { background: #1f2937; color: white; }
-            `;
-            document.head.appendChild(style);
-            
-            formContainer.insertBefore(quickTriageDiv, formContainer.firstChild);
+        // A new role for the signed-in user applies straight away
+        if (userId === this.currentUser.id) {
+            this.currentUser.role = role;
+            this.renderUserBadge();
         }
+        this.showNotification(`${user.name} is now ${USER_ROLES[role].label}`, 'success');
+        this.showUserManager();
     }
 
-    quickTriage(priority) {
-        const emergencyNames = ['Unknown Male', 'Unknown Female', 'Child', 'Elderly'];
+    async resetUserPin(userId) {
+        if (!this.requirePermission('users.manage')) return;
         
-        const patient = {
-            id: `MCI-${Date.now()}`,
-            name: `${emergencyNames[Math.floor(Math.random() * emergencyNames.length)]}`,
-            age: Math.floor(Math.random() * 70) + 10,
-            gender: ['male', 'female'][Math.floor(Math.random() * 2)],
-            chiefComplaint: 'Mass casualty injury',
-            priority: priority,
-            timestamp: new Date().toISOString(),
-            status: 'waiting',
-            vitalSigns: {
-                heartRate: 'Not recorded',
-                bloodPressure: 'Not recorded',
-                respiratoryRate: 'Not recorded',
-                oxygenSaturation: 'Not recorded',
-                temperature: 'Not recorded'
-            }
-        };
+        const user = await this.userAccounts.get(userId);
+        const pin = user && prompt(`New PIN for ${user.name} (4-8 digits):`);
+        if (!pin) return;
         
-        this.patients.unshift(patient);
-        this.saveToStorage('upline-patients', this.patients);
+        try {
+            await this.userAccounts.setPin(user, pin, this.dataKey);
+            this.audit('user_pin_changed', null, { userId, resetBy: this.currentUser.id });
+            this.showNotification(`PIN reset for ${user.name}`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async setUserActive(userId, active) {
+        if (!this.requirePermission('users.manage')) return;
         
-        this.renderPatients();
-        this.updatePatientCounts();
+        const user = await this.userAccounts.get(userId);
+        if (!user) return;
+        if (!active && userId === this.currentUser.id) {
+            this.showNotification('You cannot disable your own profile', 'error');
+            return;
+        }
+        if (!active && await this.wouldRemoveLastAdmin(userId, { active })) {
+            this.showNotification('At least one active administrator is required', 'error');
+            return;
+        }
         
-        this.showNotification(`Added ${priority.toUpperCase()} priority patient`, 'info');
+        await this.userAccounts.update(user, { active });
+        this.audit('user_updated', null, { userId, changes: [{ field: 'active', oldValue: user.active, newValue: active }] });
+        this.showUserManager();
     }
 
     // ============================================
-    // Data Management
+    // Data Protection
     // ============================================
 
-    async exportData() {
-        try {
-            const data = {
-                patients: this.patients,
-                settings: this.settings,
-                user: this.currentUser,
-                metadata: {
-                    exportedAt: new Date().toISOString(),
-                    totalPatients: this.patients.length,
-                    appVersion: '2.0.0'
-                }
-            };
-            
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `upline-triage-export-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.showNotification('Data exported successfully', 'success');
-            this.logEvent('data_exported', { patientCount: this.patients.length });
-        } catch (error) {
-            console.error('Export failed:', error);
-            this.showNotification('Export failed', 'error');
-        }
+    // The data key lives only in memory, here and in the service worker, while someone is signed in
+    setDataKey(key) {
+        this.dataKey = key;
+        this.patientStore.setCipher(key ? new DataCipher(key) : null);
+        this.sendMessageToSW(key ? 'SET_DATA_KEY' : 'CLEAR_DATA_KEY');
     }
 
-    async importData() {
-        return new Promise((resolve) => {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.json';
+    // Resolves with the passphrase, or null when cancelled; `confirm` asks twice for a new one,
+    // and `optional` lets the user go without, which resolves with an empty string
+    askPassphrase({ title, message, confirm = false, optional = false }) {
+        document.querySelector('.passphrase-modal')?.remove();
+        
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'passphrase-modal';
+            modal.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                background: rgba(0,0,0,0.5);
+                z-index: 1001;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            `;
             
-            input.onchange = async (e) => {
-                const file = e.target.files[0];
-                if (!file) {
-                    resolve(false);
-                    return;
+            modal.innerHTML = `
+                <div style="background:white;border-radius:12px;padding:30px;max-width:420px;width:100%;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                        <h3 style="margin: 0; color: #dc2626;">${title}</h3>
+                        <button class="passphrase-close"
+                            style="background: none; border: none; font-size: 24px; cursor: pointer; color: #6b7280;">
+                            ×
+                        </button>
+                    </div>
+                    <p style="margin:0 0 15px;color:#4b5563;">${message}</p>
+                    ${optional ? `
+                        <label style="display:flex;align-items:center;gap:8px;margin-bottom:10px;">
+                            <input type="checkbox" id="passphraseEnabled" checked> Protect with a passphrase (recommended)
+                        </label>
+                    ` : ''}
+                    <input type="password" id="passphraseInput" autocomplete="off" placeholder="Passphrase"
+                        style="width:100%;padding:10px;border:1px solid #d1d5db;border-radius:8px;margin-bottom:10px;">
+                    ${confirm ? `
+                        <input type="password" id="passphraseConfirm" autocomplete="off" placeholder="Repeat passphrase"
+                            style="width:100%;padding:10px;border:1px solid #d1d5db;border-radius:8px;margin-bottom:10px;">
+                    ` : ''}
+                    <div id="passphraseError" style="color:#dc2626;font-size:14px;min-height:20px;margin-bottom:10px;"></div>
+                    <button class="btn btn-primary" id="passphraseSubmit" style="width:100%;">Continue</button>
+                </div>
+            `;
+            
+            const finish = (passphrase) => {
+                modal.remove();
+                resolve(passphrase);
+            };
+            const enabled = modal.querySelector('#passphraseEnabled');
+            const submit = () => {
+                const passphrase = modal.querySelector('#passphraseInput').value;
+                const error = modal.querySelector('#passphraseError');
+                if (enabled && !enabled.checked) {
+                    finish('');
+                } else if (confirm && passphrase.length < 8) {
+                    error.textContent = 'Use at least 8 characters';
+                } else if (confirm && passphrase !== modal.querySelector('#passphraseConfirm').value) {
+                    error.textContent = 'Passphrases do not match';
+                } else if (passphrase) {
+                    finish(passphrase);
                 }
-                
-                const reader = new FileReader();
-                
-                reader.onload = async (event) => {
-                    try {
-                        const data = JSON.parse(event.target.result);
-                        
-                        if (data.patients && Array.isArray(data.patients)) {
-                            // Confirm import
-                            if (!confirm(`Import ${data.patients.length} patients?`)) {
-                                resolve(false);
-                                return;
-                            }
-                            
-                            // Merge patients
-                            const existingIds = new Set(this.patients.map(p => p.id));
-                            const newPatients = data.patients.filter(p => !existingIds.has(p.id));
-                            
-                            this.patients = [...newPatients, ...this.patients];
-                            
-                            // Update settings if present
-                            if (data.settings) {
-                                this.settings = { ...this.settings, ...data.settings };
-                                await this.saveToStorage('triage-settings', this.settings);
-                            }
-                            
-                            await this.saveToStorage('upline-patients', this.patients);
-                            
-                            this.updatePatientCounts();
-                            this.renderPatients();
-                            
-                            this.showNotification(`Imported ${newPatients.length} patients`, 'success');
-                            this.logEvent('data_imported', { importedCount: newPatients.length });
-                        } else {
-                            throw new Error('Invalid data format');
-                        }
-                    } catch (error) {
-                        console.error('Import error:', error);
-                        this.showNotification('Failed to import: Invalid file format', 'error');
-                    }
-                    resolve(true);
-                };
-                
-                reader.onerror = () => {
-                    this.showNotification('Failed to read file', 'error');
-                    resolve(false);
-                };
-                
-                reader.readAsText(file);
             };
             
-            input.click();
+            enabled?.addEventListener('change', () => {
+                modal.querySelectorAll('input[type="password"]').forEach(input => { input.disabled = !enabled.checked; });
+            });
+            modal.querySelector('#passphraseSubmit').addEventListener('click', submit);
+            modal.querySelectorAll('input').forEach(input => input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') submit();
+            }));
+            modal.querySelector('.passphrase-close').addEventListener('click', () => finish(null));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) finish(null);
+            });
+            
+            document.body.appendChild(modal);
+            modal.querySelector('#passphraseInput').focus();
         });
     }
 
-    async syncData() {
-        if (!navigator.onLine) {
-            this.showNotification('Cannot sync while offline', 'warning');
-            return;
-        }
-        
-        this.showNotification('Syncing data...', 'info');
-        
-        try {
-            // Get data from service worker IndexedDB
-            const response = await this.sendMessageToSW('GET_PENDING_DATA');
+    // Files leave the device, so exports are passphrase-protected unless the user turns it off;
+    // resolves with what to write, or null when cancelled
+    async encryptExport(data, description) {
+        const passphrase = await this.askPassphrase({
+            title: '🔐 Protect Export',
+            message: `Choose a passphrase for the ${this.escapeHtml(description)}. Anyone opening the file will need it; it cannot be recovered.`,
+            confirm: true,
+            optional: true
+        });
+        if (passphrase === null) return null;
+        return passphrase ? DataCipher.encryptFile(data, passphrase) : data;
+    }
+
+    // Asks until the passphrase fits or the user gives up
+    async openEncryptedFile(file, fileName) {
+        let message = `${this.escapeHtml(fileName)} is encrypted. Enter the passphrase it was exported with.`;
+        for (;;) {
+            const passphrase = await this.askPassphrase({ title: '🔐 Encrypted File', message });
+            if (!passphrase) return null;
             
-            if (response.success && response.data?.length > 0) {
-                // Merge with local data
-                this.patients = [...response.data, ...this.patients];
-                await this.saveToStorage('upline-patients', this.patients);
-                
-                // Clear pending data
-                await this.sendMessageToSW('CLEAR_PENDING_DATA');
-                
-                this.renderPatients();
-                this.updatePatientCounts();
-                
-                this.showNotification(`Synced ${response.data.length} items`, 'success');
-            } else {
-                this.showNotification('No pending data to sync', 'info');
+            try {
+                return await DataCipher.decryptFile(file, passphrase);
+            } catch (error) {
+                message = `${this.escapeHtml(error.message)}. Try again.`;
             }
-        } catch (error) {
-            console.error('Sync failed:', error);
-            this.showNotification('Sync failed', 'error');
         }
     }
 
-    async cleanupOldData() {
-        const retentionDays = this.settings.dataRetention || 30;
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-        
-        const initialCount = this.patients.length;
-        this.patients = this.patients.filter(patient => {
-            const patientDate = new Date(patient.timestamp);
-            return patientDate > cutoffDate;
-        });
-        
-        const removedCount = initialCount - this.patients.length;
-        if (removedCount > 0) {
-            await this.saveToStorage('upline-patients', this.patients);
-            this.renderPatients();
-            this.updatePatientCounts();
-            
-            console.log(`Cleaned up ${removedCount} old patients`);
-            this.logEvent('data_cleaned', { removedCount });
+    // Shred the wrapped keys first: without them the records stay unreadable even if a delete is held up
+    async wipeDevice() {
+        console.warn('🧨 Too many wrong PINs; erasing all data on this device');
+        try {
+            await this.userAccounts.discardDataKeys();
+        } catch (error) {
+            console.error('Failed to discard data keys:', error);
         }
+        
+        this.setDataKey(null);
+        await this.sendMessageToSW('WIPE_DATA');
+        await Promise.all([TRIAGE_DB_NAME, AUDIT_DB_NAME].map(name => new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(name);
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        })));
+        
+        localStorage.clear();
+        sessionStorage.clear();
+        sessionStorage.setItem('device-wiped', new Date().toISOString());
+        location.reload();
     }
 
     // ============================================
@@ -1259,9 +5675,9 @@ class EmergencyTriageApp {
                 <div style="margin-bottom:20px;">
                     <label style="display: block; margin-bottom: 8px; font-weight: 500;">Triage Protocol</label>
                     <select id="triageProtocol" style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;">
-                        <option value="standard" ${this.settings.triageProtocol === 'standard' ? 'selected' : ''}>Standard Protocol</option>
-                        <option value="mass_casualty" ${this.settings.triageProtocol === 'mass_casualty' ? 'selected' : ''}>Mass Casualty Protocol</option>
-                        <option value="pediatric" ${this.settings.triageProtocol === 'pediatric' ? 'selected' : ''}>Pediatric Protocol</option>
+                        ${TriageProtocols.list().map(protocol => `
+                            <option value="${protocol.id}" ${this.getTriageProtocol().id === protocol.id ? 'selected' : ''}>${protocol.name}</option>
+                        `).join('')}
                     </select>
                 </div>
                 
@@ -1296,23 +5712,20 @@ class EmergencyTriageApp {
                 <div style="margin-bottom:20px;">
                     <label style="display: block; margin-bottom: 8px; font-weight: 500;">Data Retention (days)</label>
                     <input type="number" id="dataRetention" value="${this.settings.dataRetention}" 
-                        min="1" max="365" style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;">
+                        min="1" max="365" style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;"
+                        ${this.can('settings.retention') ? '' : 'disabled title="Administrators only"'}>
                 </div>
                 
                 <div style="margin-bottom:20px;">
-                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">User Role</label>
-                    <select id="userRole" style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;">
-                        <option value="paramedic" ${this.currentUser.role === 'paramedic' ? 'selected' : ''}>Paramedic</option>
-                        <option value="nurse" ${this.currentUser.role === 'nurse' ? 'selected' : ''}>Nurse</option>
-                        <option value="doctor" ${this.currentUser.role === 'doctor' ? 'selected' : ''}>Doctor</option>
-                        <option value="coordinator" ${this.currentUser.role === 'coordinator' ? 'selected' : ''}>Coordinator</option>
-                    </select>
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">Server Access Code</label>
+                    <input type="password" id="serverToken" value="${this.escapeHtml(localStorage.getItem('server-token') || '')}" autocomplete="off"
+                        placeholder="Shown when the server starts" style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;">
                 </div>
                 
                 <div style="margin-bottom:20px;">
-                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">User Name</label>
-                    <input type="text" id="userName" value="${this.currentUser.name}" 
-                        style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">Auto-lock After (minutes idle)</label>
+                    <input type="number" id="autoLockMinutes" value="${this.settings.autoLockMinutes || 5}" 
+                        min="1" max="60" style="width:100%;padding:10px;border-radius:8px;border:2px solid #e5e7eb;">
                 </div>
                 
                 <div style="display:flex;gap:15px;margin-top:30px;">
@@ -1338,27 +5751,47 @@ class EmergencyTriageApp {
 
     async saveSettings() {
         try {
+            const previousSettings = this.settings;
+            
             this.settings = {
                 triageProtocol: document.getElementById('triageProtocol').value,
                 autoPriority: document.getElementById('autoPriority').checked,
                 notificationSound: document.getElementById('notificationSound').checked,
                 voiceEnabled: document.getElementById('voiceEnabled').checked,
                 analyticsEnabled: document.getElementById('analyticsEnabled').checked,
-                dataRetention: parseInt(document.getElementById('dataRetention').value) || 30
-            };
-            
-            this.currentUser = {
-                ...this.currentUser,
-                name: document.getElementById('userName').value || 'Emergency Responder',
-                role: document.getElementById('userRole').value
+                // Retention is kept as it was unless the user may change it
+                dataRetention: this.can('settings.retention')
+                    ? parseInt(document.getElementById('dataRetention').value) || 30
+                    : previousSettings.dataRetention,
+                autoLockMinutes: Math.min(Math.max(parseInt(document.getElementById('autoLockMinutes').value) || 5, 1), 60)
             };
             
             await this.saveToStorage('triage-settings', this.settings);
-            await this.saveToStorage('current-user', this.currentUser);
+            
+            const changes = Object.keys(this.settings)
+                .map(key => ({ setting: key, oldValue: previousSettings[key], newValue: this.settings[key] }))
+                .filter(change => change.oldValue !== change.newValue);
+            
+            // Kept out of this.settings so it never travels in exports; the audit records only that it changed
+            const serverToken = document.getElementById('serverToken').value.trim();
+            if (serverToken !== (localStorage.getItem('server-token') || '')) {
+                localStorage.setItem('server-token', serverToken);
+                await this.sendMessageToSW('SET_SERVER_TOKEN', { token: serverToken });
+                changes.push({ setting: 'serverToken' });
+                this.liveSource?.close();
+                this.liveSource = null;
+                this.connectLiveUpdates();
+                this.requestSync();
+            }
+            if (changes.length > 0) {
+                this.audit('settings_changed', null, { changes });
+            }
             
             // Remove settings modal
             document.querySelector('.settings-modal').remove();
             
+            this.applyTriageProtocol();
+            
             // Reinitialize voice service if needed
             if (this.settings.voiceEnabled && !this.voiceService) {
                 this.setupVoiceService();
@@ -1379,26 +5812,46 @@ class EmergencyTriageApp {
     // Utility Methods
     // ============================================
 
+    // Settings and user profile only; patients live in IndexedDB
     async saveToStorage(key, data) {
         try {
             localStorage.setItem(key, JSON.stringify(data));
             return true;
         } catch (error) {
             console.error('Error saving to storage:', error);
-            // Try to clear some space if storage is full
-            if (error.name === 'QuotaExceededError') {
-                await this.cleanupOldData();
-                try {
-                    localStorage.setItem(key, JSON.stringify(data));
-                    return true;
-                } catch (retryError) {
-                    this.showNotification('Storage full. Please export and clear data.', 'error');
-                }
-            }
             return false;
         }
     }
 
+    async savePatient(patient, operation = 'update') {
+        try {
+            await this.patientStore.save(patient, operation);
+            this.updateSyncQueueStatus();
+            this.requestSync();
+            return true;
+        } catch (error) {
+            console.error('Failed to save patient:', error);
+            this.showNotification(`Failed to save ${patient.name}`, 'error');
+            return false;
+        }
+    }
+
+    async reloadPatients() {
+        const patients = await this.patientStore.getAll();
+        this.patients = patients.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        return this.patients;
+    }
+
+    // After the worker or another tab has written to the store
+    async refreshFromStore() {
+        await this.reloadPatients();
+        await this.discoverIncidents();
+        this.patients.forEach(patient => this.clock?.receive(patient.revision?.hlc));
+        this.renderPatients();
+        this.updatePatientCounts();
+        this.updateDashboard();
+    }
+
     showNotification(message, type = 'info') {
         // Remove existing notifications
         document.querySelectorAll('.notification').forEach(n => n.remove());
@@ -1407,9 +5860,11 @@ class EmergencyTriageApp {
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
-            <span class="notification-text">${message}</span>
+            <span class="notification-text"></span>
             <button class="notification-close">×</button>
         `;
+        // Messages carry patient names and other synced text, so they are never parsed as markup
+        notification.querySelector('.notification-text').textContent = message;
         
         // Add styles
         if (!document.querySelector('#notification-styles')) {
@@ -1625,6 +6080,18 @@ class EmergencyTriageApp {
         });
     }
 
+    // Unlike logEvent, audit entries are always written and never pruned
+    audit(action, patientId = null, details = {}) {
+        return this.auditLog.append(action, {
+            patientId,
+            // Null while locked, so sign-in attempts are not credited to the last user
+            user: this.currentUser && !this.isLocked ? UserAccounts.toRef(this.currentUser) : null,
+            details
+        }).catch(error => {
+            console.error('Failed to write audit entry:', error);
+        });
+    }
+
     logEvent(eventType, data) {
         if (!this.settings.analyticsEnabled) return;
         
@@ -1632,7 +6099,7 @@ class EmergencyTriageApp {
             type: eventType,
             data,
             timestamp: new Date().toISOString(),
-            user: this.currentUser.id,
+            user: this.currentUser?.id || null,
             online: navigator.onLine
         };
         
@@ -1672,10 +6139,8 @@ class EmergencyTriageApp {
             this.updateDashboard();
         }, 30000);
         
-        // Auto-save every minute
-        setInterval(async () => {
-            await this.saveToStorage('upline-patients', this.patients);
-        }, 60000);
+        // Pull changes from other devices and retry queued ones every 30 seconds
+        setInterval(() => this.requestSync(), 30000);
         
         // Cleanup old data daily
         setInterval(() => this.cleanupOldData(), 24 * 60 * 60 * 1000);
@@ -1739,6 +6204,7 @@ class EmergencyTriageApp {
         
         this.showNotification('Connection restored. Syncing data...', 'success');
         this.syncData();
+        this.connectLiveUpdates();
     }
 
     handleOffline() {
@@ -1767,7 +6233,12 @@ class EmergencyTriageApp {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // A string literal for an inline onclick; the attribute is decoded before the script runs, so HTML-escaping alone is not enough
+    jsArg(value) {
+        return this.escapeHtml(JSON.stringify(String(value ?? '')));
     }
 }
 
@@ -0,0 +1,176 @@
+// audit-log.js - Always-on, hash-chained audit trail of clinical actions
+
+const AUDIT_DB_NAME = 'upline-audit-db';
+const AUDIT_DB_VERSION = 1;
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+    constructor() {
+        this.dbPromise = null;
+        // Appends from this tab are chained one after another
+        this.queue = Promise.resolve();
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(AUDIT_DB_NAME, AUDIT_DB_VERSION);
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a device wipe delete the database; the next append reopens it
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+
+                    if (!db.objectStoreNames.contains('entries')) {
+                        const store = db.createObjectStore('entries', { keyPath: 'seq' });
+                        store.createIndex('patientId', 'patientId', { unique: false });
+                        store.createIndex('userId', 'user.id', { unique: false });
+                        store.createIndex('timestamp', 'timestamp', { unique: false });
+                    }
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Fields covered by the hash, in a fixed order
+    async hashEntry(entry) {
+        const payload = JSON.stringify([
+            entry.seq,
+            entry.timestamp,
+            entry.action,
+            entry.patientId,
+            entry.user,
+            entry.details,
+            entry.prevHash
+        ]);
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async getLastEntry() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['entries'], 'readonly')
+                .objectStore('entries')
+                .openCursor(null, 'prev');
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async insert(entry) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['entries'], 'readwrite')
+                .objectStore('entries')
+                .add(entry);
+
+            request.onsuccess = () => resolve(entry);
+            request.onerror = (event) => {
+                // Keep the error from aborting silently; the caller decides whether to retry
+                event.preventDefault();
+                reject(request.error);
+            };
+        });
+    }
+
+    append(action, { patientId = null, user = null, details = {} } = {}) {
+        const write = async () => {
+            // Another tab may take the next sequence number first; re-read the head and retry
+            for (let attempt = 0; attempt < 5; attempt++) {
+                const last = await this.getLastEntry();
+                const entry = {
+                    seq: last ? last.seq + 1 : 1,
+                    timestamp: new Date().toISOString(),
+                    action,
+                    patientId,
+                    user,
+                    details,
+                    prevHash: last ? last.hash : AUDIT_GENESIS_HASH
+                };
+                entry.hash = await this.hashEntry(entry);
+
+                try {
+                    return await this.insert(entry);
+                } catch (error) {
+                    if (error.name !== 'ConstraintError') throw error;
+                }
+            }
+            throw new Error('Audit log is busy, entry not written');
+        };
+
+        const result = this.queue.then(write);
+        this.queue = result.catch(error => console.error('Audit log write failed:', error));
+        return result;
+    }
+
+    async getAll() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['entries'], 'readonly')
+                .objectStore('entries')
+                .getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async query({ patientId = '', userId = '', from = null, to = null } = {}) {
+        const entries = await this.getAll();
+        return entries.filter(entry =>
+            (!patientId || (entry.patientId || '').toLowerCase().includes(patientId.toLowerCase())) &&
+            (!userId || entry.user?.id === userId) &&
+            (!from || new Date(entry.timestamp) >= from) &&
+            (!to || new Date(entry.timestamp) <= to)
+        );
+    }
+
+    // Recompute every hash and link; missing sequence numbers show up as gaps
+    async verify() {
+        const entries = await this.getAll();
+        const problems = [];
+        let previous = null;
+
+        for (const entry of entries) {
+            const expectedSeq = previous ? previous.seq + 1 : 1;
+            if (entry.seq !== expectedSeq) {
+                const missing = entry.seq - 1 === expectedSeq ? `Entry ${expectedSeq} is` : `Entries ${expectedSeq}–${entry.seq - 1} are`;
+                problems.push({ seq: entry.seq, issue: `${missing} missing` });
+            }
+            if (entry.prevHash !== (previous ? previous.hash : AUDIT_GENESIS_HASH)) {
+                problems.push({ seq: entry.seq, issue: 'Link to the previous entry is broken' });
+            }
+            if (entry.hash !== await this.hashEntry(entry)) {
+                problems.push({ seq: entry.seq, issue: 'Entry contents do not match its hash' });
+            }
+            previous = entry;
+        }
+
+        return {
+            valid: problems.length === 0,
+            count: entries.length,
+            headHash: previous ? previous.hash : AUDIT_GENESIS_HASH,
+            problems
+        };
+    }
+
+    async export() {
+        return {
+            entries: await this.getAll(),
+            verification: await this.verify(),
+            exportedAt: new Date().toISOString()
+        };
+    }
+}
@@ -0,0 +1,89 @@
+// csv-table.js - Delimited text (CSV/TSV) for spreadsheets, written and read the way Excel and Sheets expect
+
+// Cells starting with these would run as formulas when the file is opened
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+// ============================================
+// CSV Table
+// ============================================
+
+const CsvTable = {
+    escapeCell(value, delimiter) {
+        if (value === undefined || value === null) return '';
+
+        let text = String(value);
+        if (typeof value !== 'number' && CSV_FORMULA_START.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    },
+
+    // The byte order mark makes Excel read the file as UTF-8
+    stringify(header, rows, delimiter = ',') {
+        const line = (cells) => cells.map(cell => this.escapeCell(cell, delimiter)).join(delimiter);
+        return `\uFEFF${[line(header), ...rows.map(line)].join('\r\n')}\r\n`;
+    },
+
+    // Whichever of tab, comma or semicolon appears most in the header row, outside quotes
+    detectDelimiter(text) {
+        const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const counts = ['\t', ',', ';'].map(delimiter => [delimiter, header.split(delimiter).length - 1]);
+        return counts.sort((a, b) => b[1] - a[1])[0][1] > 0 ? counts[0][0] : ',';
+    },
+
+    // RFC 4180: quoted cells may hold delimiters, doubled quotes and line breaks
+    parse(text, delimiter = null) {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || this.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    },
+
+    // Rows as objects keyed by header; the quote added against formulas on export is taken off again
+    toObjects(text) {
+        const [header = [], ...rows] = this.parse(text);
+        const unguard = (value) => (/^'[=+\-@]/.test(value) ? value.slice(1) : value).trim();
+        return {
+            header: header.map(name => name.trim()),
+            rows: rows.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), unguard(cells[index] || '')])))
+        };
+    }
+};
@@ -0,0 +1,231 @@
+// data-bundle.js - Versioned export bundles with a SHA-256 manifest, and the dry run that checks them before import
+
+const EXPORT_BUNDLE_FORMAT = 'upline-triage-bundle';
+const EXPORT_BUNDLE_VERSION = 1;
+
+// ============================================
+// Record Schema
+// ============================================
+
+// Version 1 patient records; fields not listed are carried through unchecked
+const BUNDLE_PATIENT_SCHEMA = {
+    id: { type: 'string', required: true, pattern: /^[A-Za-z]+-[\w-]+$/ },
+    name: { type: 'string', required: true },
+    priority: { type: 'string', required: true, values: ['red', 'yellow', 'green', 'black'] },
+    status: { type: 'string', values: ['waiting', 'in_progress', 'in_assessment', 'in_treatment', 'discharged', 'admitted', 'transferred', 'deceased'] },
+    timestamp: { type: 'date', required: true },
+    updatedAt: { type: 'date' },
+    closedAt: { type: 'date' },
+    age: { type: 'number' },
+    gender: { type: 'string' },
+    chiefComplaint: { type: 'string' },
+    notes: { type: 'string' },
+    incidentId: { type: 'string' },
+    destination: { type: 'string' },
+    vitalSigns: { type: 'object' },
+    location: { type: 'object' },
+    revision: { type: 'object' },
+    statusHistory: { type: 'array' },
+    changeHistory: { type: 'array' },
+    observations: { type: 'array' }
+};
+
+// Only these settings can come in from a file, and only when the user asks for them
+const BUNDLE_SETTINGS_SCHEMA = {
+    triageProtocol: { type: 'string' },
+    autoPriority: { type: 'boolean' },
+    notificationSound: { type: 'boolean' },
+    voiceEnabled: { type: 'boolean' },
+    analyticsEnabled: { type: 'boolean' },
+    dataRetention: { type: 'number', min: 1, max: 3650 },
+    autoLockMinutes: { type: 'number', min: 1, max: 60 }
+};
+
+// ============================================
+// Export Bundle
+// ============================================
+
+const ExportBundle = {
+    // Keys sorted at every level, so a hash survives the file being re-saved by another tool
+    canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.canonicalJson(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    },
+
+    async hash(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.canonicalJson(value)));
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    content(bundle) {
+        const { manifest, ...content } = bundle;
+        return content;
+    },
+
+    // Device bookkeeping is dropped; the receiving device keeps its own
+    async create({ incident = null, patients, settings = null, exportedBy = null }) {
+        const records = patients.map(({ syncStatus, syncedAt, serverSeq, ...patient }) => patient);
+        const bundle = {
+            format: EXPORT_BUNDLE_FORMAT,
+            version: EXPORT_BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            exportedBy,
+            incident,
+            settings,
+            patients: records
+        };
+
+        // Catches damage in transit or storage; only an encrypted bundle also proves who made it
+        bundle.manifest = {
+            algorithm: 'SHA-256',
+            patientCount: records.length,
+            records: Object.fromEntries(await Promise.all(records.map(async record => [record.id, await this.hash(record)]))),
+            digest: await this.hash(bundle)
+        };
+        return bundle;
+    },
+
+    checkValue(value, rule) {
+        switch (rule.type) {
+            case 'date':
+                return typeof value === 'string' && !isNaN(new Date(value).getTime()) ? null : 'is not a date';
+            case 'array':
+                return Array.isArray(value) ? null : 'is not a list';
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value) ? null : 'is not an object';
+            case 'number':
+                if (typeof value !== 'number' || isNaN(value)) return 'is not a number';
+                if (rule.min !== undefined && value < rule.min) return `is below ${rule.min}`;
+                if (rule.max !== undefined && value > rule.max) return `is above ${rule.max}`;
+                return null;
+            default:
+                if (typeof value !== rule.type) return `is not a ${rule.type}`;
+                if (rule.values && !rule.values.includes(value)) return `"${value}" is not one of ${rule.values.join(', ')}`;
+                if (rule.pattern && !rule.pattern.test(value)) return `"${value}" is not a valid value`;
+                if (rule.required && rule.type === 'string' && !value.trim()) return 'is empty';
+                return null;
+        }
+    },
+
+    // Returns the problems found; an empty list means the record can be imported
+    validatePatient(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['Not a patient record'];
+        }
+
+        return Object.entries(BUNDLE_PATIENT_SCHEMA).flatMap(([field, rule]) => {
+            const value = record[field];
+            if (value === undefined || value === null) {
+                return rule.required ? [`${field} is missing`] : [];
+            }
+            const problem = this.checkValue(value, rule);
+            return problem ? [`${field} ${problem}`] : [];
+        });
+    },
+
+    // Unknown keys and values of the wrong type are left out rather than failing the whole file
+    sanitizeSettings(settings) {
+        const accepted = {};
+        const rejected = [];
+        Object.entries(settings || {}).forEach(([key, value]) => {
+            const rule = BUNDLE_SETTINGS_SCHEMA[key];
+            const problem = !rule ? 'is not an importable setting'
+                : this.checkValue(value, rule)
+                || (key === 'triageProtocol' && typeof TriageProtocols !== 'undefined' && !TriageProtocols.has(value) ? `"${value}" is not a known protocol` : null);
+            if (problem) {
+                rejected.push(`${key} ${problem}`);
+            } else {
+                accepted[key] = value;
+            }
+        });
+        return { accepted, rejected };
+    },
+
+    // Checks the file against its manifest; files from before bundles existed, and other formats, have none
+    async verify(data) {
+        if (data.format !== EXPORT_BUNDLE_FORMAT) {
+            const problem = data.format ? 'This file format has no integrity manifest' : 'This file has no integrity manifest (exported by an older version)';
+            return { legacy: true, intact: false, problems: [problem], damagedIds: new Set() };
+        }
+        if (data.version !== EXPORT_BUNDLE_VERSION) {
+            throw new Error(`Unsupported export version ${data.version}`);
+        }
+        if (!Array.isArray(data.patients) || !data.manifest?.records) {
+            throw new Error('Export bundle is incomplete');
+        }
+
+        const problems = [];
+        const damagedIds = new Set();
+        for (const record of data.patients) {
+            const expected = data.manifest.records[record?.id];
+            if (!expected || expected !== await this.hash(record)) {
+                damagedIds.add(record?.id);
+            }
+        }
+        if (damagedIds.size > 0) {
+            problems.push(`${damagedIds.size} record${damagedIds.size === 1 ? ' does' : 's do'} not match the manifest`);
+        }
+        if (data.patients.length !== data.manifest.patientCount) {
+            problems.push(`The manifest lists ${data.manifest.patientCount} records but the file holds ${data.patients.length}`);
+        }
+        if (await this.hash(this.content(data)) !== data.manifest.digest) {
+            problems.push('The file was changed after it was exported');
+        }
+
+        return { legacy: false, intact: problems.length === 0, problems, damagedIds };
+    },
+
+    // Sort every incoming record into new, updated, conflicting, unchanged or invalid without writing anything
+    async preview(data, existingPatients) {
+        if (!Array.isArray(data?.patients)) {
+            throw new Error('No patient records in this file');
+        }
+
+        const verification = await this.verify(data);
+        const existing = new Map(existingPatients.map(patient => [patient.id, patient]));
+        const seen = new Set();
+        const result = { ...verification, new: [], updated: [], conflicting: [], unchanged: [], invalid: [] };
+
+        data.patients.forEach((record, index) => {
+            const errors = this.validatePatient(record);
+            if (verification.damagedIds.has(record?.id)) {
+                errors.unshift('Does not match the manifest');
+            }
+            if (record?.id && seen.has(record.id)) {
+                errors.push('Appears more than once in the file');
+            }
+            if (errors.length > 0) {
+                result.invalid.push({ id: record?.id || `#${index + 1}`, name: record?.name || '', errors });
+                return;
+            }
+            seen.add(record.id);
+
+            const current = existing.get(record.id);
+            if (!current) {
+                result.new.push({ record });
+                return;
+            }
+
+            const { patient, conflicts } = PatientMerge.merge(current, record);
+            const fields = Object.keys({ ...current, ...patient })
+                .filter(field => !PatientMerge.ignoredFields.includes(field) && !PatientMerge.equal(current[field], patient[field]));
+            if (conflicts.length > 0) {
+                result.conflicting.push({ record, fields: conflicts.map(conflict => conflict.field) });
+            } else if (fields.length > 0) {
+                result.updated.push({ record, fields });
+            } else {
+                result.unchanged.push({ record });
+            }
+        });
+
+        // A bundle that fails its check offers no settings at all
+        const settings = data.settings && (verification.legacy || verification.intact) ? this.sanitizeSettings(data.settings) : null;
+        return { ...result, incident: data.incident || null, settings };
+    }
+};
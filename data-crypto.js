@@ -0,0 +1,151 @@
+// data-crypto.js - AES-GCM encryption of patient records at rest and of exported files
+
+// Left readable on stored records so IndexedDB indexes, sync and retention keep working
+const PATIENT_CLEAR_FIELDS = ['id', 'priority', 'status', 'timestamp', 'syncStatus', 'syncedAt', 'incidentId', 'updatedAt', 'serverSeq'];
+
+const KEY_DERIVATION_ITERATIONS = 310000;
+const ENCRYPTED_FILE_FORMAT = 'upline-encrypted';
+
+// ============================================
+// Data Cipher
+// ============================================
+
+class DataCipher {
+    // `key` is the device's data key, unwrapped with a user's PIN at sign-in
+    constructor(key) {
+        this.key = key;
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    // Extractable only so it can be wrapped for each user; it is never stored unwrapped
+    static generateKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    }
+
+    static async deriveKey(secret, salt, iterations, usages) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            usages
+        );
+    }
+
+    static async wrapKey(dataKey, secret) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await DataCipher.deriveKey(secret, salt, KEY_DERIVATION_ITERATIONS, ['wrapKey']);
+        const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+        return {
+            salt: DataCipher.toBase64(salt),
+            iterations: KEY_DERIVATION_ITERATIONS,
+            iv: DataCipher.toBase64(iv),
+            data: DataCipher.toBase64(new Uint8Array(wrapped))
+        };
+    }
+
+    static async unwrapKey(wrapped, secret) {
+        const wrappingKey = await DataCipher.deriveKey(secret, DataCipher.fromBase64(wrapped.salt), wrapped.iterations, ['unwrapKey']);
+        try {
+            return await crypto.subtle.unwrapKey(
+                'raw',
+                DataCipher.fromBase64(wrapped.data),
+                wrappingKey,
+                { name: 'AES-GCM', iv: DataCipher.fromBase64(wrapped.iv) },
+                { name: 'AES-GCM', length: 256 },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            throw new Error('Cannot unlock the patient data with this PIN');
+        }
+    }
+
+    static async encryptWith(key, value, additionalData = '') {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(additionalData) },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv: DataCipher.toBase64(iv), data: DataCipher.toBase64(new Uint8Array(data)) };
+    }
+
+    static async decryptWith(key, sealed, additionalData = '') {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: DataCipher.fromBase64(sealed.iv), additionalData: new TextEncoder().encode(additionalData) },
+            key,
+            DataCipher.fromBase64(sealed.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    static isSealed(record) {
+        return Boolean(record?.payload?.iv);
+    }
+
+    // The payload is bound to the record's id, so it cannot be moved onto another record
+    async sealPatient(patient) {
+        const clear = {};
+        const rest = { ...patient };
+        PATIENT_CLEAR_FIELDS.forEach(field => {
+            if (field in rest) clear[field] = rest[field];
+            delete rest[field];
+        });
+        return { ...clear, payload: await DataCipher.encryptWith(this.key, rest, patient.id) };
+    }
+
+    // Records written before encryption was introduced come back as they are
+    async openPatient(record) {
+        if (!DataCipher.isSealed(record)) return record;
+
+        const { payload, ...clear } = record;
+        return { ...await DataCipher.decryptWith(this.key, payload, record.id), ...clear };
+    }
+
+    // ============================================
+    // Passphrase-Protected Files
+    // ============================================
+
+    static isEncryptedFile(data) {
+        return data?.format === ENCRYPTED_FILE_FORMAT;
+    }
+
+    static async encryptFile(value, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await DataCipher.deriveKey(passphrase, salt, KEY_DERIVATION_ITERATIONS, ['encrypt']);
+        return {
+            format: ENCRYPTED_FILE_FORMAT,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: DataCipher.toBase64(salt), iterations: KEY_DERIVATION_ITERATIONS },
+            cipher: 'AES-GCM',
+            ...await DataCipher.encryptWith(key, value, ENCRYPTED_FILE_FORMAT)
+        };
+    }
+
+    static async decryptFile(file, passphrase) {
+        if (file.version !== 1 || file.cipher !== 'AES-GCM' || file.kdf?.name !== 'PBKDF2') {
+            throw new Error('Unsupported encrypted file');
+        }
+
+        const key = await DataCipher.deriveKey(passphrase, DataCipher.fromBase64(file.kdf.salt), file.kdf.iterations, ['decrypt']);
+        try {
+            return await DataCipher.decryptWith(key, file, ENCRYPTED_FILE_FORMAT);
+        } catch (error) {
+            throw new Error('Wrong passphrase, or the file has been damaged');
+        }
+    }
+}
@@ -0,0 +1,180 @@
+// device-handoff.js - Offline patient handoff as a signed, compressed sequence of QR frames
+
+const HANDOFF_FRAME_PREFIX = 'UPH1';
+// Characters per frame; small enough for a phone camera to read a moving code reliably
+const HANDOFF_CHUNK_SIZE = 480;
+
+// ============================================
+// Device Handoff
+// ============================================
+
+class DeviceHandoff {
+    constructor(patientStore) {
+        this.patientStore = patientStore;
+        this.keyPairPromise = null;
+    }
+
+    // One signing key per device; the private half never leaves IndexedDB
+    getKeyPair() {
+        if (!this.keyPairPromise) {
+            this.keyPairPromise = (async () => {
+                const saved = await this.patientStore.getSetting('handoffKeyPair');
+                if (saved) return saved;
+
+                const keyPair = await crypto.subtle.generateKey(
+                    { name: 'ECDSA', namedCurve: 'P-256' },
+                    false,
+                    ['sign', 'verify']
+                );
+                await this.patientStore.setSetting('handoffKeyPair', keyPair);
+                return keyPair;
+            })();
+        }
+        return this.keyPairPromise;
+    }
+
+    // Short enough to read aloud, so sender and receiver can compare screens
+    async fingerprint(rawPublicKey) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', rawPublicKey));
+        const hex = Array.from(digest.slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+        return hex.match(/.{4}/g).join('-');
+    }
+
+    async getFingerprint() {
+        const { publicKey } = await this.getKeyPair();
+        return this.fingerprint(await crypto.subtle.exportKey('raw', publicKey));
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    static async transform(bytes, stream) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+    }
+
+    // Incidents travel with their patients so the receiver can file them in the right place
+    async createFrames(patients, sender, incidents = []) {
+        const json = new TextEncoder().encode(JSON.stringify({
+            version: 1,
+            sender,
+            createdAt: new Date().toISOString(),
+            incidents,
+            patients
+        }));
+
+        // Deflate roughly quarters the number of frames; older browsers send plain JSON
+        const compressed = typeof CompressionStream !== 'undefined';
+        const data = compressed ? await DeviceHandoff.transform(json, new CompressionStream('deflate-raw')) : json;
+
+        const { publicKey, privateKey } = await this.getKeyPair();
+        const rawPublicKey = new Uint8Array(await crypto.subtle.exportKey('raw', publicKey));
+        const signature = new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, data));
+
+        const message = [
+            compressed ? 'z' : 'j',
+            DeviceHandoff.toBase64(rawPublicKey),
+            DeviceHandoff.toBase64(signature),
+            DeviceHandoff.toBase64(data)
+        ].join('.');
+
+        const sessionId = Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('');
+        const total = Math.ceil(message.length / HANDOFF_CHUNK_SIZE);
+        const frames = [];
+        for (let i = 0; i < total; i++) {
+            const chunk = message.slice(i * HANDOFF_CHUNK_SIZE, (i + 1) * HANDOFF_CHUNK_SIZE);
+            frames.push(`${HANDOFF_FRAME_PREFIX}:${sessionId}:${i + 1}/${total}:${chunk}`);
+        }
+
+        return { frames, fingerprint: await this.fingerprint(rawPublicKey) };
+    }
+
+    // Check the signature before anything is decompressed or parsed
+    async open(message) {
+        const [format, publicKeyText, signatureText, dataText] = message.split('.');
+        if (!['z', 'j'].includes(format) || !dataText) {
+            throw new Error('Not a patient handoff');
+        }
+
+        const rawPublicKey = DeviceHandoff.fromBase64(publicKeyText);
+        const data = DeviceHandoff.fromBase64(dataText);
+        const publicKey = await crypto.subtle.importKey('raw', rawPublicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+        const valid = await crypto.subtle.verify(
+            { name: 'ECDSA', hash: 'SHA-256' },
+            publicKey,
+            DeviceHandoff.fromBase64(signatureText),
+            data
+        );
+        if (!valid) {
+            throw new Error('Handoff signature does not match its contents');
+        }
+
+        const json = format === 'z' ? await DeviceHandoff.transform(data, new DecompressionStream('deflate-raw')) : data;
+        const payload = JSON.parse(new TextDecoder().decode(json));
+        if (payload.version !== 1 || !Array.isArray(payload.patients)) {
+            throw new Error('Unsupported handoff format');
+        }
+
+        return { ...payload, fingerprint: await this.fingerprint(rawPublicKey) };
+    }
+}
+
+// ============================================
+// Frame Collection
+// ============================================
+
+// Frames arrive in any order and repeat as the sender loops; collect until every index is seen
+class HandoffReceiver {
+    constructor() {
+        this.reset();
+    }
+
+    reset(sessionId = null, total = 0) {
+        this.sessionId = sessionId;
+        this.total = total;
+        this.chunks = new Map();
+    }
+
+    static parseFrame(text) {
+        const match = /^UPH1:([0-9a-f]{8}):(\d+)\/(\d+):(.*)$/s.exec(text);
+        if (!match) return null;
+
+        const [, sessionId, index, total, chunk] = match;
+        return { sessionId, index: parseInt(index), total: parseInt(total), chunk };
+    }
+
+    // Returns true when the frame was new
+    accept(text) {
+        const frame = HandoffReceiver.parseFrame(text);
+        if (!frame || frame.index < 1 || frame.index > frame.total) return false;
+
+        // A different sender (or a restarted one) starts over
+        if (frame.sessionId !== this.sessionId || frame.total !== this.total) {
+            this.reset(frame.sessionId, frame.total);
+        }
+        if (this.chunks.has(frame.index)) return false;
+
+        this.chunks.set(frame.index, frame.chunk);
+        return true;
+    }
+
+    get received() {
+        return this.chunks.size;
+    }
+
+    get complete() {
+        return this.total > 0 && this.chunks.size === this.total;
+    }
+
+    get message() {
+        return Array.from({ length: this.total }, (_, i) => this.chunks.get(i + 1)).join('');
+    }
+}
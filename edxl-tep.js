@@ -0,0 +1,235 @@
+// edxl-tep.js - OASIS EDXL-TEP (Tracking of Emergency Patients) messages, alone or in an EDXL-DE envelope
+
+const EDXL_TEP_FORMAT = 'edxl-tep';
+const EDXL_TEP_NAMESPACE = 'urn:oasis:names:tc:emergency:EDXL:TEP:1.1';
+const EDXL_DE_NAMESPACE = 'urn:oasis:names:tc:emergency:EDXL:DE:2.0';
+const GML_NAMESPACE = 'http://www.opengis.net/gml/3.2';
+
+// Colour and category name travel together; other agencies send either
+const TEP_TRIAGE_CATEGORIES = {
+    red: { color: 'Red', category: 'Immediate' },
+    yellow: { color: 'Yellow', category: 'Delayed' },
+    green: { color: 'Green', category: 'Minimal' },
+    black: { color: 'Black', category: 'Expectant' }
+};
+
+const TEP_STATUSES = {
+    waiting: 'Triaged',
+    in_assessment: 'Assessment',
+    in_treatment: 'Treatment',
+    discharged: 'Released',
+    admitted: 'Admitted',
+    transferred: 'Transported',
+    deceased: 'Deceased'
+};
+
+const TEP_GENDERS = { male: 'Male', female: 'Female', other: 'Other', unknown: 'Unknown' };
+
+// ============================================
+// EDXL-TEP
+// ============================================
+
+const EdxlTep = {
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    // Empty values leave the element out; arrays are child elements, one per line
+    element(name, content, attributes = {}) {
+        if (content === undefined || content === null || content === '' || (Array.isArray(content) && content.every(child => !child))) {
+            return '';
+        }
+        const attrs = Object.entries(attributes).map(([key, value]) => ` ${key}="${this.escape(value)}"`).join('');
+        if (!Array.isArray(content)) {
+            return `<${name}${attrs}>${this.escape(content)}</${name}>`;
+        }
+        const children = content.filter(Boolean).join('\n').replace(/^/gm, '  ');
+        return `<${name}${attrs}>\n${children}\n</${name}>`;
+    },
+
+    // One message describes one patient as this device knows them now
+    message(patient, { incident = null, sender = null } = {}) {
+        const tep = (name, content, attributes) => this.element(`tep:${name}`, content, attributes);
+        const triage = TEP_TRIAGE_CATEGORIES[patient.priority];
+        const status = patient.status === 'in_progress' ? 'in_assessment' : patient.status || 'waiting';
+        const statusEntry = (patient.statusHistory || []).filter(entry => entry.status === status).pop();
+        const hasPosition = typeof patient.location?.latitude === 'number' && typeof patient.location?.longitude === 'number';
+
+        return tep('tepMessage', [
+            tep('messageID', `${patient.id}-${Date.now()}`),
+            tep('messageDateTime', new Date().toISOString()),
+            tep('messageStatus', 'Actual'),
+            tep('messageKind', 'Update'),
+            tep('sender', [
+                tep('organizationName', 'Upline Triage'),
+                tep('personName', sender?.name),
+                tep('role', sender?.role)
+            ]),
+            incident ? tep('incident', [
+                tep('incidentID', incident.id),
+                tep('incidentName', incident.name),
+                tep('incidentType', incident.type),
+                tep('incidentLocation', incident.location)
+            ]) : '',
+            tep('patient', [
+                tep('patientTrackingID', patient.id),
+                tep('personName', patient.name),
+                tep('gender', TEP_GENDERS[patient.gender] || 'Unknown'),
+                typeof patient.age === 'number' ? tep('age', patient.age, { unit: 'years' }) : '',
+                tep('chiefComplaint', patient.chiefComplaint)
+            ]),
+            triage ? tep('triage', [
+                tep('triageCategory', triage.category, { color: triage.color }),
+                tep('triageDateTime', patient.timestamp)
+            ]) : '',
+            tep('status', [
+                tep('patientStatus', TEP_STATUSES[status] || TEP_STATUSES.waiting),
+                tep('statusDateTime', patient.closedAt || statusEntry?.timestamp || patient.updatedAt || patient.timestamp)
+            ]),
+            hasPosition ? tep('location', [
+                this.element('gml:Point', [
+                    this.element('gml:pos', `${patient.location.latitude} ${patient.location.longitude}`)
+                ], { 'xmlns:gml': GML_NAMESPACE }),
+                tep('locationDateTime', patient.location.timestamp)
+            ]) : '',
+            patient.destination ? tep('destination', [tep('facilityName', patient.destination)]) : ''
+        ], { 'xmlns:tep': EDXL_TEP_NAMESPACE });
+    },
+
+    document(patient, options) {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${this.message(patient, options)}\n`;
+    },
+
+    // A whole incident travels as one EDXL-DE distribution with a message per patient
+    distribution({ incident = null, patients, sender = null }) {
+        const de = (name, content, attributes) => this.element(name, content, attributes);
+        const defaultValue = (list, value) => [
+            de('ValueListURI', `${EDXL_DE_NAMESPACE}:Defaults:${list}`),
+            de('Value', value)
+        ];
+        const sent = new Date();
+
+        const envelope = de('EDXLDistribution', [
+            de('distributionID', `${incident?.id || 'export'}-${sent.getTime()}`),
+            de('senderID', `${sender?.name || 'unknown'}@upline-triage`),
+            de('dateTimeSent', sent.toISOString()),
+            de('dateTimeExpires', new Date(sent.getTime() + 24 * 60 * 60 * 1000).toISOString()),
+            de('distributionStatus', [de('StatusKindDefault', defaultValue('StatusKind', 'Actual'))]),
+            de('distributionKind', [de('DistributionKindDefault', defaultValue('DistributionKind', 'Report'))]),
+            de('content', patients.map(patient => de('contentObject', [
+                de('xmlContent', [
+                    de('embeddedXMLContent', [this.message(patient, { incident, sender })])
+                ])
+            ])))
+        ], { xmlns: EDXL_DE_NAMESPACE });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${envelope}\n`;
+    },
+
+    // ============================================
+    // Import
+    // ============================================
+
+    isXml(text) {
+        return typeof text === 'string' && text.trimStart().startsWith('<');
+    },
+
+    // Namespace prefixes differ between senders, so elements are matched by local name
+    child(parent, name) {
+        return parent ? Array.from(parent.children).find(element => element.localName === name) || null : null;
+    },
+
+    text(parent, ...path) {
+        const element = path.reduce((node, name) => this.child(node, name), parent);
+        return element?.textContent.trim() || '';
+    },
+
+    importPriority(triage) {
+        const category = this.child(triage, 'triageCategory');
+        const values = [category?.getAttribute('color'), category?.textContent].map(value => (value || '').trim().toLowerCase());
+        const byName = { immediate: 'red', delayed: 'yellow', minimal: 'green', minor: 'green', expectant: 'black', dead: 'black', deceased: 'black' };
+        for (const value of values) {
+            if (TEP_TRIAGE_CATEGORIES[value]) return value;
+            if (byName[value]) return byName[value];
+        }
+        return undefined;
+    },
+
+    importStatus(text) {
+        const value = text.toLowerCase();
+        const status = Object.keys(TEP_STATUSES).find(key => key === value || TEP_STATUSES[key].toLowerCase() === value);
+        return status || 'waiting';
+    },
+
+    // Ids from other agencies are kept when the app can use them as they are
+    importId(trackingId) {
+        if (/^[A-Za-z]+-[\w-]+$/.test(trackingId)) return trackingId;
+        return `TEP-${(trackingId || String(Date.now())).replace(/[^\w-]/g, '-')}`;
+    },
+
+    record(message, incidentId) {
+        const patient = this.child(message, 'patient');
+        const status = this.importStatus(this.text(message, 'status', 'patientStatus'));
+        const statusTime = this.text(message, 'status', 'statusDateTime');
+        const timestamp = this.text(message, 'triage', 'triageDateTime') || this.text(message, 'messageDateTime') || undefined;
+        const age = parseInt(this.text(patient, 'age'));
+        const position = this.text(message, 'location', 'Point', 'pos').split(/\s+/).map(parseFloat);
+        const gender = this.text(patient, 'gender').toLowerCase();
+        const destination = this.text(message, 'destination', 'facilityName');
+
+        return {
+            id: this.importId(this.text(patient, 'patientTrackingID')),
+            name: this.text(patient, 'personName') || 'Unknown',
+            age: isNaN(age) ? null : age,
+            gender: TEP_GENDERS[gender] ? gender : 'unknown',
+            vitalSigns: {
+                heartRate: 'Not recorded',
+                bloodPressure: 'Not recorded',
+                respiratoryRate: 'Not recorded',
+                oxygenSaturation: 'Not recorded',
+                temperature: 'Not recorded'
+            },
+            chiefComplaint: this.text(patient, 'chiefComplaint'),
+            priority: this.importPriority(this.child(message, 'triage')),
+            timestamp,
+            status,
+            ...(['discharged', 'admitted', 'transferred', 'deceased'].includes(status) && statusTime ? { closedAt: statusTime } : {}),
+            statusHistory: [],
+            location: position.length === 2 && position.every(value => !isNaN(value)) ? {
+                latitude: position[0],
+                longitude: position[1],
+                accuracy: null,
+                timestamp: this.text(message, 'location', 'locationDateTime') || timestamp
+            } : { latitude: null, longitude: null, accuracy: null },
+            ...(destination ? { destination } : {}),
+            assignedTo: null,
+            ...(incidentId ? { incidentId } : {})
+        };
+    },
+
+    // Accepts a bare message or any envelope holding several; the latest message per patient wins
+    fromXml(text, { incidentId = null } = {}) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a valid XML file');
+        }
+
+        const messages = Array.from(xml.getElementsByTagNameNS('*', 'tepMessage'));
+        if (messages.length === 0) {
+            throw new Error('No EDXL-TEP messages in this file');
+        }
+
+        const latest = new Map();
+        messages
+            .map(message => ({ sentAt: this.text(message, 'messageDateTime'), record: this.record(message, incidentId) }))
+            .sort((a, b) => a.sentAt.localeCompare(b.sentAt))
+            .forEach(({ record }) => latest.set(record.id, record));
+
+        return { format: EDXL_TEP_FORMAT, incident: null, settings: null, patients: [...latest.values()] };
+    }
+};
@@ -0,0 +1,343 @@
+// fhir-r4.js - Triage encounters as an HL7 FHIR R4 Bundle, and back into patient records
+
+const FHIR_FORMAT = 'fhir-r4';
+const FHIR_SYSTEM_BASE = 'urn:upline-triage';
+
+const FHIR_SYSTEMS = {
+    patientId: `${FHIR_SYSTEM_BASE}:patient-id`,
+    exportId: `${FHIR_SYSTEM_BASE}:export-id`,
+    triagePriority: `${FHIR_SYSTEM_BASE}:triage-priority`,
+    triageStatus: `${FHIR_SYSTEM_BASE}:extension:triage-status`,
+    age: `${FHIR_SYSTEM_BASE}:extension:age`,
+    loinc: 'http://loinc.org',
+    ucum: 'http://unitsofmeasure.org',
+    actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+    actPriority: 'http://terminology.hl7.org/CodeSystem/v3-ActPriority',
+    observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+    conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+    conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+    dischargeDisposition: 'http://terminology.hl7.org/CodeSystem/discharge-disposition'
+};
+
+// The numeric entries of `vitalSigns`; blood pressure is the systolic reading unless stored as "sys/dia"
+const FHIR_VITAL_SIGNS = [
+    { vitalKey: 'heartRate', loinc: '8867-4', display: 'Heart rate', unit: '/min' },
+    { vitalKey: 'bloodPressure', loinc: '8480-6', display: 'Systolic blood pressure', unit: 'mm[Hg]' },
+    { vitalKey: 'respiratoryRate', loinc: '9279-1', display: 'Respiratory rate', unit: '/min' },
+    { vitalKey: 'oxygenSaturation', loinc: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%' },
+    { vitalKey: 'temperature', loinc: '8310-5', display: 'Body temperature', unit: 'Cel' }
+];
+const FHIR_BLOOD_PRESSURE_PANEL = { loinc: '85354-9', display: 'Blood pressure panel', diastolic: '8462-4' };
+
+const FHIR_PRIORITIES = {
+    red: { display: 'Immediate', actPriority: 'EM' },
+    yellow: { display: 'Delayed', actPriority: 'UR' },
+    green: { display: 'Minor', actPriority: 'R' },
+    black: { display: 'Expectant', actPriority: null }
+};
+
+// ============================================
+// FHIR R4
+// ============================================
+
+const FhirR4 = {
+    isBundle(data) {
+        return data?.resourceType === 'Bundle' && Array.isArray(data.entry);
+    },
+
+    // FHIR ids allow letters, digits, '-' and '.', up to 64 characters
+    resourceId(...parts) {
+        return parts.join('-').replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+    },
+
+    reference(entry) {
+        return { reference: entry.fullUrl };
+    },
+
+    codeable(system, code, display, text = display) {
+        return { coding: [{ system, code, display }], text };
+    },
+
+    encounterStatus(status) {
+        switch (status === 'in_progress' ? 'in_assessment' : status) {
+            case 'in_assessment':
+            case 'in_treatment':
+                return 'in-progress';
+            case 'discharged':
+            case 'admitted':
+            case 'transferred':
+            case 'deceased':
+                return 'finished';
+            default:
+                return 'triaged';
+        }
+    },
+
+    disposition(status) {
+        const dispositions = {
+            discharged: ['home', 'Home'],
+            admitted: ['oth', 'Admitted'],
+            transferred: ['other-hcf', 'Other healthcare facility'],
+            deceased: ['exp', 'Expired']
+        };
+        const [code, display] = dispositions[status] || [];
+        return code ? { dischargeDisposition: this.codeable(FHIR_SYSTEMS.dischargeDisposition, code, display) } : undefined;
+    },
+
+    // The latest reading of each vital; "Not recorded" and blanks are left out
+    vitalObservations(patient, subject, encounter) {
+        const effectiveDateTime = patient.observations?.[patient.observations.length - 1]?.timestamp || patient.updatedAt || patient.timestamp;
+        const category = [this.codeable(FHIR_SYSTEMS.observationCategory, 'vital-signs', 'Vital Signs')];
+        const quantity = (value, unit) => ({ value, unit, system: FHIR_SYSTEMS.ucum, code: unit });
+
+        return FHIR_VITAL_SIGNS.flatMap(vital => {
+            const raw = String(patient.vitalSigns?.[vital.vitalKey] ?? '').trim();
+            const pressure = vital.vitalKey === 'bloodPressure' && raw.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+            const value = parseFloat(raw);
+            if (!pressure && isNaN(value)) return [];
+
+            const resource = {
+                resourceType: 'Observation',
+                id: this.resourceId(patient.id, vital.vitalKey),
+                status: 'final',
+                category,
+                subject,
+                encounter,
+                effectiveDateTime
+            };
+            if (pressure) {
+                resource.code = this.codeable(FHIR_SYSTEMS.loinc, FHIR_BLOOD_PRESSURE_PANEL.loinc, FHIR_BLOOD_PRESSURE_PANEL.display);
+                resource.component = [
+                    { code: this.codeable(FHIR_SYSTEMS.loinc, vital.loinc, vital.display), valueQuantity: quantity(parseFloat(pressure[1]), vital.unit) },
+                    { code: this.codeable(FHIR_SYSTEMS.loinc, FHIR_BLOOD_PRESSURE_PANEL.diastolic, 'Diastolic blood pressure'), valueQuantity: quantity(parseFloat(pressure[2]), vital.unit) }
+                ];
+            } else {
+                resource.code = this.codeable(FHIR_SYSTEMS.loinc, vital.loinc, vital.display);
+                resource.valueQuantity = quantity(value, vital.unit);
+            }
+            return [resource];
+        });
+    },
+
+    // One Patient and Encounter per record, with its vitals, chief complaint and the position it was triaged at
+    patientResources(patient, incident) {
+        const entry = (resource) => ({ fullUrl: `urn:uuid:${crypto.randomUUID()}`, resource });
+        const priority = FHIR_PRIORITIES[patient.priority];
+
+        const patientEntry = entry({
+            resourceType: 'Patient',
+            id: this.resourceId(patient.id),
+            identifier: [{ system: FHIR_SYSTEMS.patientId, value: patient.id }],
+            name: [{ text: patient.name }],
+            gender: ['male', 'female', 'other'].includes(patient.gender) ? patient.gender : 'unknown',
+            ...(typeof patient.age === 'number' ? {
+                extension: [{ url: FHIR_SYSTEMS.age, valueAge: { value: patient.age, unit: 'years', system: FHIR_SYSTEMS.ucum, code: 'a' } }]
+            } : {})
+        });
+        const subject = this.reference(patientEntry);
+
+        const hasPosition = typeof patient.location?.latitude === 'number' && typeof patient.location?.longitude === 'number';
+        const locationEntry = hasPosition ? entry({
+            resourceType: 'Location',
+            id: this.resourceId(patient.id, 'location'),
+            status: 'active',
+            mode: 'instance',
+            name: `Triage position of ${patient.id}`,
+            ...(incident?.location ? { description: incident.location } : {}),
+            position: { latitude: patient.location.latitude, longitude: patient.location.longitude }
+        }) : null;
+
+        const encounterEntry = entry({
+            resourceType: 'Encounter',
+            id: this.resourceId(patient.id, 'encounter'),
+            extension: [{ url: FHIR_SYSTEMS.triageStatus, valueCode: patient.status || 'waiting' }],
+            status: this.encounterStatus(patient.status),
+            class: { system: FHIR_SYSTEMS.actCode, code: 'EMER', display: 'emergency' },
+            priority: priority ? {
+                coding: [
+                    { system: FHIR_SYSTEMS.triagePriority, code: patient.priority, display: priority.display },
+                    ...(priority.actPriority ? [{ system: FHIR_SYSTEMS.actPriority, code: priority.actPriority }] : [])
+                ],
+                text: priority.display
+            } : undefined,
+            subject,
+            period: { start: patient.timestamp, ...(patient.closedAt ? { end: patient.closedAt } : {}) },
+            hospitalization: this.disposition(patient.status),
+            location: locationEntry ? [{ location: this.reference(locationEntry), period: { start: patient.location.timestamp || patient.timestamp } }] : undefined
+        });
+        const encounter = this.reference(encounterEntry);
+
+        const conditionEntry = patient.chiefComplaint ? entry({
+            resourceType: 'Condition',
+            id: this.resourceId(patient.id, 'complaint'),
+            clinicalStatus: this.codeable(FHIR_SYSTEMS.conditionClinical, 'active', 'Active'),
+            category: [this.codeable(FHIR_SYSTEMS.conditionCategory, 'encounter-diagnosis', 'Encounter Diagnosis')],
+            code: { text: patient.chiefComplaint },
+            subject,
+            encounter,
+            recordedDate: patient.timestamp,
+            ...(patient.notes ? { note: [{ text: patient.notes }] } : {})
+        }) : null;
+        if (conditionEntry) {
+            encounterEntry.resource.diagnosis = [{ condition: this.reference(conditionEntry), rank: 1 }];
+        }
+
+        return [
+            patientEntry,
+            encounterEntry,
+            ...this.vitalObservations(patient, subject, encounter).map(entry),
+            ...(conditionEntry ? [conditionEntry] : []),
+            ...(locationEntry ? [locationEntry] : [])
+        ].map(({ fullUrl, resource }) => ({ fullUrl, resource: JSON.parse(JSON.stringify(resource)) }));
+    },
+
+    toBundle({ incident = null, patients }) {
+        const timestamp = new Date().toISOString();
+        return {
+            resourceType: 'Bundle',
+            meta: { lastUpdated: timestamp },
+            identifier: { system: FHIR_SYSTEMS.exportId, value: `${incident?.id || 'export'}-${Date.now()}` },
+            type: 'collection',
+            timestamp,
+            entry: patients.flatMap(patient => this.patientResources(patient, incident))
+        };
+    },
+
+    // ============================================
+    // Import
+    // ============================================
+
+    // References may point at a fullUrl or at "Type/id", relative or absolute
+    resolver(bundle) {
+        const resources = new Map();
+        bundle.entry.forEach(({ fullUrl, resource }) => {
+            if (!resource?.resourceType) return;
+            if (fullUrl) resources.set(fullUrl, resource);
+            if (resource.id) resources.set(`${resource.resourceType}/${resource.id}`, resource);
+        });
+        return (ref) => {
+            const reference = ref?.reference;
+            if (!reference) return null;
+            return resources.get(reference) || resources.get(reference.split('/').slice(-2).join('/')) || null;
+        };
+    },
+
+    coding(concept, system) {
+        return concept?.coding?.find(coding => coding.system === system)?.code;
+    },
+
+    importPriority(encounter) {
+        const own = this.coding(encounter.priority, FHIR_SYSTEMS.triagePriority);
+        if (FHIR_PRIORITIES[own]) return own;
+
+        const byActPriority = { EM: 'red', S: 'red', UR: 'yellow', A: 'yellow', R: 'green', EL: 'green' };
+        return byActPriority[this.coding(encounter.priority, FHIR_SYSTEMS.actPriority)];
+    },
+
+    importStatus(encounter) {
+        const own = encounter.extension?.find(extension => extension.url === FHIR_SYSTEMS.triageStatus)?.valueCode;
+        if (own) return own;
+
+        if (encounter.status === 'finished') {
+            const byDisposition = { home: 'discharged', exp: 'deceased', 'other-hcf': 'transferred' };
+            return byDisposition[this.coding(encounter.hospitalization?.dischargeDisposition, FHIR_SYSTEMS.dischargeDisposition)] || 'admitted';
+        }
+        return ['in-progress', 'onleave'].includes(encounter.status) ? 'in_treatment' : 'waiting';
+    },
+
+    importAge(patient, encounter) {
+        const age = patient.extension?.find(extension => extension.url === FHIR_SYSTEMS.age)?.valueAge?.value;
+        if (typeof age === 'number') return age;
+        if (!patient.birthDate) return null;
+
+        const at = new Date(encounter?.period?.start || Date.now());
+        const born = new Date(patient.birthDate);
+        const years = at.getFullYear() - born.getFullYear() - (at < new Date(born).setFullYear(at.getFullYear()) ? 1 : 0);
+        return isNaN(years) ? null : years;
+    },
+
+    // Latest reading per vital, from the encounter's observations or, failing that, the patient's
+    importVitals(observations) {
+        const vitalSigns = Object.fromEntries(FHIR_VITAL_SIGNS.map(vital => [vital.vitalKey, 'Not recorded']));
+        const latest = {};
+        const loincOf = (concept) => this.coding(concept, FHIR_SYSTEMS.loinc);
+
+        [...observations]
+            .sort((a, b) => String(a.effectiveDateTime || '').localeCompare(String(b.effectiveDateTime || '')))
+            .forEach(observation => {
+                const code = loincOf(observation.code);
+                if (code === FHIR_BLOOD_PRESSURE_PANEL.loinc) {
+                    const part = (loinc) => observation.component?.find(component => loincOf(component.code) === loinc)?.valueQuantity?.value;
+                    const systolic = part('8480-6');
+                    const diastolic = part(FHIR_BLOOD_PRESSURE_PANEL.diastolic);
+                    if (systolic !== undefined) latest.bloodPressure = diastolic !== undefined ? `${systolic}/${diastolic}` : String(systolic);
+                    return;
+                }
+                const vital = FHIR_VITAL_SIGNS.find(v => v.loinc === code);
+                if (vital && typeof observation.valueQuantity?.value === 'number') {
+                    latest[vital.vitalKey] = String(observation.valueQuantity.value);
+                }
+            });
+
+        return { ...vitalSigns, ...latest };
+    },
+
+    patientName(patient) {
+        const name = patient.name?.find(n => n.use === 'official') || patient.name?.[0];
+        if (!name) return 'Unknown';
+        return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') || 'Unknown';
+    },
+
+    // Records that are not ours get an id the rest of the app accepts
+    importId(patient) {
+        const own = patient.identifier?.find(identifier => identifier.system === FHIR_SYSTEMS.patientId)?.value;
+        return own || `FHIR-${String(patient.id || crypto.randomUUID()).replace(/[^\w-]/g, '-')}`;
+    },
+
+    // One record per Patient, built from its latest Encounter; what cannot be mapped is left for validation to report.
+    // No status history is made up, so a re-imported export leaves the local history as it is
+    fromBundle(bundle, { incidentId = null } = {}) {
+        const resolve = this.resolver(bundle);
+        const resources = bundle.entry.map(entry => entry.resource).filter(resource => resource?.resourceType);
+        const ofType = (type) => resources.filter(resource => resource.resourceType === type);
+        const refersTo = (ref, target) => resolve(ref) === target;
+
+        const patients = ofType('Patient').map(patient => {
+            const encounter = ofType('Encounter')
+                .filter(e => refersTo(e.subject, patient))
+                .sort((a, b) => String(a.period?.start || '').localeCompare(String(b.period?.start || '')))
+                .pop();
+            const observations = ofType('Observation').filter(o => refersTo(o.subject, patient) && (!encounter || !o.encounter || refersTo(o.encounter, encounter)));
+            const condition = ofType('Condition').find(c => refersTo(c.subject, patient) && (!encounter || !c.encounter || refersTo(c.encounter, encounter)));
+            const location = encounter?.location?.map(l => resolve(l.location)).find(l => l?.position);
+            const status = encounter ? this.importStatus(encounter) : 'waiting';
+            const timestamp = encounter?.period?.start || condition?.recordedDate;
+            const notes = (condition?.note || []).map(note => note.text).filter(Boolean).join('\n');
+
+            return {
+                id: this.importId(patient),
+                name: this.patientName(patient),
+                age: this.importAge(patient, encounter),
+                gender: patient.gender || 'unknown',
+                vitalSigns: this.importVitals(observations),
+                chiefComplaint: condition?.code?.text || condition?.code?.coding?.[0]?.display || '',
+                ...(notes ? { notes } : {}),
+                priority: encounter ? this.importPriority(encounter) : undefined,
+                timestamp,
+                status,
+                ...(encounter?.period?.end ? { closedAt: encounter.period.end } : {}),
+                statusHistory: [],
+                location: location ? {
+                    latitude: location.position.latitude,
+                    longitude: location.position.longitude,
+                    accuracy: null,
+                    timestamp: encounter.location.find(l => resolve(l.location) === location)?.period?.start || timestamp
+                } : { latitude: null, longitude: null, accuracy: null },
+                assignedTo: null,
+                ...(incidentId ? { incidentId } : {})
+            };
+        });
+
+        return { format: FHIR_FORMAT, incident: null, settings: null, patients };
+    }
+};
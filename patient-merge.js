@@ -0,0 +1,307 @@
+// patient-merge.js - Revision metadata and deterministic merging of concurrently edited patients
+
+// ============================================
+// Hybrid Logical Clock
+// ============================================
+
+// Stamps sort as strings: wall time, then counter, then node as a tie-break
+class HybridLogicalClock {
+    constructor(node) {
+        this.node = node;
+        this.wall = 0;
+        this.counter = 0;
+    }
+
+    static parse(stamp) {
+        const [wall, counter, ...node] = stamp.split(':');
+        return { wall: parseInt(wall), counter: parseInt(counter), node: node.join(':') };
+    }
+
+    format() {
+        return `${String(this.wall).padStart(15, '0')}:${String(this.counter).padStart(5, '0')}:${this.node}`;
+    }
+
+    now() {
+        const physical = Date.now();
+        if (physical > this.wall) {
+            this.wall = physical;
+            this.counter = 0;
+        } else {
+            this.counter++;
+        }
+        return this.format();
+    }
+
+    // Move past a stamp seen on another device so later local stamps sort after it
+    receive(stamp) {
+        if (!stamp) return;
+
+        const remote = HybridLogicalClock.parse(stamp);
+        const wall = Math.max(Date.now(), this.wall, remote.wall);
+
+        if (wall === this.wall && wall === remote.wall) {
+            this.counter = Math.max(this.counter, remote.counter) + 1;
+        } else if (wall === this.wall) {
+            this.counter++;
+        } else if (wall === remote.wall) {
+            this.counter = remote.counter + 1;
+        } else {
+            this.counter = 0;
+        }
+        this.wall = wall;
+    }
+}
+
+// ============================================
+// Patient Merge
+// ============================================
+
+const PatientMerge = {
+    // Per-device bookkeeping, never merged field by field
+    ignoredFields: ['revision', 'syncStatus', 'syncedAt', 'serverSeq', 'serverUpdatedAt', 'updatedAt', 'conflicts', 'idCollision'],
+    // Append-only logs: the union of both sides
+    historyFields: ['statusHistory', 'observations', 'changeHistory', 'triageAnswers'],
+    // Fields that move together with the priority or the status
+    priorityFields: ['priority', 'esiLevel', 'triageAssessment'],
+    statusFields: ['status', 'closedAt'],
+    severity: { green: 1, yellow: 2, red: 3 },
+    lifecycle: { waiting: 0, in_progress: 1, in_assessment: 1, in_treatment: 2 },
+
+    // Record an edit: bump this device's counter and remember which edit last touched each field
+    stamp(patient, node, hlc, fields = []) {
+        const revision = patient.revision || { clock: {}, fields: {} };
+        const counter = (revision.clock[node] || 0) + 1;
+
+        patient.revision = {
+            clock: { ...revision.clock, [node]: counter },
+            hlc,
+            fields: {
+                ...revision.fields,
+                ...Object.fromEntries(fields.map(field => [field, { node, counter, hlc }]))
+            }
+        };
+        return patient;
+    },
+
+    // Two records under one ID are the same patient only when they come from the same registration,
+    // e.g. a handed-over copy or a create retried after its reply was lost
+    sameRegistration(a, b) {
+        const creator = (side) => side.createdBy?.id ?? side.deviceId ?? null;
+        return a.timestamp === b.timestamp && creator(a) === creator(b);
+    },
+
+    dominates(a, b) {
+        return Object.entries(b).every(([node, counter]) => (a[node] || 0) >= counter);
+    },
+
+    // Did `side` change the field in an edit that `other` has not seen?
+    changedSince(side, other, field) {
+        const dot = side.revision?.fields?.[field];
+        return Boolean(dot) && ((other.revision?.clock || {})[dot.node] || 0) < dot.counter;
+    },
+
+    fieldStamp(side, field) {
+        return side.revision?.fields?.[field]?.hlc || side.revision?.hlc || side.updatedAt || '';
+    },
+
+    equal(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    pickValues(side, fields) {
+        return Object.fromEntries(fields.map(field => [field, side[field] ?? null]));
+    },
+
+    createConflict(field, fields, local, remote, kept) {
+        const option = (side) => ({
+            values: this.pickValues(side, fields),
+            node: side.revision?.fields?.[field]?.node || null,
+            hlc: this.fieldStamp(side, field)
+        });
+        const options = [option(local), option(remote)].sort((a, b) => (a.hlc < b.hlc ? -1 : 1));
+
+        return {
+            id: `${field}:${options.map(o => o.hlc).join('|')}`,
+            field,
+            options,
+            kept: options.findIndex(o => this.equal(o.values, this.pickValues(kept, fields))),
+            detectedAt: new Date().toISOString(),
+            resolvedAt: null,
+            resolvedBy: null
+        };
+    },
+
+    // Generic rule: the side that changed it wins; concurrent changes fall back to the later stamp and are flagged
+    mergeField(field, fields, local, remote, conflicts) {
+        if (this.equal(this.pickValues(local, fields), this.pickValues(remote, fields))) return local;
+
+        const localChanged = this.changedSince(local, remote, field);
+        const remoteChanged = this.changedSince(remote, local, field);
+        if (localChanged && !remoteChanged) return local;
+        if (remoteChanged && !localChanged) return remote;
+
+        const winner = this.fieldStamp(local, field) >= this.fieldStamp(remote, field) ? local : remote;
+        if (localChanged && remoteChanged) {
+            conflicts.push(this.createConflict(field, fields, local, remote, winner));
+        }
+        return winner;
+    },
+
+    lastPriorityChange(side) {
+        return (side.changeHistory || []).filter(change => change.field === 'priority').pop() || null;
+    },
+
+    // More severe wins unless the less severe side holds the latest explicit down-triage
+    mergePriority(local, remote, conflicts) {
+        const fields = this.priorityFields;
+        if (this.equal(this.pickValues(local, fields), this.pickValues(remote, fields))) return local;
+
+        const localChanged = this.changedSince(local, remote, 'priority');
+        const remoteChanged = this.changedSince(remote, local, 'priority');
+        if (localChanged && !remoteChanged) return local;
+        if (remoteChanged && !localChanged) return remote;
+
+        // Expectant is a judgement call, never decided by rank
+        if (local.priority === 'black' || remote.priority === 'black') {
+            return this.mergeField('priority', fields, local, remote, conflicts);
+        }
+
+        const rank = (side) => (this.severity[side.priority] || 0) * 10 - (side.esiLevel || 0);
+        const [severe, milder] = rank(local) >= rank(remote) ? [local, remote] : [remote, local];
+        const milderChange = this.lastPriorityChange(milder);
+        const severeChange = this.lastPriorityChange(severe);
+        const explicitDownTriage = milderChange?.downTriage &&
+            (!severeChange || milderChange.timestamp > severeChange.timestamp);
+
+        if (localChanged && remoteChanged) {
+            // Both sides re-triaged: keep the safer value, but a human should confirm
+            if (explicitDownTriage || severeChange?.downTriage) {
+                conflicts.push(this.createConflict('priority', fields, local, remote, severe));
+            }
+            return severe;
+        }
+        return explicitDownTriage ? milder : severe;
+    },
+
+    // Status only moves forward; two different outcomes need a human
+    mergeStatus(local, remote, conflicts) {
+        const fields = this.statusFields;
+        if (this.equal(this.pickValues(local, fields), this.pickValues(remote, fields))) return local;
+
+        const step = (side) => this.lifecycle[side.status] ?? 3;
+        if (step(local) !== step(remote)) {
+            return step(local) > step(remote) ? local : remote;
+        }
+
+        const winner = this.fieldStamp(local, 'status') >= this.fieldStamp(remote, 'status') ? local : remote;
+        if (local.status !== remote.status) {
+            conflicts.push(this.createConflict('status', fields, local, remote, winner));
+        }
+        return winner;
+    },
+
+    mergeNotes(local, remote) {
+        const a = local.notes || '';
+        const b = remote.notes || '';
+        if (a === b) return a;
+
+        // A side that did not touch the notes must not undo the other's edit, even a shortening one
+        const localChanged = this.changedSince(local, remote, 'notes');
+        const remoteChanged = this.changedSince(remote, local, 'notes');
+        if (localChanged && !remoteChanged) return a;
+        if (remoteChanged && !localChanged) return b;
+
+        if (b.startsWith(a)) return b;
+        if (a.startsWith(b)) return a;
+
+        // Both appended to the same notes: keep the lines they share once, then each side's additions in stamp order
+        const linesA = a.split('\n');
+        const linesB = b.split('\n');
+        let shared = 0;
+        while (shared < linesA.length && shared < linesB.length && linesA[shared] === linesB[shared]) {
+            shared++;
+        }
+        const [first, second] = this.fieldStamp(local, 'notes') <= this.fieldStamp(remote, 'notes')
+            ? [linesA, linesB]
+            : [linesB, linesA];
+        return [...linesA.slice(0, shared), ...first.slice(shared), ...second.slice(shared)].join('\n');
+    },
+
+    mergeHistory(a = [], b = []) {
+        const entries = new Map([...a, ...b].map(entry => [JSON.stringify(entry), entry]));
+        return [...entries.values()].sort((x, y) => String(x.timestamp).localeCompare(String(y.timestamp)));
+    },
+
+    mergeConflicts(a = [], b = []) {
+        const merged = new Map(a.map(conflict => [conflict.id, conflict]));
+        b.forEach(conflict => {
+            const existing = merged.get(conflict.id);
+            if (!existing || (!existing.resolvedAt && conflict.resolvedAt)) {
+                merged.set(conflict.id, conflict);
+            }
+        });
+        return [...merged.values()];
+    },
+
+    mergeRevisions(local, remote) {
+        const a = local.revision || { clock: {}, fields: {} };
+        const b = remote.revision || { clock: {}, fields: {} };
+        const clock = { ...a.clock };
+        Object.entries(b.clock).forEach(([node, counter]) => {
+            clock[node] = Math.max(clock[node] || 0, counter);
+        });
+
+        const fields = { ...a.fields };
+        Object.entries(b.fields).forEach(([field, dot]) => {
+            if (!fields[field] || dot.hlc > fields[field].hlc) {
+                fields[field] = dot;
+            }
+        });
+
+        return { clock, hlc: [a.hlc || '', b.hlc || ''].sort().pop(), fields };
+    },
+
+    // Returns the merged record and any conflicts that need a human decision
+    merge(local, remote) {
+        const a = local.revision?.clock;
+        const b = remote.revision?.clock;
+        if (a && b && this.dominates(a, b)) return { patient: local, conflicts: [] };
+        if (a && b && this.dominates(b, a)) return { patient: remote, conflicts: [] };
+
+        const conflicts = [];
+        const merged = { ...local };
+        const grouped = [...this.priorityFields, ...this.statusFields];
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        keys.forEach(field => {
+            if (this.ignoredFields.includes(field) || grouped.includes(field)) return;
+
+            if (this.historyFields.includes(field)) {
+                merged[field] = this.mergeHistory(local[field], remote[field]);
+            } else if (field === 'notes') {
+                merged.notes = this.mergeNotes(local, remote);
+            } else {
+                merged[field] = this.mergeField(field, [field], local, remote, conflicts)[field];
+            }
+        });
+
+        const priority = this.mergePriority(local, remote, conflicts);
+        this.priorityFields.forEach(field => { merged[field] = priority[field]; });
+
+        const status = this.mergeStatus(local, remote, conflicts);
+        this.statusFields.forEach(field => { merged[field] = status[field]; });
+
+        merged.revision = this.mergeRevisions(local, remote);
+        merged.updatedAt = [local.updatedAt || '', remote.updatedAt || ''].sort().pop();
+        merged.conflicts = this.mergeConflicts(this.mergeConflicts(local.conflicts, remote.conflicts), conflicts);
+
+        // Drop keys that were undefined on both sides
+        Object.keys(merged).forEach(key => merged[key] === undefined && delete merged[key]);
+
+        return { patient: merged, conflicts };
+    },
+
+    unresolvedConflicts(patient) {
+        return (patient.conflicts || []).filter(conflict => !conflict.resolvedAt);
+    }
+};
@@ -0,0 +1,312 @@
+// patient-store.js - IndexedDB patient repository shared by the app and the service worker
+
+const TRIAGE_DB_NAME = 'upline-triage-db';
+const TRIAGE_DB_VERSION = 5;
+
+// Outbound operations wait in `pendingSyncs` until the server accepts them
+const SYNC_OPERATION_TYPES = ['create', 'update', 'status', 'delete'];
+
+function createSyncOperation(type, patientId) {
+    if (!SYNC_OPERATION_TYPES.includes(type)) {
+        throw new Error(`Unknown sync operation: ${type}`);
+    }
+    return {
+        type,
+        patientId,
+        // Sent with every attempt so the server applies a retried request only once
+        idempotencyKey: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        state: 'pending',
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null
+    };
+}
+
+function openTriageDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(TRIAGE_DB_NAME, TRIAGE_DB_VERSION);
+
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+
+            // Patients store
+            const patients = db.objectStoreNames.contains('patients')
+                ? event.target.transaction.objectStore('patients')
+                : db.createObjectStore('patients', { keyPath: 'id', autoIncrement: false });
+            ['priority', 'status', 'timestamp', 'syncStatus', 'incidentId'].forEach(name => {
+                if (!patients.indexNames.contains(name)) {
+                    patients.createIndex(name, name, { unique: false });
+                }
+            });
+
+            // Pending syncs store
+            if (!db.objectStoreNames.contains('pendingSyncs')) {
+                const store = db.createObjectStore('pendingSyncs', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('type', 'type', { unique: false });
+                store.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+
+            // Settings store
+            if (!db.objectStoreNames.contains('settings')) {
+                db.createObjectStore('settings', { keyPath: 'key' });
+            }
+
+            // Incidents store; patients point at one by incidentId
+            if (!db.objectStoreNames.contains('incidents')) {
+                db.createObjectStore('incidents', { keyPath: 'id' });
+            }
+
+            // Local user profiles; a PIN is kept only as the data key it wraps
+            if (!db.objectStoreNames.contains('users')) {
+                db.createObjectStore('users', { keyPath: 'id' });
+            }
+        };
+    });
+}
+
+class PatientStore {
+    constructor() {
+        this.dbPromise = null;
+        this.cipher = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = openTriageDatabase().then(db => {
+                // Step aside for a newer version or a wipe; the next request reopens
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                return db;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Set while a user is signed in; without it patient records can be neither read nor written
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    requireCipher() {
+        if (!this.cipher) {
+            throw new Error('Patient data is locked');
+        }
+        return this.cipher;
+    }
+
+    // Encrypt before the transaction opens; it would commit while waiting on WebCrypto
+    sealAll(patients) {
+        const cipher = this.requireCipher();
+        return Promise.all(patients.map(patient => cipher.sealPatient(patient)));
+    }
+
+    async openAll(records) {
+        if (!records.some(DataCipher.isSealed)) return records;
+
+        const cipher = this.requireCipher();
+        return Promise.all(records.map(record => cipher.openPatient(record)));
+    }
+
+    async request(mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = run(db.transaction(['patients'], mode).objectStore('patients'));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Several writes in one transaction, resolved once it commits
+    async batch(run, storeNames = ['patients']) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, 'readwrite');
+            run(...storeNames.map(name => transaction.objectStore(name)));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getAll() {
+        return this.openAll((await this.request('readonly', store => store.getAll())) || []);
+    }
+
+    async get(id) {
+        const record = await this.request('readonly', store => store.get(id));
+        return record ? (await this.openAll([record]))[0] : record;
+    }
+
+    async getByPriority(priority) {
+        return this.openAll((await this.request('readonly', store => store.index('priority').getAll(priority))) || []);
+    }
+
+    async getByStatus(status) {
+        return this.openAll((await this.request('readonly', store => store.index('status').getAll(status))) || []);
+    }
+
+    async getBySyncStatus(syncStatus) {
+        return this.openAll((await this.request('readonly', store => store.index('syncStatus').getAll(syncStatus))) || []);
+    }
+
+    async put(patient) {
+        const [record] = await this.sealAll([patient]);
+        return this.request('readwrite', store => store.put(record));
+    }
+
+    async putMany(patients) {
+        const records = await this.sealAll(patients);
+        return this.batch(store => records.forEach(record => store.put(record)));
+    }
+
+    // Local changes are written together with the operation that will deliver them
+    save(patient, type = 'update') {
+        return this.saveMany([patient], type);
+    }
+
+    async saveMany(patients, type = 'update') {
+        const records = await this.sealAll(patients);
+        return this.batch((store, queue) => records.forEach(record => {
+            store.put(record);
+            queue.add(createSyncOperation(type, record.id));
+        }), ['patients', 'pendingSyncs']);
+    }
+
+    // Records saved before encryption at rest are rewritten once a key is available
+    async encryptExisting() {
+        const records = (await this.request('readonly', store => store.getAll())) || [];
+        const plain = records.filter(record => !DataCipher.isSealed(record));
+        if (plain.length > 0) {
+            await this.putMany(plain);
+        }
+        return plain.length;
+    }
+
+    remove(ids) {
+        return this.batch((store, queue) => ids.forEach(id => {
+            store.delete(id);
+            queue.add(createSyncOperation('delete', id));
+        }), ['patients', 'pendingSyncs']);
+    }
+
+    // Drops records from this device only: nothing is sent to the server, and operations still queued for them go too
+    evict(ids) {
+        const evicted = new Set(ids);
+        return this.batch((store, queue) => {
+            ids.forEach(id => store.delete(id));
+            queue.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (evicted.has(cursor.value.patientId)) cursor.delete();
+                cursor.continue();
+            };
+        }, ['patients', 'pendingSyncs']);
+    }
+
+    async getOperations() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['pendingSyncs'], 'readonly').objectStore('pendingSyncs').getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getQueueCounts() {
+        const operations = await this.getOperations();
+        const failed = operations.filter(operation => operation.state === 'failed').length;
+        return { pending: operations.length - failed, failed };
+    }
+
+    // Put quarantined operations back in line for another round of attempts
+    async retryFailed() {
+        const failed = (await this.getOperations()).filter(operation => operation.state === 'failed');
+        await this.batch(queue => failed.forEach(operation => queue.put({
+            ...operation,
+            state: 'pending',
+            attempts: 0,
+            nextAttemptAt: 0
+        })), ['pendingSyncs']);
+        return failed.length;
+    }
+
+    async getSetting(key, fallback = null) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['settings'], 'readonly').objectStore('settings').get(key);
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : fallback);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    setSetting(key, value) {
+        return this.batch(settings => settings.put({ key, value }), ['settings']);
+    }
+
+    async getIncidents() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['incidents'], 'readonly').objectStore('incidents').getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    saveIncidents(incidents) {
+        return this.batch(store => incidents.forEach(incident => store.put(incident)), ['incidents']);
+    }
+
+    async getUsers() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(['users'], 'readonly').objectStore('users').getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    saveUsers(users) {
+        return this.batch(store => users.forEach(user => store.put(user)), ['users']);
+    }
+
+    // One-time move of the old localStorage array; the newer copy of each record wins
+    async migrateFromLocalStorage(key) {
+        const saved = localStorage.getItem(key);
+        if (!saved) return 0;
+
+        let patients;
+        try {
+            patients = JSON.parse(saved);
+        } catch (error) {
+            // Leave the key in place so the data can still be recovered by hand
+            console.error('Cannot migrate unreadable patient data:', error);
+            return 0;
+        }
+
+        const existing = new Map((await this.getAll()).map(p => [p.id, p]));
+        const changedAt = (patient) => new Date(patient.updatedAt || patient.timestamp).getTime();
+        const migrated = patients.filter(patient => {
+            const current = existing.get(patient.id);
+            return !current || changedAt(patient) > changedAt(current);
+        });
+
+        await this.putMany(migrated);
+        localStorage.removeItem(key);
+        return migrated.length;
+    }
+}
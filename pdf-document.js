@@ -0,0 +1,179 @@
+// pdf-document.js - Minimal text-and-box PDF writer, so reports can be saved as PDF without a library or a server
+
+// Built-in fonts need no embedding; widths (per 1000 units) of printable ASCII, from the Adobe font metrics
+const PDF_FONT_WIDTHS = {
+    Helvetica: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    'Helvetica-Bold': [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Characters WinAnsiEncoding places in 0x80-0x9F; everything else above ASCII is Latin-1
+const PDF_WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+    '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+const PDF_PAGE_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792]
+};
+
+// ============================================
+// PDF Document
+// ============================================
+
+// Lays text out top to bottom from a cursor and starts a new page when the current one is full
+class PdfDocument {
+    constructor({ size = 'a4', margin = 40, title = '' } = {}) {
+        [this.width, this.height] = PDF_PAGE_SIZES[size] || PDF_PAGE_SIZES.a4;
+        this.margin = margin;
+        this.title = title;
+        this.pages = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.current = [];
+        this.pages.push(this.current);
+        this.y = this.margin;
+    }
+
+    // Anything the built-in fonts cannot show is simplified (₂ → 2, é stays) or replaced with ?
+    static encode(text) {
+        return Array.from(String(text ?? '')).map(char => {
+            const code = char.charCodeAt(0);
+            if (char.length === 1 && (code < 0x80 || (code >= 0xA0 && code <= 0xFF))) return char;
+            if (PDF_WIN_ANSI[char]) return String.fromCharCode(PDF_WIN_ANSI[char]);
+
+            const simple = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            return simple && simple !== char && /^[\x20-\x7e\xa0-\xff]+$/.test(simple) ? simple : '?';
+        }).join('');
+    }
+
+    textWidth(text, size, bold = false) {
+        const widths = PDF_FONT_WIDTHS[bold ? 'Helvetica-Bold' : 'Helvetica'];
+        const units = Array.from(PdfDocument.encode(text)).reduce((sum, char) => {
+            const code = char.charCodeAt(0);
+            return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+        }, 0);
+        return units * size / 1000;
+    }
+
+    wrap(text, maxWidth, size, bold = false) {
+        return String(text ?? '').split('\n').flatMap(paragraph => {
+            const lines = [];
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.textWidth(candidate, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            return [...lines, line];
+        });
+    }
+
+    // Colours are CSS hex strings
+    static color(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [value >> 16, (value >> 8) & 255, value & 255].map(part => (part / 255).toFixed(3)).join(' ');
+    }
+
+    static string(text) {
+        return `(${PdfDocument.encode(text).replace(/[\\()]/g, '\\$&')})`;
+    }
+
+    ensureSpace(height) {
+        if (this.y + height > this.height - this.margin) {
+            this.addPage();
+        }
+    }
+
+    // Coordinates are measured from the top-left corner, as on screen
+    textAt(text, x, y, { size = 10, bold = false, color = '#000000' } = {}) {
+        this.current.push(
+            `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${PdfDocument.color(color)} rg ` +
+            `${x.toFixed(2)} ${(this.height - y - size).toFixed(2)} Td ${PdfDocument.string(text)} Tj ET`
+        );
+    }
+
+    rect(x, y, width, height, color) {
+        this.current.push(`${PdfDocument.color(color)} rg ${x.toFixed(2)} ${(this.height - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+    }
+
+    // Wrapped text at the cursor, moving it down
+    write(text, { size = 10, bold = false, color = '#000000', indent = 0, gap = 2 } = {}) {
+        const lineHeight = size * 1.25;
+        this.wrap(text, this.width - this.margin * 2 - indent, size, bold).forEach(line => {
+            this.ensureSpace(lineHeight);
+            this.textAt(line, this.margin + indent, this.y, { size, bold, color });
+            this.y += lineHeight;
+        });
+        this.y += gap;
+    }
+
+    // A full-width coloured bar with a white heading
+    banner(text, color, { size = 12 } = {}) {
+        const height = size + 10;
+        this.ensureSpace(height + size * 3);
+        this.rect(this.margin, this.y, this.width - this.margin * 2, height, color);
+        this.textAt(text, this.margin + 6, this.y + 5, { size, bold: true, color: '#ffffff' });
+        this.y += height + 6;
+    }
+
+    rule(color = '#d1d5db') {
+        this.ensureSpace(6);
+        this.rect(this.margin, this.y + 2, this.width - this.margin * 2, 0.5, color);
+        this.y += 6;
+    }
+
+    // Offsets in the cross-reference table count bytes, so the file is assembled as single-byte text
+    toBytes() {
+        const objects = [];
+        const add = (body) => objects.push(body);
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(null);
+        add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        add(`<< /Title ${PdfDocument.string(this.title)} /Producer (Upline Triage) >>`);
+
+        const pageIds = this.pages.map(commands => {
+            const content = commands.join('\n');
+            add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+            return objects.length;
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let file = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = file.length;
+            file += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = file.length;
+        file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Uint8Array.from(file, char => char.charCodeAt(0));
+    }
+}
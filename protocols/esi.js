@@ -0,0 +1,108 @@
+// protocols/esi.js - Emergency Severity Index (ESI) v4, five-level ED triage
+
+TriageProtocols.register({
+    id: 'esi',
+    name: 'Emergency Severity Index (ESI)',
+    description: 'Five-level ED triage by acuity and expected resources',
+    // Patients keep the mapped colour in `priority` and the ESI level here
+    levelField: 'esiLevel',
+    inputs: [
+        { id: 'lifeSavingIntervention', label: 'Requires immediate life-saving intervention?', type: 'boolean' },
+        { id: 'highRisk', label: 'High-risk situation, confused/lethargic or severe pain?', type: 'boolean' },
+        {
+            id: 'expectedResources', label: 'Expected resources', type: 'select',
+            options: [
+                { value: '0', label: 'None' },
+                { value: '1', label: 'One' },
+                { value: 'many', label: 'Two or more' }
+            ]
+        },
+        { id: 'heartRate', label: 'Heart Rate', type: 'vital', unit: 'bpm' },
+        { id: 'respiratoryRate', label: 'Respiratory Rate', type: 'vital', unit: 'rpm' },
+        { id: 'oxygenSaturation', label: 'SpO₂', type: 'vital', unit: '%' }
+    ],
+    levels: [
+        {
+            key: 'esi1', value: 1, short: 'ESI 1', priority: 'red', color: '#dc2626',
+            title: 'ESI 1 (Resuscitation)',
+            time: 'Immediate',
+            description: 'Requires an immediate life-saving intervention.'
+        },
+        {
+            key: 'esi2', value: 2, short: 'ESI 2', priority: 'yellow', color: '#ea580c',
+            title: 'ESI 2 (Emergent)',
+            time: '≤ 10 minutes',
+            description: 'High-risk situation, new confusion or lethargy, severe pain, or danger-zone vitals.'
+        },
+        {
+            key: 'esi3', value: 3, short: 'ESI 3', priority: 'yellow', color: '#ca8a04',
+            title: 'ESI 3 (Urgent)',
+            time: '≤ 30 minutes',
+            description: 'Stable, expected to need two or more resources.'
+        },
+        {
+            key: 'esi4', value: 4, short: 'ESI 4', priority: 'green', color: '#16a34a',
+            title: 'ESI 4 (Less Urgent)',
+            time: '≤ 60 minutes',
+            description: 'Stable, expected to need one resource.'
+        },
+        {
+            key: 'esi5', value: 5, short: 'ESI 5', priority: 'green', color: '#2563eb',
+            title: 'ESI 5 (Non-Urgent)',
+            time: '≤ 120 minutes',
+            description: 'Stable, no resources expected beyond examination.'
+        }
+    ],
+
+    // Danger-zone heart and respiratory rates by age (years)
+    dangerZone(age) {
+        if (age !== null && age < 3) return { hr: 160, rr: 40 };
+        if (age !== null && age <= 8) return { hr: 140, rr: 30 };
+        return { hr: 100, rr: 20 };
+    },
+
+    assess(data) {
+        const read = TriageProtocols.readBoolean;
+
+        if (read(data.lifeSavingIntervention) === true) {
+            return { level: 1, reason: 'Requires immediate life-saving intervention' };
+        }
+        if (read(data.highRisk) === true) {
+            return { level: 2, reason: 'High-risk situation' };
+        }
+
+        if (data.expectedResources === '0') {
+            return { level: 5, reason: 'No resources expected' };
+        }
+        if (data.expectedResources === '1') {
+            return { level: 4, reason: 'One resource expected' };
+        }
+
+        const limits = this.dangerZone(TriageProtocols.readNumber(data.age));
+        const hr = TriageProtocols.readNumber(data.heartRate);
+        const rr = TriageProtocols.readNumber(data.respiratoryRate);
+        const spo2 = TriageProtocols.readNumber(data.oxygenSaturation);
+
+        const danger = [];
+        if (hr !== null && hr > limits.hr) danger.push(`HR ${hr} > ${limits.hr}`);
+        if (rr !== null && rr > limits.rr) danger.push(`RR ${rr} > ${limits.rr}`);
+        if (spo2 !== null && spo2 < 92) danger.push(`SpO₂ ${spo2}% < 92%`);
+
+        if (danger.length > 0) {
+            return { level: 2, reason: `Danger-zone vitals: ${danger.join(', ')}` };
+        }
+        return { level: 3, reason: 'Two or more resources expected, vitals outside danger zone' };
+    },
+
+    score(data) {
+        return this.assess(data).level;
+    },
+
+    categorize(data, score) {
+        return this.levels.find(level => level.value === score).priority;
+    },
+
+    explain(data, score) {
+        return `ESI: ${this.assess(data).reason} → ESI ${score}`;
+    }
+});
@@ -0,0 +1,193 @@
+// protocols/jumpstart.js - JumpSTART pediatric mass casualty triage
+
+TriageProtocols.register({
+    id: 'jumpstart',
+    name: 'JumpSTART (Pediatric)',
+    description: 'START adapted for children under 8 or sized with a length-based tape',
+    aliases: ['pediatric'],
+    maxAge: 8,
+    // Length-based (Broselow) colour zones
+    sizes: [
+        { value: 'grey', label: 'Grey (3–5 kg)' },
+        { value: 'pink', label: 'Pink (6–7 kg)' },
+        { value: 'red', label: 'Red (8–9 kg)' },
+        { value: 'purple', label: 'Purple (10–11 kg)' },
+        { value: 'yellow', label: 'Yellow (12–14 kg)' },
+        { value: 'white', label: 'White (15–18 kg)' },
+        { value: 'blue', label: 'Blue (19–23 kg)' },
+        { value: 'orange', label: 'Orange (24–29 kg)' },
+        { value: 'green', label: 'Green (30–36 kg)' }
+    ],
+    inputs: [
+        { id: 'canWalk', label: 'Able to walk?', type: 'boolean' },
+        { id: 'breathing', label: 'Breathing spontaneously?', type: 'boolean' },
+        { id: 'breathingAfterAirway', label: 'Breathing after airway positioning?', type: 'boolean' },
+        { id: 'peripheralPulse', label: 'Palpable peripheral pulse?', type: 'boolean' },
+        { id: 'rescueBreaths', label: 'Breathing after 5 rescue breaths?', type: 'boolean' },
+        { id: 'respiratoryRate', label: 'Respiratory Rate', type: 'vital', unit: 'rpm' },
+        {
+            id: 'respiratoryRateBand', label: 'Respiratory rate band', type: 'select', wizardOnly: true,
+            options: [
+                { value: 'low', label: 'Under 15' },
+                { value: 'normal', label: '15–45' },
+                { value: 'high', label: 'Over 45' }
+            ]
+        },
+        {
+            id: 'avpu', label: 'AVPU', type: 'select',
+            options: [
+                { value: 'A', label: 'Alert' },
+                { value: 'V', label: 'Responds to voice' },
+                { value: 'P', label: 'Pain – appropriate (localises/withdraws)' },
+                { value: 'P-inappropriate', label: 'Pain – inappropriate (posturing)' },
+                { value: 'U', label: 'Unresponsive' }
+            ]
+        }
+    ],
+    wizard: {
+        start: 'walk',
+        steps: {
+            walk: {
+                question: 'Can the child walk?',
+                answers: [
+                    { label: 'Yes – walking', set: { canWalk: 'yes' }, next: null },
+                    { label: 'No', set: { canWalk: 'no' }, next: 'breathing' }
+                ]
+            },
+            breathing: {
+                question: 'Is the child breathing?',
+                answers: [
+                    { label: 'Yes', set: { breathing: 'yes' }, next: 'rate' },
+                    { label: 'No', set: { breathing: 'no' }, next: 'airway' }
+                ]
+            },
+            airway: {
+                question: 'Position the airway. Breathing now?',
+                answers: [
+                    { label: 'Yes – breathing', set: { breathingAfterAirway: 'yes' }, next: null },
+                    { label: 'No – still apnoeic', set: { breathingAfterAirway: 'no' }, next: 'apnoeicPulse' }
+                ]
+            },
+            apnoeicPulse: {
+                question: 'Palpable peripheral pulse?',
+                answers: [
+                    { label: 'Yes – pulse present', set: { peripheralPulse: 'yes' }, next: 'rescue' },
+                    { label: 'No pulse', set: { peripheralPulse: 'no' }, next: null }
+                ]
+            },
+            rescue: {
+                question: 'Give 5 rescue breaths. Breathing now?',
+                answers: [
+                    { label: 'Yes – breathing', set: { rescueBreaths: 'yes' }, next: null },
+                    { label: 'No – still apnoeic', set: { rescueBreaths: 'no' }, next: null }
+                ]
+            },
+            rate: {
+                question: 'Respiratory rate?',
+                answers: [
+                    { label: 'Under 15', set: { respiratoryRateBand: 'low' }, next: null },
+                    { label: '15–45', set: { respiratoryRateBand: 'normal' }, next: 'perfusion' },
+                    { label: 'Over 45', set: { respiratoryRateBand: 'high' }, next: null }
+                ]
+            },
+            perfusion: {
+                question: 'Palpable peripheral pulse?',
+                answers: [
+                    { label: 'Yes', set: { peripheralPulse: 'yes' }, next: 'avpu' },
+                    { label: 'No', set: { peripheralPulse: 'no' }, next: null }
+                ]
+            },
+            avpu: {
+                question: 'AVPU mental status?',
+                answers: [
+                    { label: 'Alert', set: { avpu: 'A' }, next: null },
+                    { label: 'Responds to voice', set: { avpu: 'V' }, next: null },
+                    { label: 'Pain – localises / withdraws', set: { avpu: 'P' }, next: null },
+                    { label: 'Pain – posturing', set: { avpu: 'P-inappropriate' }, next: null },
+                    { label: 'Unresponsive', set: { avpu: 'U' }, next: null }
+                ]
+            }
+        }
+    },
+    categories: {
+        red: {
+            title: 'Immediate (Red)',
+            time: 'Immediate',
+            description: 'RR < 15 or > 45, no peripheral pulse, posturing or unresponsive, or breathing only after airway/rescue breaths.'
+        },
+        yellow: {
+            title: 'Delayed (Yellow)',
+            time: 'Delayed',
+            description: 'Cannot walk, RR 15–45, palpable pulse and appropriate AVPU response.'
+        },
+        green: {
+            title: 'Minor (Green)',
+            time: 'Walking wounded',
+            description: 'Able to walk, reassess when resources allow.'
+        },
+        black: {
+            title: 'Expectant (Black)',
+            time: 'Deceased',
+            description: 'Apnoeic without a pulse, or apnoeic after five rescue breaths.'
+        }
+    },
+
+    appliesTo(data) {
+        const age = TriageProtocols.readNumber(data.age);
+        return (age !== null && age < this.maxAge) || Boolean(data.pediatricSize);
+    },
+
+    assess(data) {
+        const read = TriageProtocols.readBoolean;
+
+        if (read(data.canWalk) === true) {
+            return { category: 'green', reason: 'Able to walk' };
+        }
+
+        if (read(data.breathing) === false) {
+            if (read(data.breathingAfterAirway) === true) {
+                return { category: 'red', reason: 'Breathing after airway positioning' };
+            }
+            if (read(data.peripheralPulse) === false) {
+                return { category: 'black', reason: 'Apnoeic with no palpable pulse' };
+            }
+            if (read(data.rescueBreaths) === true) {
+                return { category: 'red', reason: 'Breathing after five rescue breaths' };
+            }
+            if (read(data.rescueBreaths) === false) {
+                return { category: 'black', reason: 'Apnoeic after five rescue breaths' };
+            }
+            return { category: 'red', reason: 'Apnoeic with pulse – give five rescue breaths' };
+        }
+
+        const rr = TriageProtocols.readNumber(data.respiratoryRate);
+        if ((rr !== null && rr < 15) || data.respiratoryRateBand === 'low') {
+            return { category: 'red', reason: `Respiratory rate ${rr !== null ? rr + ' ' : ''}< 15` };
+        }
+        if ((rr !== null && rr > 45) || data.respiratoryRateBand === 'high') {
+            return { category: 'red', reason: `Respiratory rate ${rr !== null ? rr + ' ' : ''}> 45` };
+        }
+
+        if (read(data.peripheralPulse) === false) {
+            return { category: 'red', reason: 'No palpable peripheral pulse' };
+        }
+
+        if (data.avpu === 'P-inappropriate' || data.avpu === 'U') {
+            return { category: 'red', reason: data.avpu === 'U' ? 'Unresponsive (AVPU U)' : 'Inappropriate response to pain (posturing)' };
+        }
+
+        return { category: 'yellow', reason: 'Non-ambulatory, RR 15–45, pulse palpable, appropriate AVPU' };
+    },
+
+    score() {
+        return null;
+    },
+
+    categorize(data) {
+        return this.assess(data).category;
+    },
+
+    explain(data, score, category) {
+        return `JumpSTART: ${this.assess(data).reason} → ${category.toUpperCase()}`;
+    }
+});
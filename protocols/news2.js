@@ -0,0 +1,139 @@
+// protocols/news2.js - National Early Warning Score 2 (RCP, 2017)
+
+TriageProtocols.register({
+    id: 'news2',
+    name: 'NEWS2 Early Warning Score',
+    description: 'Aggregate physiological score with ACVPU and supplemental oxygen',
+    inputs: [
+        { id: 'respiratoryRate', label: 'Respiratory Rate', type: 'vital', unit: 'rpm' },
+        { id: 'oxygenSaturation', label: 'SpO₂', type: 'vital', unit: '%' },
+        { id: 'bloodPressureSystolic', label: 'Systolic BP', type: 'vital', unit: 'mmHg' },
+        { id: 'heartRate', label: 'Pulse', type: 'vital', unit: 'bpm' },
+        { id: 'temperature', label: 'Temperature', type: 'vital', unit: '°C' },
+        { id: 'supplementalOxygen', label: 'On supplemental oxygen?', type: 'boolean' },
+        {
+            id: 'consciousness', label: 'Consciousness (ACVPU)', type: 'select',
+            options: [
+                { value: 'A', label: 'Alert' },
+                { value: 'C', label: 'New confusion' },
+                { value: 'V', label: 'Responds to voice' },
+                { value: 'P', label: 'Responds to pain' },
+                { value: 'U', label: 'Unresponsive' }
+            ]
+        },
+        { id: 'hypercapnic', label: 'Hypercapnic respiratory failure (SpO₂ scale 2)?', type: 'boolean' }
+    ],
+    categories: {
+        red: {
+            title: 'High Risk (Red)',
+            time: 'Emergency response',
+            description: 'NEWS2 7 or more: continuous monitoring and emergency assessment.'
+        },
+        yellow: {
+            title: 'Medium Risk (Yellow)',
+            time: 'Urgent response',
+            description: 'NEWS2 5–6, or 3 in any single parameter: urgent clinical review.'
+        },
+        green: {
+            title: 'Low Risk (Green)',
+            time: 'Ward-based response',
+            description: 'NEWS2 0–4: routine monitoring and assessment by a registered nurse.'
+        },
+        black: {
+            title: 'Expectant (Black)',
+            time: 'Expectant',
+            description: 'Deceased or expected to die given current resources, comfort care only.'
+        }
+    },
+
+    respirationPoints(rr) {
+        if (rr <= 8) return 3;
+        if (rr <= 11) return 1;
+        if (rr <= 20) return 0;
+        if (rr <= 24) return 2;
+        return 3;
+    },
+
+    spo2Scale1Points(spo2) {
+        if (spo2 <= 91) return 3;
+        if (spo2 <= 93) return 2;
+        if (spo2 <= 95) return 1;
+        return 0;
+    },
+
+    // Scale 2 targets 88–92%; high saturations only score when on oxygen
+    spo2Scale2Points(spo2, onOxygen) {
+        if (spo2 <= 83) return 3;
+        if (spo2 <= 85) return 2;
+        if (spo2 <= 87) return 1;
+        if (spo2 <= 92 || !onOxygen) return 0;
+        if (spo2 <= 94) return 1;
+        if (spo2 <= 96) return 2;
+        return 3;
+    },
+
+    systolicPoints(bp) {
+        if (bp <= 90) return 3;
+        if (bp <= 100) return 2;
+        if (bp <= 110) return 1;
+        if (bp <= 219) return 0;
+        return 3;
+    },
+
+    pulsePoints(hr) {
+        if (hr <= 40) return 3;
+        if (hr <= 50) return 1;
+        if (hr <= 90) return 0;
+        if (hr <= 110) return 1;
+        if (hr <= 130) return 2;
+        return 3;
+    },
+
+    temperaturePoints(temp) {
+        if (temp <= 35.0) return 3;
+        if (temp <= 36.0) return 1;
+        if (temp <= 38.0) return 0;
+        if (temp <= 39.0) return 1;
+        return 2;
+    },
+
+    breakdown(data) {
+        const num = TriageProtocols.readNumber;
+        const onOxygen = TriageProtocols.readBoolean(data.supplementalOxygen);
+        const scale2 = TriageProtocols.readBoolean(data.hypercapnic) === true;
+        const item = (id, label, value, points) => ({ id, label, value, points: value === null ? null : points(value) });
+
+        return [
+            item('respiratoryRate', 'Respiration rate', num(data.respiratoryRate), v => this.respirationPoints(v)),
+            item('oxygenSaturation', `SpO₂ (scale ${scale2 ? 2 : 1})`, num(data.oxygenSaturation),
+                v => scale2 ? this.spo2Scale2Points(v, onOxygen === true) : this.spo2Scale1Points(v)),
+            item('supplementalOxygen', 'Air or oxygen', onOxygen === null ? null : (onOxygen ? 'Oxygen' : 'Air'),
+                v => v === 'Oxygen' ? 2 : 0),
+            item('bloodPressureSystolic', 'Systolic BP', num(data.bloodPressureSystolic), v => this.systolicPoints(v)),
+            item('heartRate', 'Pulse', num(data.heartRate), v => this.pulsePoints(v)),
+            item('consciousness', 'Consciousness', data.consciousness || null, v => v === 'A' ? 0 : 3),
+            item('temperature', 'Temperature', num(data.temperature), v => this.temperaturePoints(v))
+        ];
+    },
+
+    score(data) {
+        return this.breakdown(data).reduce((sum, item) => sum + (item.points || 0), 0);
+    },
+
+    categorize(data, score) {
+        const redFlag = this.breakdown(data).some(item => item.points === 3);
+        if (score >= 7) return 'red';
+        if (score >= 5 || redFlag) return 'yellow';
+        return 'green';
+    },
+
+    explain(data, score, category) {
+        const missing = this.breakdown(data).filter(item => item.value === null).map(item => item.label);
+        const risk = { red: 'high', yellow: score >= 5 ? 'medium' : 'low-medium (single parameter 3)', green: 'low' }[category];
+        const partial = missing.length > 0 ? ` (partial – not recorded: ${missing.join(', ')})` : '';
+        const age = TriageProtocols.readNumber(data.age);
+        const warning = age !== null && age < 16 ? '; NEWS2 is not validated under 16' : '';
+
+        return `NEWS2 ${score}${partial}, ${risk} clinical risk${warning} → ${category.toUpperCase()}`;
+    }
+});
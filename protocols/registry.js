@@ -0,0 +1,109 @@
+// protocols/registry.js - Pluggable triage protocol registry
+//
+// Each protocol lives in its own file under protocols/ and registers itself
+// here. A protocol declares:
+//   id, name, description  - identity shown in settings
+//   aliases                - legacy setting values that resolve to it
+//   pediatric (optional)   - id of the protocol used instead when its
+//                            appliesTo(data) matches the patient
+//   inputs                 - form fields it reads ({ id, label, type, ... })
+//   categories             - card/option text per priority colour, or
+//   levels + levelField    - an ordered list of protocol-specific levels
+//                            ({ key, value, short, priority, color, ... })
+//                            when the protocol does not use the four colours;
+//                            score(data) returns the level value
+//   score(data)            - numeric score, or null for algorithmic protocols
+//   categorize(data, score)- output priority colour
+//   explain(data, score, category) - human readable rationale
+//   breakdown(data) (optional) - per-parameter sub-scores
+//                            ({ id, label, value, points }); a null value
+//                            marks the result as partial
+//   wizard (optional)      - tap-through steps for Mass Casualty Mode; each
+//                            answer sets input values and names the next step
+//                            (null ends the flow and the protocol categorizes)
+
+class TriageProtocolRegistry {
+    constructor() {
+        this.protocols = new Map();
+        this.aliases = new Map();
+        this.defaultId = 'standard';
+    }
+
+    register(protocol) {
+        const required = ['id', 'name', 'inputs', 'score', 'categorize', 'explain'];
+        const missing = required.filter(key => protocol[key] === undefined);
+        if (!protocol.categories && !protocol.levels) {
+            missing.push('categories or levels');
+        }
+        if (missing.length > 0) {
+            throw new Error(`Triage protocol "${protocol.id}" is missing: ${missing.join(', ')}`);
+        }
+
+        this.protocols.set(protocol.id, protocol);
+        (protocol.aliases || []).forEach(alias => this.aliases.set(alias, protocol.id));
+        return protocol;
+    }
+
+    has(id) {
+        return this.protocols.has(id) || this.aliases.has(id);
+    }
+
+    get(id) {
+        const resolvedId = this.aliases.get(id) || id;
+        return this.protocols.get(resolvedId) || this.protocols.get(this.defaultId);
+    }
+
+    // Swap in the pediatric counterpart when the patient data calls for it
+    resolve(id, data = {}) {
+        const protocol = this.get(id);
+        const pediatric = protocol.pediatric && this.protocols.get(protocol.pediatric);
+        if (pediatric && pediatric.appliesTo(data)) {
+            return pediatric;
+        }
+        return protocol;
+    }
+
+    list() {
+        return Array.from(this.protocols.values());
+    }
+
+    evaluate(id, data) {
+        const protocol = this.get(id);
+        const score = protocol.score(data);
+        const category = protocol.categorize(data, score);
+
+        const result = {
+            protocol: protocol.id,
+            protocolName: protocol.name,
+            score,
+            category,
+            explanation: protocol.explain(data, score, category)
+        };
+
+        if (protocol.breakdown) {
+            result.breakdown = protocol.breakdown(data);
+            result.partial = result.breakdown.some(item => item.value === null);
+        }
+
+        if (protocol.levels) {
+            result.level = protocol.levels.find(level => level.value === score).key;
+        }
+        return result;
+    }
+
+    // Shared input helpers for protocol modules
+
+    readNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    readBoolean(value) {
+        if (value === true || value === 'yes' || value === 'true') return true;
+        if (value === false || value === 'no' || value === 'false') return false;
+        return null;
+    }
+}
+
+const TriageProtocols = new TriageProtocolRegistry();
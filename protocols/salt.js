@@ -0,0 +1,77 @@
+// protocols/salt.js - SALT (Sort, Assess, Lifesaving interventions, Treatment/Transport)
+
+TriageProtocols.register({
+    id: 'salt',
+    name: 'SALT',
+    description: 'Global sorting followed by individual assessment',
+    inputs: [
+        { id: 'breathing', label: 'Breathing (after airway opened)?', type: 'boolean' },
+        { id: 'obeysCommands', label: 'Obeys commands or purposeful movement?', type: 'boolean' },
+        { id: 'peripheralPulse', label: 'Peripheral pulse present?', type: 'boolean' },
+        { id: 'respiratoryDistress', label: 'In respiratory distress?', type: 'boolean' },
+        { id: 'hemorrhageControlled', label: 'Major haemorrhage controlled?', type: 'boolean' },
+        { id: 'likelyToSurvive', label: 'Likely to survive given current resources?', type: 'boolean' },
+        { id: 'minorInjuriesOnly', label: 'Minor injuries only?', type: 'boolean' }
+    ],
+    categories: {
+        red: {
+            title: 'Immediate (Red)',
+            time: 'Immediate',
+            description: 'Fails an assessment step but is likely to survive with treatment.'
+        },
+        yellow: {
+            title: 'Delayed (Yellow)',
+            time: 'Delayed',
+            description: 'Passes all assessment steps but has more than minor injuries.'
+        },
+        green: {
+            title: 'Minimal (Green)',
+            time: 'Minimal',
+            description: 'Passes all assessment steps with minor injuries only.'
+        },
+        black: {
+            title: 'Expectant / Dead (Black)',
+            time: 'Expectant',
+            description: 'Not breathing, or unlikely to survive given current resources.'
+        }
+    },
+
+    assess(data) {
+        const read = TriageProtocols.readBoolean;
+
+        if (read(data.breathing) === false) {
+            return { category: 'black', reason: 'Not breathing after lifesaving interventions' };
+        }
+
+        const failed = [];
+        if (read(data.obeysCommands) === false) failed.push('does not obey commands');
+        if (read(data.peripheralPulse) === false) failed.push('no peripheral pulse');
+        if (read(data.respiratoryDistress) === true) failed.push('respiratory distress');
+        if (read(data.hemorrhageControlled) === false) failed.push('uncontrolled haemorrhage');
+
+        if (failed.length > 0) {
+            if (read(data.likelyToSurvive) === false) {
+                return { category: 'black', reason: `${failed.join(', ')}; unlikely to survive` };
+            }
+            return { category: 'red', reason: failed.join(', ') };
+        }
+
+        if (read(data.minorInjuriesOnly) === true) {
+            return { category: 'green', reason: 'All assessment steps passed, minor injuries only' };
+        }
+
+        return { category: 'yellow', reason: 'All assessment steps passed' };
+    },
+
+    score() {
+        return null;
+    },
+
+    categorize(data) {
+        return this.assess(data).category;
+    },
+
+    explain(data, score, category) {
+        return `SALT: ${this.assess(data).reason} → ${category.toUpperCase()}`;
+    }
+});
@@ -0,0 +1,69 @@
+// protocols/standard.js - Vital-sign scoring ladder (default protocol)
+
+TriageProtocols.register({
+    id: 'standard',
+    name: 'Standard Protocol',
+    description: 'Scores heart rate, blood pressure, SpO₂ and respiratory rate',
+    pediatric: 'jumpstart',
+    inputs: [
+        { id: 'heartRate', label: 'Heart Rate', type: 'vital', unit: 'bpm' },
+        { id: 'bloodPressureSystolic', label: 'Systolic BP', type: 'vital', unit: 'mmHg' },
+        { id: 'oxygenSaturation', label: 'SpO₂', type: 'vital', unit: '%' },
+        { id: 'respiratoryRate', label: 'Respiratory Rate', type: 'vital', unit: 'rpm' }
+    ],
+    categories: {
+        red: {
+            title: 'Priority 1 (Red)',
+            time: 'Immediate',
+            description: 'Immediate life threat, unstable vital signs, requires immediate physician attention.'
+        },
+        yellow: {
+            title: 'Priority 2 (Yellow)',
+            time: '≤ 10 minutes',
+            description: 'Serious condition, stable vital signs, potential to become life-threatening.'
+        },
+        green: {
+            title: 'Priority 3 (Green)',
+            time: '≤ 60 minutes',
+            description: 'Minor injuries, stable condition, can wait for treatment.'
+        },
+        black: {
+            title: 'Priority 4 (Black)',
+            time: 'Expectant',
+            description: 'Deceased or expected to die given current resources, comfort care only.'
+        }
+    },
+
+    // Missing vitals score nothing and mark the result partial
+    breakdown(data) {
+        const num = TriageProtocols.readNumber;
+        const item = (id, label, value, points) => ({ id, label, value, points: value === null ? null : points(value) });
+
+        return [
+            item('heartRate', 'Heart rate', num(data.heartRate),
+                hr => (hr < 50 || hr > 120 ? 2 : 0) + (hr < 40 || hr > 140 ? 3 : 0)),
+            item('bloodPressureSystolic', 'Systolic BP', num(data.bloodPressureSystolic),
+                bp => (bp < 90 || bp > 160 ? 2 : 0) + (bp < 70 || bp > 180 ? 3 : 0)),
+            item('oxygenSaturation', 'SpO₂', num(data.oxygenSaturation),
+                spo2 => (spo2 < 94 ? 2 : 0) + (spo2 < 90 ? 3 : 0)),
+            item('respiratoryRate', 'Respiratory rate', num(data.respiratoryRate),
+                rr => (rr < 12 || rr > 20 ? 1 : 0) + (rr < 8 || rr > 24 ? 2 : 0))
+        ];
+    },
+
+    score(data) {
+        return this.breakdown(data).reduce((sum, item) => sum + (item.points || 0), 0);
+    },
+
+    categorize(data, score) {
+        if (score >= 6) return 'red';
+        if (score >= 4) return 'yellow';
+        return 'green';
+    },
+
+    explain(data, score, category) {
+        const missing = this.breakdown(data).filter(item => item.value === null).map(item => item.label);
+        const partial = missing.length > 0 ? ` (partial – not recorded: ${missing.join(', ')})` : '';
+        return `Vital-sign score ${score}${partial} (red ≥ 6, yellow ≥ 4) → ${category.toUpperCase()}`;
+    }
+});
@@ -0,0 +1,137 @@
+// protocols/start.js - START (Simple Triage And Rapid Treatment) for adults
+
+TriageProtocols.register({
+    id: 'start',
+    name: 'START (Mass Casualty)',
+    description: 'Walk, breathing, respiratory rate, perfusion and mental status',
+    aliases: ['mass_casualty'],
+    pediatric: 'jumpstart',
+    inputs: [
+        { id: 'canWalk', label: 'Able to walk?', type: 'boolean' },
+        { id: 'breathing', label: 'Breathing spontaneously?', type: 'boolean' },
+        { id: 'breathingAfterAirway', label: 'Breathing after airway repositioning?', type: 'boolean' },
+        { id: 'respiratoryRate', label: 'Respiratory Rate', type: 'vital', unit: 'rpm' },
+        { id: 'respiratoryRateOver30', label: 'Respiratory rate over 30/min?', type: 'boolean', wizardOnly: true },
+        { id: 'radialPulse', label: 'Radial pulse present?', type: 'boolean' },
+        { id: 'capillaryRefillDelayed', label: 'Capillary refill > 2 s?', type: 'boolean' },
+        { id: 'obeysCommands', label: 'Obeys simple commands?', type: 'boolean' }
+    ],
+    wizard: {
+        start: 'walk',
+        steps: {
+            walk: {
+                question: 'Can the patient walk?',
+                answers: [
+                    { label: 'Yes – walking wounded', set: { canWalk: 'yes' }, next: null },
+                    { label: 'No', set: { canWalk: 'no' }, next: 'breathing' }
+                ]
+            },
+            breathing: {
+                question: 'Is the patient breathing?',
+                answers: [
+                    { label: 'Yes', set: { breathing: 'yes' }, next: 'rate' },
+                    { label: 'No', set: { breathing: 'no' }, next: 'airway' }
+                ]
+            },
+            airway: {
+                question: 'Reposition the airway. Breathing now?',
+                answers: [
+                    { label: 'Yes – breathing', set: { breathingAfterAirway: 'yes' }, next: null },
+                    { label: 'No – still apnoeic', set: { breathingAfterAirway: 'no' }, next: null }
+                ]
+            },
+            rate: {
+                question: 'Respiratory rate over 30/min?',
+                answers: [
+                    { label: 'Yes – over 30', set: { respiratoryRateOver30: 'yes' }, next: null },
+                    { label: 'No – 30 or under', set: { respiratoryRateOver30: 'no' }, next: 'perfusion' }
+                ]
+            },
+            perfusion: {
+                question: 'Radial pulse / capillary refill?',
+                answers: [
+                    { label: 'Pulse present, refill ≤ 2 s', set: { radialPulse: 'yes', capillaryRefillDelayed: 'no' }, next: 'mental' },
+                    { label: 'Refill > 2 s', set: { radialPulse: 'yes', capillaryRefillDelayed: 'yes' }, next: null },
+                    { label: 'No radial pulse', set: { radialPulse: 'no' }, next: null }
+                ]
+            },
+            mental: {
+                question: 'Obeys simple commands?',
+                answers: [
+                    { label: 'Yes', set: { obeysCommands: 'yes' }, next: null },
+                    { label: 'No', set: { obeysCommands: 'no' }, next: null }
+                ]
+            }
+        }
+    },
+    categories: {
+        red: {
+            title: 'Immediate (Red)',
+            time: 'Immediate',
+            description: 'RR > 30, no radial pulse / refill > 2 s, or cannot follow commands.'
+        },
+        yellow: {
+            title: 'Delayed (Yellow)',
+            time: 'Delayed',
+            description: 'Cannot walk but breathing, perfusion and mental status are adequate.'
+        },
+        green: {
+            title: 'Minor (Green)',
+            time: 'Walking wounded',
+            description: 'Able to walk to a designated area, reassess when resources allow.'
+        },
+        black: {
+            title: 'Expectant (Black)',
+            time: 'Deceased',
+            description: 'Not breathing after the airway has been repositioned.'
+        }
+    },
+
+    assess(data) {
+        const read = TriageProtocols.readBoolean;
+
+        if (read(data.canWalk) === true) {
+            return { category: 'green', reason: 'Able to walk' };
+        }
+
+        if (read(data.breathing) === false) {
+            if (read(data.breathingAfterAirway) !== true) {
+                return { category: 'black', reason: 'Not breathing after airway repositioning' };
+            }
+            return { category: 'red', reason: 'Breathing only after airway repositioning' };
+        }
+
+        const rr = TriageProtocols.readNumber(data.respiratoryRate);
+        if (rr !== null && rr > 30) {
+            return { category: 'red', reason: `Respiratory rate ${rr} > 30` };
+        }
+        if (read(data.respiratoryRateOver30) === true) {
+            return { category: 'red', reason: 'Respiratory rate > 30' };
+        }
+
+        if (read(data.radialPulse) === false) {
+            return { category: 'red', reason: 'Radial pulse absent' };
+        }
+        if (read(data.capillaryRefillDelayed) === true) {
+            return { category: 'red', reason: 'Capillary refill > 2s' };
+        }
+
+        if (read(data.obeysCommands) === false) {
+            return { category: 'red', reason: 'Cannot follow simple commands' };
+        }
+
+        return { category: 'yellow', reason: 'Non-ambulatory, RR ≤ 30, perfusing, obeys commands' };
+    },
+
+    score() {
+        return null;
+    },
+
+    categorize(data) {
+        return this.assess(data).category;
+    },
+
+    explain(data, score, category) {
+        return `START: ${this.assess(data).reason} → ${category.toUpperCase()}`;
+    }
+});
@@ -0,0 +1,459 @@
+// qr-code.js - Dependency-free QR Code generator (byte mode, versions 1-40) and camera scanner
+
+const QRCode = {
+    // Format bits for each error correction level
+    ECC_LEVELS: { L: 1, M: 0, Q: 3, H: 2 },
+
+    ECC_CODEWORDS_PER_BLOCK: {
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    },
+
+    NUM_ERROR_CORRECTION_BLOCKS: {
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    },
+
+    // Returns a square matrix of booleans (true = dark module)
+    encode(text, { ecc = 'M', minVersion = 1 } = {}) {
+        const bytes = typeof text === 'string' ? Array.from(new TextEncoder().encode(text)) : Array.from(text);
+
+        let version = minVersion;
+        for (; version <= 40; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= this.getNumDataCodewords(version, ecc) * 8) break;
+        }
+        if (version > 40) {
+            throw new Error(`Too much data for a QR code (${bytes.length} bytes)`);
+        }
+
+        const codewords = this.addEccAndInterleave(this.encodeData(bytes, version, ecc), version, ecc);
+        const symbol = this.createSymbol(version);
+        this.drawFunctionPatterns(symbol, version, ecc);
+        this.drawCodewords(symbol, codewords);
+
+        // Keep the mask that leaves the fewest patterns a scanner could misread
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const candidate = {
+                modules: symbol.modules.map(row => row.slice()),
+                isFunction: symbol.isFunction,
+                size: symbol.size
+            };
+            this.applyMask(candidate, mask);
+            this.drawFormatBits(candidate, ecc, mask);
+            const penalty = this.getPenaltyScore(candidate.modules);
+            if (!best || penalty < best.penalty) {
+                best = { modules: candidate.modules, penalty };
+            }
+        }
+        return best.modules;
+    },
+
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    getNumDataCodewords(version, ecc) {
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.ECC_CODEWORDS_PER_BLOCK[ecc][version] * this.NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+    },
+
+    encodeData(bytes, version, ecc) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        const capacity = this.getNumDataCodewords(version, ecc) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+        return data;
+    },
+
+    // ============================================
+    // Reed-Solomon Error Correction
+    // ============================================
+
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    computeDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    computeRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    addEccAndInterleave(data, version, ecc) {
+        const numBlocks = this.NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+        const blockEccLength = this.ECC_CODEWORDS_PER_BLOCK[ecc][version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = this.computeDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const eccBytes = this.computeRemainder(block, divisor);
+            // Short blocks get a placeholder so every block lines up for interleaving
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(eccBytes));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    // ============================================
+    // Symbol Layout
+    // ============================================
+
+    createSymbol(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { size, modules: grid(), isFunction: grid() };
+    },
+
+    setFunctionModule(symbol, x, y, dark) {
+        symbol.modules[y][x] = dark;
+        symbol.isFunction[y][x] = true;
+    },
+
+    getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    },
+
+    drawFunctionPatterns(symbol, version, ecc) {
+        const { size } = symbol;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(symbol, 6, i, i % 2 === 0);
+            this.setFunctionModule(symbol, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < size && yy >= 0 && yy < size) {
+                        this.setFunctionModule(symbol, xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this.getAlignmentPatternPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(symbol, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        // Reserve the format areas; the real bits are drawn once the mask is chosen
+        this.drawFormatBits(symbol, ecc, 0);
+        this.drawVersion(symbol, version);
+    },
+
+    drawFormatBits(symbol, ecc, mask) {
+        const { size } = symbol;
+        const data = (this.ECC_LEVELS[ecc] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(symbol, 8, i, bit(i));
+        this.setFunctionModule(symbol, 8, 7, bit(6));
+        this.setFunctionModule(symbol, 8, 8, bit(7));
+        this.setFunctionModule(symbol, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(symbol, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(symbol, 8, size - 8, true);
+    },
+
+    drawVersion(symbol, version) {
+        if (version < 7) return;
+
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = symbol.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(symbol, a, b, dark);
+            this.setFunctionModule(symbol, b, a, dark);
+        }
+    },
+
+    // Zig-zag through the symbol in two-column strips, skipping function modules
+    drawCodewords(symbol, codewords) {
+        const { size } = symbol;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!symbol.isFunction[y][x] && i < codewords.length * 8) {
+                        symbol.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    applyMask(symbol, mask) {
+        const masks = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        for (let y = 0; y < symbol.size; y++) {
+            for (let x = 0; x < symbol.size; x++) {
+                if (!symbol.isFunction[y][x] && masks[mask](x, y)) {
+                    symbol.modules[y][x] = !symbol.modules[y][x];
+                }
+            }
+        }
+    },
+
+    // The standard's four penalty rules: long runs, 2x2 blocks, finder look-alikes, dark/light balance
+    getPenaltyScore(modules) {
+        const size = modules.length;
+        const finderLike = [true, false, true, true, true, false, true];
+        let penalty = 0;
+        let dark = 0;
+
+        const scoreLine = (get) => {
+            let runColor = null;
+            let runLength = 0;
+            for (let i = 0; i < size; i++) {
+                if (get(i) === runColor) {
+                    runLength++;
+                    if (runLength === 5) penalty += 3;
+                    else if (runLength > 5) penalty++;
+                } else {
+                    runColor = get(i);
+                    runLength = 1;
+                }
+
+                if (i + 7 <= size && finderLike.every((value, k) => get(i + k) === value)) {
+                    const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                    const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+                    if (lightBefore || lightAfter) penalty += 40;
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) {
+            scoreLine(x => modules[y][x]);
+            scoreLine(x => modules[x][y]);
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+        return penalty;
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    drawToCanvas(canvas, modules, { scale = 4, margin = 4 } = {}) {
+        const size = modules.length + margin * 2;
+        canvas.width = size * scale;
+        canvas.height = size * scale;
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#000000';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }));
+    },
+
+    // Vector output stays sharp when printed
+    toSvg(modules, { margin = 4 } = {}) {
+        const size = modules.length + margin * 2;
+        const path = modules.map((row, y) => row.map((dark, x) =>
+            dark ? `M${x + margin},${y + margin}h1v1h-1z` : ''
+        ).join('')).join('');
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+            `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+};
+
+// ============================================
+// Camera Scanner
+// ============================================
+
+// Decoding is left to the browser's BarcodeDetector, which reads QR codes and 1D barcodes alike
+class QRScanner {
+    constructor({ formats = ['qr_code'], interval = 150 } = {}) {
+        this.formats = formats;
+        this.interval = interval;
+        this.stream = null;
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    static isSupported() {
+        return 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+    }
+
+    // Resolves false when stop() was called while the camera was still opening; the camera is released either way
+    async start(video, onDetect) {
+        if (!QRScanner.isSupported()) {
+            throw new Error('This browser cannot scan codes with the camera');
+        }
+        this.stopped = false;
+
+        const supported = await BarcodeDetector.getSupportedFormats();
+        if (this.stopped) return false;
+        const detector = new BarcodeDetector({ formats: this.formats.filter(format => supported.includes(format)) });
+
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        if (this.stopped) {
+            stream.getTracks().forEach(track => track.stop());
+            return false;
+        }
+        this.stream = stream;
+        video.srcObject = stream;
+        video.setAttribute('playsinline', '');
+        try {
+            await video.play();
+        } catch (error) {
+            // Removing the video mid-play rejects; that is a cancel, not a failure
+            if (this.stopped) return false;
+            this.stop();
+            throw error;
+        }
+        if (this.stopped) return false;
+
+        const scan = async () => {
+            if (!this.stream) return;
+            try {
+                const codes = await detector.detect(video);
+                codes.forEach(code => onDetect(code.rawValue, code.format));
+            } catch (error) {
+                // Frames that are not ready yet fail to decode; keep scanning
+            }
+            if (this.stream) {
+                this.timer = setTimeout(scan, this.interval);
+            }
+        };
+        scan();
+        return true;
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+}
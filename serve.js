@@ -1,12 +1,327 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+
+const WEB_ROOT = path.resolve(__dirname);
+
+// ============================================
+// Patient API
+// ============================================
+
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'patients.json');
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_REMEMBERED_DELIVERIES = 1000;
+
+// Every device enters this code in Settings; without API_TOKEN a fresh one is made at each start
+const API_TOKEN = process.env.API_TOKEN || crypto.randomBytes(18).toString('base64url');
+
+// Fields that only describe a device's local copy
+const LOCAL_FIELDS = ['syncStatus', 'syncedAt'];
+
+// Every accepted write takes the next sequence number, which clients use as their pull cursor
+const store = loadStore();
+
+function loadStore() {
+    try {
+        return { deliveries: {}, ...JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')) };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { seq: 0, patients: {}, deliveries: {} };
+        }
+        // Refuse to start rather than overwrite a store we cannot read
+        console.error(`❌ Cannot read patient store ${DATA_FILE}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+function saveStore() {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+function storePatient(patient) {
+    store.seq++;
+    const previous = store.patients[patient.id];
+    const record = { ...patient, serverSeq: store.seq, serverUpdatedAt: new Date().toISOString() };
+    LOCAL_FIELDS.forEach(field => delete record[field]);
+    store.patients[record.id] = record;
+    saveStore();
+    publishChange(previous, record);
+    return record;
+}
+
+// Accepted writes, so a client retrying the same request with the same Idempotency-Key gets the same answer.
+// Only the outcome is kept; patient details live in the store alone.
+function rememberDelivery(key, fingerprint, status, patient) {
+    store.deliveries[key] = { fingerprint, status, id: patient.id, serverSeq: patient.serverSeq, at: new Date().toISOString() };
+    
+    const keys = Object.keys(store.deliveries);
+    keys.slice(0, Math.max(0, keys.length - MAX_REMEMBERED_DELIVERIES)).forEach(old => delete store.deliveries[old]);
+    saveStore();
+}
+
+// The record as that write left it; a later version reaches the client through the change feed
+function replayDelivery(delivery) {
+    const current = store.patients[delivery.id];
+    return current && current.serverSeq === delivery.serverSeq
+        ? { patient: current }
+        : { patient: { id: delivery.id, serverSeq: delivery.serverSeq } };
+}
+
+// What a retry must repeat exactly for the stored response to answer it
+function fingerprintRequest(method, pathname, body) {
+    return crypto.createHash('sha256').update(`${method} ${pathname} ${JSON.stringify(body ?? null)}`).digest('hex');
+}
+
+function isLive(patient) {
+    return Boolean(patient) && !patient.deleted;
+}
+
+// ============================================
+// Live Updates
+// ============================================
+
+// Connected devices get every accepted write as a server-sent event whose ID is its serverSeq
+const liveClients = new Set();
+const recentEvents = [];
+const MAX_RECENT_EVENTS = 500;
+const HEARTBEAT_INTERVAL = 25000;
+
+function describeChange(previous, patient) {
+    const wasLive = isLive(previous);
+    const assignedBefore = wasLive ? previous.assignedTo || null : null;
+    const assignedNow = patient.deleted ? null : patient.assignedTo || null;
+    
+    return {
+        patient,
+        // Newly red, whether just registered or up-triaged
+        redAlert: !patient.deleted && patient.priority === 'red' && !(wasLive && previous.priority === 'red'),
+        assignment: wasLive && assignedBefore !== assignedNow ? { from: assignedBefore, to: assignedNow } : null
+    };
+}
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: patient\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function publishChange(previous, patient) {
+    const event = { id: patient.serverSeq, data: describeChange(previous, patient) };
+    recentEvents.push(event);
+    if (recentEvents.length > MAX_RECENT_EVENTS) {
+        recentEvents.shift();
+    }
+    liveClients.forEach(res => writeEvent(res, event));
+}
+
+// GET /api/events - resumes after Last-Event-ID (or ?lastEventId=) so a reconnecting device catches up
+function openEventStream(req, res, url) {
+    const lastEventId = parseInt(req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    
+    if (!isNaN(lastEventId)) {
+        const oldest = recentEvents.length ? recentEvents[0].id : store.seq + 1;
+        if (oldest <= lastEventId + 1) {
+            recentEvents.filter(event => event.id > lastEventId).forEach(event => writeEvent(res, event));
+        } else {
+            // Older than the recent history: send the current version of everything changed since
+            Object.values(store.patients)
+                .filter(patient => patient.serverSeq > lastEventId)
+                .sort((a, b) => a.serverSeq - b.serverSeq)
+                .forEach(patient => writeEvent(res, {
+                    id: patient.serverSeq,
+                    data: { patient, redAlert: false, assignment: null }
+                }));
+        }
+    }
+    
+    liveClients.add(res);
+    req.on('close', () => liveClients.delete(res));
+}
+
+// Comments keep idle connections from being dropped by proxies and phones
+setInterval(() => liveClients.forEach(res => res.write(': heartbeat\n\n')), HEARTBEAT_INTERVAL).unref();
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject({ status: 413, error: 'Request body too large' });
+                req.destroy();
+            }
+        });
+        
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject({ status: 400, error: 'Invalid JSON' });
+            }
+        });
+        
+        req.on('error', reject);
+    });
+}
+
+// EventSource cannot send headers, so the event stream also takes the code as ?token=
+function isAuthorized(req, url) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7)
+        : url.pathname === '/api/events' ? url.searchParams.get('token') || '' : '';
+    const expected = Buffer.from(API_TOKEN);
+    const actual = Buffer.from(given);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function handleApi(req, res, url) {
+    if (!isAuthorized(req, url)) {
+        return sendJson(res, 401, { error: 'Server access code required' });
+    }
+    
+    const patientMatch = url.pathname.match(/^\/api\/patients(?:\/([^/]+))?$/);
+    const id = patientMatch && patientMatch[1] ? decodeURIComponent(patientMatch[1]) : null;
+    const idempotencyKey = req.method !== 'GET' ? req.headers['idempotency-key'] : null;
+    
+    if (url.pathname === '/api/events' && req.method === 'GET') {
+        return openEventStream(req, res, url);
+    }
+    
+    const body = req.method === 'POST' || req.method === 'PUT' ? await readJsonBody(req) : undefined;
+    const fingerprint = idempotencyKey ? fingerprintRequest(req.method, url.pathname, body) : null;
+    
+    if (idempotencyKey && store.deliveries[idempotencyKey]) {
+        const delivery = store.deliveries[idempotencyKey];
+        // Replaying the first answer to a different request would report a write that never happened
+        if (delivery.fingerprint !== fingerprint) {
+            return sendJson(res, 422, { error: 'Idempotency-Key was already used for a different request' });
+        }
+        return sendJson(res, delivery.status, replayDelivery(delivery));
+    }
+    
+    // Successful writes are remembered under their key; rejections are not, so a corrected retry goes through
+    const reply = (status, patient) => {
+        if (idempotencyKey && status < 300) {
+            rememberDelivery(idempotencyKey, fingerprint, status, patient);
+        }
+        return sendJson(res, status, { patient });
+    };
+    
+    // GET /api/changes?since=<cursor>
+    if (url.pathname === '/api/changes' && req.method === 'GET') {
+        const since = parseInt(url.searchParams.get('since')) || 0;
+        const changes = Object.values(store.patients)
+            .filter(patient => patient.serverSeq > since)
+            .sort((a, b) => a.serverSeq - b.serverSeq);
+        return sendJson(res, 200, { changes, cursor: store.seq });
+    }
+    
+    if (!patientMatch) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+    
+    // GET /api/patients[?status=&priority=]
+    if (!id && req.method === 'GET') {
+        const status = url.searchParams.get('status');
+        const priority = url.searchParams.get('priority');
+        const patients = Object.values(store.patients).filter(patient =>
+            isLive(patient) &&
+            (!status || patient.status === status) &&
+            (!priority || patient.priority === priority)
+        );
+        return sendJson(res, 200, { patients, cursor: store.seq });
+    }
+    
+    // POST /api/patients
+    if (!id && req.method === 'POST') {
+        const patient = body;
+        if (!patient || typeof patient.id !== 'string' || !patient.id) {
+            return sendJson(res, 400, { error: 'Patient id is required' });
+        }
+        if (isLive(store.patients[patient.id])) {
+            return sendJson(res, 409, { error: `Patient ${patient.id} already exists`, patient: store.patients[patient.id] });
+        }
+        return reply(201, storePatient(patient));
+    }
+    
+    // GET /api/patients/:id
+    if (id && req.method === 'GET') {
+        const patient = store.patients[id];
+        return isLive(patient) ? sendJson(res, 200, { patient }) : sendJson(res, 404, { error: `Patient ${id} not found` });
+    }
+    
+    // PUT /api/patients/:id
+    if (id && req.method === 'PUT') {
+        if (!isLive(store.patients[id])) {
+            return sendJson(res, 404, { error: `Patient ${id} not found` });
+        }
+        const patient = body;
+        if (!patient || typeof patient !== 'object') {
+            return sendJson(res, 400, { error: 'Patient body is required' });
+        }
+        // The client must have merged the latest stored version before overwriting it
+        if (patient.serverSeq !== store.patients[id].serverSeq) {
+            return sendJson(res, 409, { error: `Patient ${id} was changed by another device`, patient: store.patients[id] });
+        }
+        return reply(200, storePatient({ ...patient, id }));
+    }
+    
+    // DELETE /api/patients/:id - leaves a tombstone in the change feed so other devices drop their copy
+    if (id && req.method === 'DELETE') {
+        if (!isLive(store.patients[id])) {
+            return sendJson(res, 404, { error: `Patient ${id} not found` });
+        }
+        return reply(200, storePatient({ id, deleted: true, deletedAt: new Date().toISOString() }));
+    }
+    
+    sendJson(res, 405, { error: `${req.method} not allowed` });
+}
 
 const server = http.createServer((req, res) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    // The query string can carry the access code (?token= on the event stream), so only the path is logged
+    const url = new URL(req.url, 'http://localhost');
+    console.log(`${new Date().toISOString()} - ${req.method} ${url.pathname}`);
     
-    let filePath = '.' + req.url;
-    if (filePath === './') filePath = './index.html';
+    if (url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url).catch(error => {
+            console.error('API error:', error);
+            sendJson(res, error.status || 500, { error: error.error || 'Server error' });
+        });
+        return;
+    }
+    
+    // Only files under the web root are served; the patient store and dotfiles are only reachable through the API
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end('400 - Bad Request');
+        return;
+    }
+    const filePath = path.resolve(WEB_ROOT, '.' + (pathname === '/' ? '/index.html' : pathname));
+    const relative = path.relative(WEB_ROOT, filePath);
+    const hidden = relative.split(path.sep).some(segment => segment.startsWith('.') || segment === 'data');
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || hidden || filePath === path.resolve(DATA_FILE)) {
+        res.writeHead(404);
+        res.end('404 - File Not Found');
+        return;
+    }
     
     const extname = path.extname(filePath);
     let contentType = 'text/html';
@@ -48,6 +363,10 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log('══════════════════════════════════');
     console.log(`🌐 Local: http://localhost:${PORT}`);
     console.log(`📱 On Phone: http://[YOUR-IP]:${PORT}`);
+    console.log(`🗄️ Patient API: /api/patients (store: ${DATA_FILE})`);
+    console.log('📡 Live updates: /api/events');
+    console.log(`🔑 Server access code: ${process.env.API_TOKEN ? '(from API_TOKEN)' : API_TOKEN}`);
+    console.log('   Enter it under Settings on each device to sync');
     console.log('══════════════════════════════════');
     console.log('\n📊 To find your IP address:');
     console.log('Windows: ipconfig');
@@ -1,24 +1,42 @@
 // sw.js - Advanced Service Worker for Emergency Triage v2.0
-const CACHE_VERSION = 'v2.1.0';
+// Bumped so activation drops the unencrypted backup kept by earlier versions
+const CACHE_VERSION = 'v2.2.0';
 const CACHE_NAME = `upline-triage-${CACHE_VERSION}`;
 const DYNAMIC_CACHE = 'upline-dynamic-v2';
-const OFFLINE_URL = '/offline.html';
+// Navigations with no cached copy of their own get the app shell
+const OFFLINE_URL = '/index.html';
+
+importScripts('/data-crypto.js', '/patient-store.js', '/patient-merge.js');
 
 // Assets to cache immediately
 const urlsToCache = [
   '/',
   '/index.html',
   '/manifest.json',
-  '/styles.css',
+  '/style.css',
   '/app.js',
+  '/audit-log.js',
+  '/data-crypto.js',
+  '/data-bundle.js',
+  '/fhir-r4.js',
+  '/edxl-tep.js',
+  '/csv-table.js',
+  '/triage-tags.js',
+  '/pdf-document.js',
+  '/patient-store.js',
+  '/patient-merge.js',
+  '/qr-code.js',
+  '/device-handoff.js',
+  '/user-accounts.js',
+  '/protocols/registry.js',
+  '/protocols/standard.js',
+  '/protocols/start.js',
+  '/protocols/salt.js',
+  '/protocols/jumpstart.js',
+  '/protocols/esi.js',
+  '/protocols/news2.js',
   '/icon-192.png',
-  '/icon-512.png',
-  '/icons/icon-72x72.png',
-  '/icons/icon-96x96.png',
-  '/icons/icon-128x128.png',
-  '/icons/icon-144x144.png',
-  '/icons/icon-152x152.png',
-  '/offline.html'
+  '/icon-512.png'
 ];
 
 // Install event - cache static assets
@@ -57,6 +75,7 @@ self.addEventListener('activate', event => {
         })
       );
     })
+    .then(() => purgeCachedPatientData())
     .then(() => {
       console.log('[SW] Activation completed');
       return self.clients.claim();
@@ -96,6 +115,17 @@ self.addEventListener('fetch', event => {
   event.respondWith(networkFirstStrategy(event));
 });
 
+// Patient records would sit unencrypted in the cache, so these responses are never stored
+function isPatientDataRequest(url) {
+  return /^\/api\/(patients|changes|events)\b/.test(new URL(url).pathname);
+}
+
+async function purgeCachedPatientData() {
+  const cache = await caches.open(DYNAMIC_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.filter(request => isPatientDataRequest(request.url)).map(request => cache.delete(request)));
+}
+
 // Strategy: API first (for data)
 async function apiFirstStrategy(event) {
   try {
@@ -103,7 +133,7 @@ async function apiFirstStrategy(event) {
     const response = await fetch(event.request);
     
     // Cache successful responses
-    if (response.ok) {
+    if (response.ok && !isPatientDataRequest(event.request.url)) {
       const cache = await caches.open(DYNAMIC_CACHE);
       await cache.put(event.request, response.clone());
     }
@@ -277,67 +307,82 @@ async function cleanupCache() {
 // IndexedDB for Offline Data
 // ============================================
 
-const DB_NAME = 'upline-triage-db';
-const DB_VERSION = 2;
-
+// Schema lives in patient-store.js so the app and the worker open the same version
 async function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // Patients store
-      if (!db.objectStoreNames.contains('patients')) {
-        const store = db.createObjectStore('patients', { 
-          keyPath: 'id',
-          autoIncrement: false
-        });
-        store.createIndex('priority', 'priority', { unique: false });
-        store.createIndex('timestamp', 'timestamp', { unique: false });
-        store.createIndex('syncStatus', 'syncStatus', { unique: false });
-      }
-      
-      // Pending syncs store
-      if (!db.objectStoreNames.contains('pendingSyncs')) {
-        const store = db.createObjectStore('pendingSyncs', { 
-          keyPath: 'id',
-          autoIncrement: true
-        });
-        store.createIndex('type', 'type', { unique: false });
-        store.createIndex('createdAt', 'createdAt', { unique: false });
-      }
-      
-      // Settings store
-      if (!db.objectStoreNames.contains('settings')) {
-        db.createObjectStore('settings', { keyPath: 'key' });
-      }
-    };
-  });
+  const db = await openTriageDatabase();
+  // Never hold up a newer version or a wipe started by the app
+  db.onversionchange = () => db.close();
+  return db;
+}
+
+// ============================================
+// Data Key
+// ============================================
+
+// Handed over by an unlocked page and forgotten on lock; a worker restarted by the
+// browser has none until the next message from that page
+let dataCipher = null;
+
+function setDataKey(key) {
+  dataCipher = key ? new DataCipher(key) : null;
+}
+
+// Nothing can be read or written until a page unlocks; like a rejected access code,
+// this stops a sync run without costing queued operations an attempt
+class PatientDataLockedError extends Error {}
+
+function requireCipher() {
+  if (!dataCipher) {
+    throw new PatientDataLockedError('Patient data is locked');
+  }
+  return dataCipher;
+}
+
+async function sealPatient(patient) {
+  return requireCipher().sealPatient(patient);
+}
+
+async function openPatient(record) {
+  return DataCipher.isSealed(record) ? requireCipher().openPatient(record) : record;
 }
 
 // Patient operations
 async function savePatient(patient) {
+  // Ensure patient has sync status
+  patient.syncStatus = patient.syncStatus || 'pending';
+  patient.updatedAt = new Date().toISOString();
+  const record = await sealPatient(patient);
+  
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['patients'], 'readwrite');
+    const transaction = db.transaction(['patients', 'pendingSyncs'], 'readwrite');
     const store = transaction.objectStore('patients');
     
-    // Ensure patient has sync status
-    patient.syncStatus = patient.syncStatus || 'pending';
-    patient.updatedAt = new Date().toISOString();
-    
-    const request = store.put(patient);
+    const request = store.put(record);
+    transaction.objectStore('pendingSyncs').add(createSyncOperation('update', patient.id));
     
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
 }
 
-async function getAllPatients() {
+async function getStoredPatient(patientId) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['patients'], 'readonly').objectStore('patients').get(patientId);
+    
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getPatient(patientId) {
+  const record = await getStoredPatient(patientId);
+  return record && openPatient(record);
+}
+
+// Records as stored, still encrypted
+async function getStoredPatients() {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction(['patients'], 'readonly');
@@ -349,9 +394,13 @@ async function getAllPatients() {
   });
 }
 
+async function getAllPatients() {
+  return Promise.all((await getStoredPatients()).map(openPatient));
+}
+
 async function getPendingPatients() {
   const db = await openDatabase();
-  return new Promise((resolve, reject) => {
+  const records = await new Promise((resolve, reject) => {
     const transaction = db.transaction(['patients'], 'readonly');
     const store = transaction.objectStore('patients');
     const index = store.index('syncStatus');
@@ -360,65 +409,400 @@ async function getPendingPatients() {
     request.onsuccess = () => resolve(request.result || []);
     request.onerror = () => reject(request.error);
   });
+  return Promise.all(records.map(openPatient));
+}
+
+// Decrypting and encrypting cannot happen inside a transaction, so the read and the write
+// use separate ones; the write goes ahead only if the stored copy is still the one that was read
+function samePatientVersion(stored, read) {
+  if (!stored || !read) return !stored && !read;
+  // Every write encrypts with a fresh IV, so a matching IV means the same write
+  return stored.payload?.iv === read.payload?.iv && stored.updatedAt === read.updatedAt &&
+    stored.serverSeq === read.serverSeq && stored.syncStatus === read.syncStatus;
 }
 
-async function markAsSynced(patientId) {
+async function writePatientIfUnchanged(patientId, read, { record = null, remove = false, queue = false }) {
   const db = await openDatabase();
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction(['patients'], 'readwrite');
+    const transaction = db.transaction(['patients', 'pendingSyncs'], 'readwrite');
     const store = transaction.objectStore('patients');
+    let written = false;
     
     const getRequest = store.get(patientId);
-    
     getRequest.onsuccess = () => {
-      const patient = getRequest.result;
-      if (patient) {
-        patient.syncStatus = 'synced';
-        patient.syncedAt = new Date().toISOString();
-        
-        const putRequest = store.put(patient);
-        putRequest.onsuccess = () => resolve();
-        putRequest.onerror = () => reject(putRequest.error);
+      if (!samePatientVersion(getRequest.result, read)) return;
+      
+      if (remove) {
+        store.delete(patientId);
       } else {
-        resolve();
+        store.put(record);
+      }
+      if (queue) {
+        transaction.objectStore('pendingSyncs').add(createSyncOperation('update', patientId));
       }
+      written = true;
     };
     
-    getRequest.onerror = () => reject(getRequest.error);
+    transaction.oncomplete = () => resolve(written);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
   });
 }
 
-// Background sync
-async function syncPendingData() {
-  try {
-    const pendingPatients = await getPendingPatients();
+// Write only if the record was not edited again since `expectedUpdatedAt` was read
+async function updatePatientIfUnchanged(patientId, expectedUpdatedAt, update) {
+  const stored = await getStoredPatient(patientId);
+  if (!stored || stored.updatedAt !== expectedUpdatedAt) {
+    return false;
+  }
+  
+  const record = await sealPatient(update(await openPatient(stored)));
+  return writePatientIfUnchanged(patientId, stored, { record });
+}
+
+// Only clear the pending flag if the record was not edited again while it was being pushed
+async function markAsSynced(patientId, pushedUpdatedAt, serverSeq) {
+  return updatePatientIfUnchanged(patientId, pushedUpdatedAt, patient => ({
+    ...patient,
+    syncStatus: 'synced',
+    syncedAt: new Date().toISOString(),
+    serverSeq
+  }));
+}
+
+// Remote records never overwrite local edits that are still waiting to be pushed; the two are merged instead
+async function applyRemotePatient(remote) {
+  // A local edit landing between the read and the write starts the decision over
+  for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+    const stored = await getStoredPatient(remote.id);
+    if (stored && stored.serverSeq >= remote.serverSeq) {
+      return { applied: false, conflicts: 0 };
+    }
     
-    if (pendingPatients.length === 0) {
-      console.log('[SW] No pending data to sync');
-      return;
+    // Deleted elsewhere; a pending local copy is kept and recreated by its own push
+    if (remote.deleted) {
+      if (!stored || stored.syncStatus === 'pending') {
+        return { applied: false, conflicts: 0 };
+      }
+      if (await writePatientIfUnchanged(remote.id, stored, { remove: true })) {
+        return { applied: true, conflicts: 0 };
+      }
+      continue;
     }
     
-    console.log(`[SW] Syncing ${pendingPatients.length} pending patients`);
+    let patient = { ...remote, syncStatus: 'synced', syncedAt: new Date().toISOString() };
+    let conflicts = 0;
+    const pending = stored && stored.syncStatus === 'pending';
+    if (pending) {
+      const local = await openPatient(stored);
+      // Never pushed and registered separately: another patient already holds this ID on the server
+      if (!stored.serverSeq && !PatientMerge.sameRegistration(local, remote)) {
+        if (local.idCollision) return { applied: false, conflicts: 0 };
+        const record = await sealPatient({ ...local, idCollision: describeIdCollision(remote) });
+        if (await writePatientIfUnchanged(remote.id, stored, { record })) {
+          return { applied: false, conflicts: 0 };
+        }
+        continue;
+      }
+      
+      // Still pending: the merge is queued and pushed against the server version it was based on
+      const merged = PatientMerge.merge(local, remote);
+      patient = { ...merged.patient, syncStatus: 'pending', serverSeq: remote.serverSeq };
+      conflicts = merged.conflicts.length;
+    }
     
-    // In a real app, this would send to a server
-    // For demo, we'll just mark as synced
-    for (const patient of pendingPatients) {
-      await markAsSynced(patient.id);
+    const record = await sealPatient(patient);
+    if (await writePatientIfUnchanged(remote.id, stored, { record, queue: pending })) {
+      return { applied: true, conflicts };
     }
+  }
+  
+  throw new Error(`${remote.id} kept changing while a remote update was applied`);
+}
+
+// Queued operations in the order they were made
+async function getQueuedOperations() {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['pendingSyncs'], 'readonly').objectStore('pendingSyncs').getAll();
     
-    // Notify clients
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({
-        type: 'SYNC_COMPLETE',
-        data: { syncedCount: pendingPatients.length }
+    request.onsuccess = () => resolve((request.result || []).sort((a, b) => a.id - b.id));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function writeOperation(operation, remove = false) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(['pendingSyncs'], 'readwrite').objectStore('pendingSyncs');
+    const request = remove ? store.delete(operation.id) : store.put(operation);
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getSetting(key, fallback = null) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['settings'], 'readonly').objectStore('settings').get(key);
+    
+    request.onsuccess = () => resolve(request.result ? request.result.value : fallback);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function setSetting(key, value) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(['settings'], 'readwrite').objectStore('settings').put({ key, value });
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ============================================
+// Server Sync
+// ============================================
+
+const API_BASE = '/api';
+
+const MAX_PUSH_ATTEMPTS = 3;
+const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 15 * 60 * 1000;
+
+// Errors the server will keep returning however often the request is repeated
+class PermanentSyncError extends Error {}
+
+// A missing or wrong access code stops the run but costs the queued operations no attempts
+class SyncAuthorizationError extends Error {}
+
+// The server's access code is entered in Settings and kept with the worker's other settings
+async function apiHeaders(headers = {}) {
+  const token = await getSetting('serverToken', '');
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+// An operation sends whatever the record holds at the time, so the key covers that content too: a retry of the
+// same content is answered from the server's memory, a record edited since the last attempt goes out afresh
+async function requestKey(idempotencyKey, body) {
+  if (body === undefined) return idempotencyKey;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+  const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${idempotencyKey}:${hex.slice(0, 32)}`;
+}
+
+async function sendPatient(method, url, patient, idempotencyKey) {
+  const body = patient === undefined ? undefined : JSON.stringify(patient);
+  return fetch(url, {
+    method,
+    headers: await apiHeaders({ 'Content-Type': 'application/json', 'Idempotency-Key': await requestKey(idempotencyKey, body) }),
+    body
+  });
+}
+
+function checkResponse(response, description) {
+  if (response.ok) return;
+  
+  const message = `${description} failed with HTTP ${response.status}`;
+  if (response.status === 401) {
+    throw new SyncAuthorizationError(`${message}: check the server access code in Settings`);
+  }
+  const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+  throw retryable ? new Error(message) : new PermanentSyncError(message);
+}
+
+// Push one record; when another device got there first, merge its version in and try again
+async function pushPatient(patient, idempotencyKey) {
+  let conflicts = 0;
+  
+  for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+    // Records the server has never seen are created, the rest updated
+    let creating = !patient.serverSeq;
+    let response = creating
+      ? await sendPatient('POST', `${API_BASE}/patients`, patient, idempotencyKey)
+      : await sendPatient('PUT', `${API_BASE}/patients/${encodeURIComponent(patient.id)}`, patient, idempotencyKey);
+    
+    if (response.status === 404) {
+      creating = true;
+      response = await sendPatient('POST', `${API_BASE}/patients`, patient, idempotencyKey);
+    }
+    
+    if (response.status === 409) {
+      const { patient: remote } = await response.json();
+      // A create that finds its ID held by another registration is a different patient, never one to merge with
+      if (creating && !PatientMerge.sameRegistration(patient, remote)) {
+        await updatePatientIfUnchanged(patient.id, patient.updatedAt, current => ({ ...current, idCollision: describeIdCollision(remote) }));
+        throw new PermanentSyncError(`${patient.id} is already used on the server by a different patient`);
+      }
+      
+      const merged = PatientMerge.merge(patient, remote);
+      const next = { ...merged.patient, syncStatus: 'pending', serverSeq: remote.serverSeq };
+      
+      // Edited locally in the meantime: leave it for the next run rather than overwrite that edit
+      if (!await updatePatientIfUnchanged(patient.id, patient.updatedAt, () => next)) {
+        return conflicts;
+      }
+      conflicts += merged.conflicts.length;
+      patient = next;
+      continue;
+    }
+    
+    checkResponse(response, `Push of ${patient.id}`);
+    
+    const { patient: saved } = await response.json();
+    await markAsSynced(patient.id, patient.updatedAt, saved.serverSeq);
+    return conflicts;
+  }
+  
+  throw new Error(`Push of ${patient.id} kept conflicting with other devices`);
+}
+
+// Kept on the local record so the app can show it and offer the patient a new ID
+function describeIdCollision(remote) {
+  return {
+    registeredAt: remote.timestamp || null,
+    registeredBy: remote.createdBy?.name || null,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+// Fetches one record outside the change feed, e.g. the server's patient under an ID this device has just given up
+async function pullPatient(patientId) {
+  const response = await fetch(`${API_BASE}/patients/${encodeURIComponent(patientId)}`, { cache: 'no-store', headers: await apiHeaders() });
+  if (response.status === 404) return { applied: false, conflicts: 0 };
+  checkResponse(response, `Pull of ${patientId}`);
+  
+  const { patient } = await response.json();
+  return applyRemotePatient(patient);
+}
+
+// Resolves with whether anything was sent and how many conflicts the server copy brought
+async function deliverOperation(operation) {
+  if (operation.type === 'delete') {
+    const response = await sendPatient('DELETE', `${API_BASE}/patients/${encodeURIComponent(operation.patientId)}`, undefined, operation.idempotencyKey);
+    // Never reached the server, or already deleted there: nothing left to do
+    if (response.status !== 404) {
+      checkResponse(response, `Delete of ${operation.patientId}`);
+    }
+    return { sent: true, conflicts: 0 };
+  }
+  
+  // The current record carries every change so far; later operations for it find nothing left to send
+  const patient = await getPatient(operation.patientId);
+  if (!patient || patient.syncStatus !== 'pending') return { sent: false, conflicts: 0 };
+  
+  return { sent: true, conflicts: await pushPatient(patient, operation.idempotencyKey) };
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+  // Jitter so devices that went offline together do not retry in lockstep
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+// Failed too often, or rejected outright: set aside until someone retries it by hand
+async function recordDeliveryFailure(operation, error) {
+  const attempts = operation.attempts + 1;
+  const quarantined = error instanceof PermanentSyncError || attempts >= MAX_DELIVERY_ATTEMPTS;
+  
+  await writeOperation({
+    ...operation,
+    attempts,
+    state: quarantined ? 'failed' : 'pending',
+    nextAttemptAt: quarantined ? 0 : Date.now() + retryDelay(attempts),
+    lastError: error.message,
+    lastAttemptAt: new Date().toISOString()
+  });
+  
+  console.warn(`[SW] ${operation.type} of ${operation.patientId} ${quarantined ? 'quarantined' : 'will be retried'}: ${error.message}`);
+}
+
+// Operations go out in the order they were made; one that is waiting to retry holds back
+// the later ones for the same patient, while other patients carry on
+async function deliverQueuedOperations() {
+  const operations = await getQueuedOperations();
+  const heldBack = new Set();
+  let pushedCount = 0;
+  let conflictCount = 0;
+  
+  for (const operation of operations) {
+    if (operation.state === 'failed' || heldBack.has(operation.patientId)) continue;
+    
+    if (operation.nextAttemptAt > Date.now()) {
+      heldBack.add(operation.patientId);
+      continue;
+    }
+    
+    try {
+      const { sent, conflicts } = await deliverOperation(operation);
+      await writeOperation(operation, true);
+      if (sent) pushedCount++;
+      conflictCount += conflicts;
+    } catch (error) {
+      if (error instanceof SyncAuthorizationError || error instanceof PatientDataLockedError) throw error;
+      heldBack.add(operation.patientId);
+      await recordDeliveryFailure(operation, error);
+    }
+  }
+  
+  return { pushedCount, conflictCount };
+}
+
+async function applyRemoteChanges(changes) {
+  let pulledCount = 0;
+  let conflictCount = 0;
+  for (const remote of changes) {
+    const { applied, conflicts } = await applyRemotePatient(remote);
+    if (applied) pulledCount++;
+    conflictCount += conflicts;
+  }
+  return { pulledCount, conflictCount };
+}
+
+async function pullRemoteChanges() {
+  const cursor = await getSetting('syncCursor', 0);
+  const response = await fetch(`${API_BASE}/changes?since=${cursor}`, { cache: 'no-store', headers: await apiHeaders() });
+  checkResponse(response, 'Pull');
+  
+  const { changes, cursor: nextCursor } = await response.json();
+  const result = await applyRemoteChanges(changes);
+  
+  await setSetting('syncCursor', nextCursor);
+  return result;
+}
+
+// Overlapping triggers (message, background sync, timer) share one run
+let syncInProgress = null;
+
+function syncPendingData() {
+  if (!syncInProgress) {
+    syncInProgress = (async () => {
+      const pushed = await deliverQueuedOperations();
+      const pulled = await pullRemoteChanges();
+      const { pushedCount } = pushed;
+      const { pulledCount } = pulled;
+      const conflictCount = pushed.conflictCount + pulled.conflictCount;
+      
+      console.log(`[SW] Sync completed: ${pushedCount} pushed, ${pulledCount} pulled, ${conflictCount} conflicts`);
+      
+      // Notify clients
+      const clients = await self.clients.matchAll();
+      clients.forEach(client => {
+        client.postMessage({
+          type: 'SYNC_COMPLETE',
+          data: { syncedCount: pushedCount, pulledCount, conflictCount }
+        });
       });
+      
+      return { pushedCount, pulledCount, conflictCount };
+    })().finally(() => {
+      syncInProgress = null;
     });
-    
-    console.log('[SW] Sync completed');
-  } catch (error) {
-    console.error('[SW] Sync failed:', error);
   }
+  return syncInProgress;
 }
 
 // ============================================
@@ -426,12 +810,42 @@ async function syncPendingData() {
 // ============================================
 
 self.addEventListener('message', async (event) => {
-  const { type, data } = event.data;
+  const { type, data, dataKey } = event.data;
   
   console.log('[SW] Received message:', type);
   
+  // Every message from an unlocked page carries the key, so a restarted worker picks it up again
+  if (dataKey) {
+    setDataKey(dataKey);
+  }
+  
   try {
     switch (type) {
+      case 'SET_DATA_KEY':
+        event.ports[0].postMessage({ success: true });
+        break;
+        
+      case 'PULL_PATIENT':
+        event.ports[0].postMessage({ success: true, ...(await pullPatient(data.id)) });
+        break;
+        
+      case 'SET_SERVER_TOKEN':
+        await setSetting('serverToken', data.token || '');
+        event.ports[0].postMessage({ success: true });
+        break;
+        
+      case 'CLEAR_DATA_KEY':
+        setDataKey(null);
+        event.ports[0].postMessage({ success: true });
+        break;
+        
+      case 'WIPE_DATA':
+        setDataKey(null);
+        await caches.delete(DYNAMIC_CACHE);
+        await (await caches.open(CACHE_NAME)).delete('/backup/data.json');
+        event.ports[0].postMessage({ success: true });
+        break;
+        
       case 'SAVE_PATIENT':
         await savePatient(data.patient);
         event.ports[0].postMessage({ success: true });
@@ -447,26 +861,6 @@ self.addEventListener('message', async (event) => {
         event.ports[0].postMessage({ success: true, data: pending });
         break;
         
-      case 'CLEAR_PENDING_DATA':
-        const db = await openDatabase();
-        const transaction = db.transaction(['patients'], 'readwrite');
-        const store = transaction.objectStore('patients');
-        
-        // Mark all pending as synced
-        const index = store.index('syncStatus');
-        const request = index.getAll('pending');
-        
-        request.onsuccess = async () => {
-          const pendingPatients = request.result || [];
-          for (const patient of pendingPatients) {
-            patient.syncStatus = 'synced';
-            patient.syncedAt = new Date().toISOString();
-            store.put(patient);
-          }
-          event.ports[0].postMessage({ success: true, cleared: pendingPatients.length });
-        };
-        break;
-        
       case 'EXPORT_DATA':
         const allData = await getAllPatients();
         event.ports[0].postMessage({ 
@@ -479,8 +873,14 @@ self.addEventListener('message', async (event) => {
         break;
         
       case 'PERFORM_SYNC':
-        await syncPendingData();
-        event.ports[0].postMessage({ success: true });
+        const result = await syncPendingData();
+        event.ports[0].postMessage({ success: true, ...result });
+        break;
+        
+      // Pushed by the server's live channel; the pull cursor is left alone so the next pull still fills any gaps
+      case 'APPLY_REMOTE_CHANGES':
+        const applied = await applyRemoteChanges(data.patients || []);
+        event.ports[0].postMessage({ success: true, ...applied });
         break;
         
       default:
@@ -517,11 +917,18 @@ self.addEventListener('periodicsync', event => {
   }
 });
 
+// The backup holds records exactly as stored, so it is no more readable than IndexedDB itself
 async function createBackup() {
   try {
-    const patients = await getAllPatients();
+    if (!dataCipher) {
+      console.log('[SW] Backup skipped while patient data is locked');
+      return;
+    }
+    
+    const records = await getStoredPatients();
     const backup = {
-      patients,
+      patients: await Promise.all(records.map(record => DataCipher.isSealed(record) ? record : sealPatient(record))),
+      encrypted: true,
       timestamp: new Date().toISOString(),
       version: CACHE_VERSION
     };
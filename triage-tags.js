@@ -0,0 +1,102 @@
+// triage-tags.js - Print-ready triage tags with a QR code of the patient ID, filled in or blank and pre-numbered
+
+// Page sizes are what the printer driver is asked for; the tag fills the page
+const TRIAGE_TAG_LAYOUTS = {
+    card: { label: 'Standard card (4 × 6 in)', page: '4in 6in', width: '4in', height: '6in', qr: '1.7in', font: '14px' },
+    thermal: { label: 'Thermal label (62 mm)', page: '62mm 100mm', width: '62mm', height: '100mm', qr: '30mm', font: '10px' }
+};
+
+const TRIAGE_TAG_COLORS = {
+    red: { background: '#dc2626', color: '#fff', category: 'IMMEDIATE' },
+    yellow: { background: '#facc15', color: '#000', category: 'DELAYED' },
+    green: { background: '#16a34a', color: '#fff', category: 'MINOR' },
+    black: { background: '#000', color: '#fff', category: 'EXPECTANT' }
+};
+
+// ============================================
+// Triage Tags
+// ============================================
+
+const TriageTags = {
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    qr(id) {
+        return QRCode.toSvg(QRCode.encode(id, { ecc: 'M' }));
+    },
+
+    // A blank tag shows every colour so the responder can tear off or circle one
+    band(priority) {
+        const colors = TRIAGE_TAG_COLORS[priority];
+        if (colors) {
+            return `<div class="band" style="background:${colors.background};color:${colors.color};">${colors.category}</div>`;
+        }
+        return `<div class="band blank">${Object.values(TRIAGE_TAG_COLORS).map(c =>
+            `<span style="background:${c.background};color:${c.color};">${c.category}</span>`
+        ).join('')}</div>`;
+    },
+
+    // `vitals` are [label, value] pairs; empty values print as a line to write on
+    tag({ id, name = '', priority = null, triagedAt = '', incident = '', vitals = [] }) {
+        const field = (label, value) => `<div class="field"><small>${this.escape(label)}</small><span>${this.escape(value) || '&nbsp;'}</span></div>`;
+
+        return `
+            <section class="tag">
+                ${this.band(priority)}
+                <div class="head">
+                    <div class="qr">${this.qr(id)}</div>
+                    <div>
+                        <div class="id">${this.escape(id)}</div>
+                        ${field('Name', name)}
+                        ${field('Triaged', triagedAt)}
+                    </div>
+                </div>
+                <div class="vitals">${vitals.map(([label, value]) => field(label, value)).join('')}</div>
+                <div class="incident">${this.escape(incident)}</div>
+            </section>
+        `;
+    },
+
+    // One tag per printed page
+    document(tags, layout = 'card') {
+        const size = TRIAGE_TAG_LAYOUTS[layout] || TRIAGE_TAG_LAYOUTS.card;
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Triage tags</title>
+<style>
+    @page { size: ${size.page}; margin: 0; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; font-size: ${size.font}; color: #000; }
+    .tag { width: ${size.width}; height: ${size.height}; padding: 3mm; display: flex; flex-direction: column; gap: 2mm; overflow: hidden; page-break-after: always; break-after: page; }
+    .tag:last-child { page-break-after: auto; break-after: auto; }
+    .band { font-size: 2em; font-weight: bold; text-align: center; padding: 3mm 0; border: 1px solid #000; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .band.blank { display: flex; padding: 0; font-size: 0.9em; }
+    .band.blank span { flex: 1; padding: 3mm 0; border-right: 1px dashed #000; }
+    .band.blank span:last-child { border-right: none; }
+    .head { display: flex; gap: 3mm; align-items: flex-start; }
+    .head > div:last-child { flex: 1; min-width: 0; }
+    .qr { width: ${size.qr}; height: ${size.qr}; flex-shrink: 0; }
+    .qr svg { width: 100%; height: 100%; }
+    .id { font-family: 'Courier New', monospace; font-size: 1.4em; font-weight: bold; word-break: break-all; margin-bottom: 2mm; }
+    .field { border-bottom: 1px solid #000; padding: 1mm 0; min-height: 1.8em; }
+    .field small { display: block; font-size: 0.7em; text-transform: uppercase; color: #444; }
+    .field span { font-weight: bold; }
+    .vitals { display: grid; grid-template-columns: 1fr 1fr; gap: 0 3mm; }
+    .incident { margin-top: auto; font-size: 0.8em; color: #444; }
+</style>
+</head>
+<body>
+${tags.map(tag => this.tag(tag)).join('\n')}
+</body>
+</html>
+`;
+    }
+};
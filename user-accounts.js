@@ -0,0 +1,178 @@
+// user-accounts.js - Local user profiles with PIN sign-in and the role permission matrix
+
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 60 * 1000;
+// Wrong PINs in a row, across every profile, before the device erases its patient data
+const WIPE_AFTER_FAILED_UNLOCKS = 10;
+
+// What each role may do; anything not listed is open to every signed-in user
+const USER_PERMISSIONS = {
+    'triage.black': 'Assign Expectant (Black) priority',
+    'patients.deceased': 'Record a patient as deceased',
+    'incidents.manage': 'Start, close and archive incidents',
+    'data.export': 'Export patient data',
+    'data.import': 'Import patient data',
+    'handoff.send': 'Hand patients over to another device',
+    'handoff.receive': 'Receive patients handed over by another device',
+    'settings.retention': 'Change data retention',
+    'audit.view': 'View the audit log',
+    'users.manage': 'Add users and change roles'
+};
+
+const USER_ROLES = {
+    paramedic: { label: 'Paramedic', permissions: ['handoff.send', 'handoff.receive'] },
+    nurse: { label: 'Nurse', permissions: ['handoff.send', 'handoff.receive'] },
+    doctor: { label: 'Physician', permissions: ['triage.black', 'patients.deceased', 'incidents.manage', 'data.export', 'handoff.send', 'handoff.receive', 'audit.view'] },
+    coordinator: { label: 'Coordinator', permissions: ['incidents.manage', 'data.export', 'handoff.send', 'handoff.receive', 'audit.view'] },
+    admin: { label: 'Administrator', permissions: ['incidents.manage', 'data.export', 'data.import', 'settings.retention', 'audit.view', 'users.manage'] }
+};
+
+// ============================================
+// User Accounts
+// ============================================
+
+class UserAccounts {
+    constructor(patientStore) {
+        this.patientStore = patientStore;
+    }
+
+    static isValidPin(pin) {
+        return /^\d{4,8}$/.test(pin);
+    }
+
+    static can(user, permission) {
+        return Boolean(user) && (USER_ROLES[user.role]?.permissions || []).includes(permission);
+    }
+
+    // The part of a profile stamped onto records and audit entries
+    static toRef(user) {
+        return { id: user.id, name: user.name, role: user.role };
+    }
+
+    async getAll() {
+        return this.patientStore.getUsers();
+    }
+
+    async get(userId) {
+        return (await this.getAll()).find(user => user.id === userId) || null;
+    }
+
+    // The PIN is only ever stored as the key wrapping the patient data; a PIN is right when it unwraps that key
+    async wrapDataKey(dataKey, pin) {
+        if (!UserAccounts.isValidPin(pin)) {
+            throw new Error('PIN must be 4 to 8 digits');
+        }
+        return DataCipher.wrapKey(dataKey, pin);
+    }
+
+    // Profiles from before encryption at rest kept a PBKDF2 hash of the PIN instead; it is dropped once the key is wrapped
+    async matchesLegacyPin(user, pin) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: new Uint8Array(user.pin.salt), iterations: user.pin.iterations }, key, 256);
+        return Array.from(new Uint8Array(bits)).map(b => b.toString(16).padStart(2, '0')).join('') === user.pin.hash;
+    }
+
+    // `dataKey` is wrapped under the new PIN so this user can open the patient data
+    async create({ id = null, name, role, department = 'Emergency', pin, dataKey }) {
+        if (!name?.trim()) {
+            throw new Error('Name is required');
+        }
+        if (!USER_ROLES[role]) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+
+        const user = {
+            id: id || `user_${crypto.randomUUID()}`,
+            name: name.trim(),
+            role,
+            department,
+            wrappedKey: await this.wrapDataKey(dataKey, pin),
+            active: true,
+            failedAttempts: 0,
+            lockedUntil: null,
+            createdAt: new Date().toISOString()
+        };
+        await this.patientStore.saveUsers([user]);
+        return user;
+    }
+
+    async update(user, changes) {
+        const updated = { ...user, ...changes, updatedAt: new Date().toISOString() };
+        await this.patientStore.saveUsers([updated]);
+        return updated;
+    }
+
+    async setPin(user, pin, dataKey) {
+        return this.update(user, {
+            pin: null,
+            wrappedKey: await this.wrapDataKey(dataKey, pin),
+            failedAttempts: 0,
+            lockedUntil: null
+        });
+    }
+
+    // Resolves with the data key, or null for a wrong PIN. Legacy profiles have no wrapped key; the first of
+    // them to sign in creates the device's data key, the rest need a PIN reset from someone who holds it
+    async openDataKey(user, pin) {
+        if (user.wrappedKey) {
+            try {
+                return await DataCipher.unwrapKey(user.wrappedKey, pin);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!user.pin?.hash || !(await this.matchesLegacyPin(user, pin))) {
+            return null;
+        }
+        if ((await this.getAll()).some(other => other.wrappedKey)) {
+            throw new Error('This profile has no access to patient data yet; ask an administrator to reset your PIN');
+        }
+        return DataCipher.generateKey();
+    }
+
+    // Without any wrapped copy of the key the stored records can never be decrypted again
+    async discardDataKeys() {
+        const users = await this.getAll();
+        await this.patientStore.saveUsers(users.map(user => ({ ...user, wrappedKey: null })));
+    }
+
+    // Counted per device rather than per profile, so cycling through users does not reset it
+    async recordFailedUnlock() {
+        const count = (await this.patientStore.getSetting('failedUnlocks', 0)) + 1;
+        await this.patientStore.setSetting('failedUnlocks', count);
+        return count;
+    }
+
+    // Resolves with the profile and the data key or throws; repeated wrong PINs lock the profile for a minute
+    async verify(userId, pin) {
+        const user = await this.get(userId);
+        if (!user || !user.active) {
+            throw new Error('Unknown or disabled user');
+        }
+        if (user.lockedUntil && new Date(user.lockedUntil).getTime() > Date.now()) {
+            const seconds = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000);
+            throw new Error(`Too many wrong PINs; try again in ${seconds}s`);
+        }
+
+        const dataKey = await this.openDataKey(user, pin);
+        if (!dataKey) {
+            const failedAttempts = (user.failedAttempts || 0) + 1;
+            const locked = failedAttempts >= MAX_PIN_ATTEMPTS;
+            await this.update(user, {
+                failedAttempts: locked ? 0 : failedAttempts,
+                lockedUntil: locked ? new Date(Date.now() + PIN_LOCKOUT_MS).toISOString() : null
+            });
+            const error = new Error(locked ? 'Too many wrong PINs; profile locked for a minute' : 'Wrong PIN');
+            error.failedAttempts = failedAttempts;
+            error.deviceFailedUnlocks = await this.recordFailedUnlock();
+            throw error;
+        }
+
+        await this.patientStore.setSetting('failedUnlocks', 0);
+        const changes = { failedAttempts: 0, lockedUntil: null, lastLoginAt: new Date().toISOString() };
+        if (!user.wrappedKey) {
+            Object.assign(changes, { pin: null, wrappedKey: await DataCipher.wrapKey(dataKey, pin) });
+        }
+        return { user: await this.update(user, changes), dataKey };
+    }
+}